@@ -13,7 +13,14 @@
     // Track which graphs have been initialized
     const initializedGraphs = new Set();
 
+    // Component to zoom to once the lazily rendered architecture graph exists
+    let pendingArchFocus = null;
+
+    // Resolves once data/topology.json has loaded and passed validation
+    let topologyReady = null;
+
     document.addEventListener('DOMContentLoaded', () => {
+        initAnimationScheduler();
         initMermaid();
         initHighlightJS();
         initNavigation();
@@ -22,26 +29,467 @@
         initDiagramControls();
         initAlgoFlowTabs();
         initAnimations();
+        initNodeDrawer();
+        initUrlState();
+        initExportMenus();
+        initAutoscaleSimulation();
+        initBatchingSimulation();
+        initCrawlerSimulation();
+        initFrontierExplorer();
+        initPolitenessSimulation();
+        initRagDemo();
+        initHybridExplorer();
+        initFilterBuilder();
+        initFusionExplorer();
+        initPageRank();
+        initMatrixImport();
+        initHnsw();
+
+        // Every D3 graph renders from the shared topology file; tabs in the URL were applied above
+        topologyReady = loadTopology();
+        topologyReady
+            .then(() => {
+                initTracePlayer();
+                initFailureMode();
+                initVariantControls();
+                initTopologyEditor();
+                applyTopologyUrlState(readUrlState());
+            })
+            .catch(showTopologyError);
 
         // Lazy load D3 graphs when they become visible
         initLazyLoadGraphs();
     });
 
+    // ===========================================
+    // TOPOLOGY DATA
+    // ===========================================
+
+    const TOPOLOGY_URL = 'data/topology.json';
+    const TOPOLOGY_VERSION = 1;
+
+    // Node/link types each view knows how to draw
+    const VIEW_NODE_TYPES = {
+        crawler: ['producer', 'queue', 'worker', 'state'],
+        batching: ['input', 'batcher', 'gpu'],
+        rag: ['query', 'retrieval', 'ranking', 'synthesis']
+    };
+
+    // Roles that change how a component reacts when something downstream fails
+    const COMPONENT_ROLES = ['queue', 'dead-letter'];
+
+    const REQUIRED_VIEWS = ['architecture', 'crawler', 'batching', 'rag', 'mindmap', 'matrixLink'];
+
+    // Validated topology document (null until loaded)
+    let topology = null;
+
+    function loadTopology() {
+        return fetch(TOPOLOGY_URL)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Could not load ${TOPOLOGY_URL} (HTTP ${response.status})`);
+                }
+                return response.json().catch(err => {
+                    throw new Error(`${TOPOLOGY_URL} is not valid JSON: ${err.message}`);
+                });
+            })
+            .then(doc => {
+                const problems = validateTopology(doc);
+                if (problems.length > 0) {
+                    const error = new Error(`${TOPOLOGY_URL} failed validation`);
+                    error.problems = problems;
+                    throw error;
+                }
+                // Edits saved by the topology editor take the file's place while it is unchanged
+                topology = readSavedTopology(hashString(JSON.stringify(doc))) || doc;
+                return topology;
+            });
+    }
+
+    // Mirrors data/topology.schema.json; returns a list of human-readable problems
+    function validateTopology(doc) {
+        const problems = [];
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const isId = value => typeof value === 'string' && /^[A-Za-z0-9_-]+$/.test(value);
+        const isColor = value => typeof value === 'string' && /^#[0-9a-fA-F]{6}$/.test(value);
+        const isFraction = value => typeof value === 'number' && value >= 0 && value <= 1;
+        const isSeq = value => (Number.isInteger(value) && value >= 1) ||
+            (typeof value === 'string' && /^[A-Z]?[0-9]+$/.test(value));
+
+        if (!isObject(doc)) return ['The document must be a JSON object'];
+
+        if (doc.version !== TOPOLOGY_VERSION) {
+            problems.push(`version must be ${TOPOLOGY_VERSION} (found ${JSON.stringify(doc.version)})`);
+        }
+
+        // Check a list of objects with unique ids, returning the ids that were seen
+        function collectIds(list, path, checkItem) {
+            const ids = new Set();
+            if (!Array.isArray(list) || list.length === 0) {
+                problems.push(`${path} must be a non-empty array`);
+                return ids;
+            }
+            list.forEach((item, i) => {
+                const itemPath = `${path}[${i}]`;
+                if (!isObject(item)) {
+                    problems.push(`${itemPath} must be an object`);
+                    return;
+                }
+                if (!isId(item.id)) {
+                    problems.push(`${itemPath}.id must be a string of letters, digits, "-" or "_"`);
+                } else if (ids.has(item.id)) {
+                    problems.push(`${itemPath}.id "${item.id}" is used more than once`);
+                } else {
+                    ids.add(item.id);
+                }
+                checkItem(item, itemPath);
+            });
+            return ids;
+        }
+
+        function checkOptionalString(item, key, path) {
+            if (item[key] !== undefined && typeof item[key] !== 'string') {
+                problems.push(`${path}.${key} must be a string`);
+            }
+        }
+
+        const layerIds = collectIds(doc.layers, 'layers', (layer, path) => {
+            if (typeof layer.label !== 'string') problems.push(`${path}.label must be a string`);
+            if (!isColor(layer.color)) problems.push(`${path}.color must be a #rrggbb colour`);
+        });
+
+        const componentIds = collectIds(doc.components, 'components', (component, path) => {
+            if (typeof component.label !== 'string') problems.push(`${path}.label must be a string`);
+            if (!layerIds.has(component.layer)) {
+                problems.push(`${path}.layer "${component.layer}" is not one of the declared layers`);
+            }
+            checkOptionalString(component, 'sublabel', path);
+            checkOptionalString(component, 'description', path);
+            checkOptionalString(component, 'code', path);
+            checkOptionalString(component, 'section', path);
+            if (component.role !== undefined && !COMPONENT_ROLES.includes(component.role)) {
+                problems.push(`${path}.role must be one of ${COMPONENT_ROLES.join(', ')}`);
+            }
+            if (component.metrics !== undefined &&
+                (!Array.isArray(component.metrics) || component.metrics.some(m =>
+                    !isObject(m) || typeof m.label !== 'string' || typeof m.value !== 'string'))) {
+                problems.push(`${path}.metrics must be an array of { label, value } strings`);
+            }
+            if (component.details !== undefined &&
+                (!Array.isArray(component.details) || component.details.some(d => typeof d !== 'string'))) {
+                problems.push(`${path}.details must be an array of strings`);
+            }
+        });
+
+        function checkViewNodes(view, path, checkNode) {
+            const ids = new Set();
+            if (!Array.isArray(view.nodes)) {
+                problems.push(`${path}.nodes must be an array`);
+                return ids;
+            }
+            view.nodes.forEach((entry, i) => {
+                const nodePath = `${path}.nodes[${i}]`;
+                const spec = typeof entry === 'string' ? { ref: entry } : entry;
+                if (!isObject(spec)) {
+                    problems.push(`${nodePath} must be a component id or an object`);
+                    return;
+                }
+                if (spec.ref !== undefined && !componentIds.has(spec.ref)) {
+                    problems.push(`${nodePath} refers to unknown component "${spec.ref}"`);
+                }
+                const id = spec.id || spec.ref;
+                if (!isId(id)) {
+                    problems.push(`${nodePath} needs an "id" or a "ref"`);
+                } else if (ids.has(id)) {
+                    problems.push(`${nodePath} id "${id}" is used more than once in this view`);
+                } else {
+                    ids.add(id);
+                }
+                if (spec.ref === undefined && typeof spec.label !== 'string') {
+                    problems.push(`${nodePath}.label is required when the node has no "ref"`);
+                }
+                checkOptionalString(spec, 'label', nodePath);
+                checkOptionalString(spec, 'sublabel', nodePath);
+                if (checkNode) checkNode(spec, nodePath);
+            });
+            return ids;
+        }
+
+        function checkViewLinks(view, path, nodeIds, checkLink) {
+            if (!Array.isArray(view.links)) {
+                problems.push(`${path}.links must be an array`);
+                return;
+            }
+            view.links.forEach((link, i) => {
+                const linkPath = `${path}.links[${i}]`;
+                if (!isObject(link)) {
+                    problems.push(`${linkPath} must be an object`);
+                    return;
+                }
+                ['source', 'target'].forEach(end => {
+                    if (!nodeIds.has(link[end])) {
+                        problems.push(`${linkPath}.${end} "${link[end]}" is not a node in this view`);
+                    }
+                });
+                if (link.seq !== undefined && !isSeq(link.seq)) {
+                    problems.push(`${linkPath}.seq must be a positive integer or a string like "Q1"`);
+                }
+                ['dashed', 'curved', 'optional'].forEach(key => {
+                    if (link[key] !== undefined && typeof link[key] !== 'boolean') {
+                        problems.push(`${linkPath}.${key} must be true or false`);
+                    }
+                });
+                ['offsetX', 'offsetY'].forEach(key => {
+                    if (link[key] !== undefined && typeof link[key] !== 'number') {
+                        problems.push(`${linkPath}.${key} must be a number`);
+                    }
+                });
+                checkOptionalString(link, 'label', linkPath);
+                if (checkLink) checkLink(link, linkPath);
+            });
+        }
+
+        // Capabilities: what the pipeline delivers, in terms of the components it needs
+        if (doc.capabilities !== undefined) {
+            collectIds(doc.capabilities, 'capabilities', (capability, path) => {
+                if (typeof capability.label !== 'string') problems.push(`${path}.label must be a string`);
+                if (!Array.isArray(capability.requires) || capability.requires.length === 0) {
+                    problems.push(`${path}.requires must be a non-empty array of component ids`);
+                    return;
+                }
+                capability.requires.forEach((id, i) => {
+                    if (!componentIds.has(id)) problems.push(`${path}.requires[${i}] "${id}" is not a component`);
+                });
+            });
+        }
+
+        if (!isObject(doc.views)) {
+            problems.push('views must be an object');
+            return problems;
+        }
+
+        const missingViews = REQUIRED_VIEWS.filter(name => !isObject(doc.views[name]));
+        if (missingViews.length > 0) {
+            missingViews.forEach(name => problems.push(`views.${name} is missing`));
+            return problems;
+        }
+
+        const views = doc.views;
+
+        // Architecture: plain component placement
+        const archIds = checkViewNodes(views.architecture, 'views.architecture', (node, nodePath) => {
+            if (node.ref === undefined) problems.push(`${nodePath} must refer to a component (its layer places it)`);
+        });
+        checkViewLinks(views.architecture, 'views.architecture', archIds);
+
+        // Architecture traces: narrated walks over the link sequence badges
+        if (views.architecture.traces !== undefined) {
+            const linkSeqs = new Set((views.architecture.links || []).map(l => String(l.seq)));
+            collectIds(views.architecture.traces, 'views.architecture.traces', (trace, path) => {
+                if (typeof trace.label !== 'string') problems.push(`${path}.label must be a string`);
+                if (!Array.isArray(trace.steps) || trace.steps.length === 0) {
+                    problems.push(`${path}.steps must be a non-empty array`);
+                    return;
+                }
+                trace.steps.forEach((step, i) => {
+                    const stepPath = `${path}.steps[${i}]`;
+                    if (!isObject(step) || !isSeq(step.seq)) {
+                        problems.push(`${stepPath}.seq must be a positive integer or a string like "Q1"`);
+                    } else if (!linkSeqs.has(String(step.seq))) {
+                        problems.push(`${stepPath}.seq ${JSON.stringify(step.seq)} is not on any architecture link`);
+                    }
+                    if (isObject(step) && typeof step.caption !== 'string') {
+                        problems.push(`${stepPath}.caption must be a string`);
+                    }
+                });
+            });
+        }
+
+        // Variants: named patches on the architecture view
+        if (doc.variants !== undefined) {
+            collectIds(doc.variants, 'variants', (variant, path) => {
+                if (typeof variant.label !== 'string') problems.push(`${path}.label must be a string`);
+                checkOptionalString(variant, 'description', path);
+
+                const lists = ['removeNodes', 'addNodes', 'removeLinks', 'addLinks', 'changeLinks'];
+                const badList = lists.find(key => variant[key] !== undefined && !Array.isArray(variant[key]));
+                if (badList) {
+                    problems.push(`${path}.${badList} must be an array`);
+                    return;
+                }
+                if (variant.changeNodes !== undefined && !isObject(variant.changeNodes)) {
+                    problems.push(`${path}.changeNodes must be an object keyed by node id`);
+                    return;
+                }
+                ['removeLinks', 'addLinks', 'changeLinks'].forEach(key => {
+                    (variant[key] || []).forEach((link, i) => {
+                        if (!isObject(link) || !isId(link.source) || !isId(link.target)) {
+                            problems.push(`${path}.${key}[${i}] needs a source and a target`);
+                        } else if (link.seq !== undefined && !isSeq(link.seq)) {
+                            problems.push(`${path}.${key}[${i}].seq must be a positive integer or a string like "Q1"`);
+                        }
+                    });
+                });
+                // Only patch a base view that is itself valid
+                if (problems.some(problem => problem.startsWith(`${path}.`) ||
+                    problem.startsWith('views.architecture.'))) return;
+
+                applyVariantPatch(views.architecture, variant, componentIds).problems
+                    .forEach(problem => problems.push(`${path}.${problem}`));
+            });
+        }
+
+        // Crawler and batching: typed nodes placed at x (px) and y (fraction of height)
+        ['crawler', 'batching'].forEach(name => {
+            const path = `views.${name}`;
+            const types = VIEW_NODE_TYPES[name];
+            const checkType = (item, itemPath) => {
+                if (!types.includes(item.type)) {
+                    problems.push(`${itemPath}.type must be one of ${types.join(', ')}`);
+                }
+            };
+            const ids = checkViewNodes(views[name], path, (node, nodePath) => {
+                checkType(node, nodePath);
+                if (typeof node.x !== 'number') problems.push(`${nodePath}.x must be a number`);
+                if (!isFraction(node.y)) problems.push(`${nodePath}.y must be a fraction between 0 and 1`);
+            });
+            checkViewLinks(views[name], path, ids, checkType);
+        });
+
+        // RAG: nodes grouped into pipeline stages
+        const ragIds = checkViewNodes(views.rag, 'views.rag', (node, nodePath) => {
+            if (!VIEW_NODE_TYPES.rag.includes(node.stage)) {
+                problems.push(`${nodePath}.stage must be one of ${VIEW_NODE_TYPES.rag.join(', ')}`);
+            }
+            if (!isFraction(node.y)) problems.push(`${nodePath}.y must be a fraction between 0 and 1`);
+        });
+        checkViewLinks(views.rag, 'views.rag', ragIds);
+
+        // Mind map: one branch per layer listing components
+        if (typeof views.mindmap.root !== 'string') problems.push('views.mindmap.root must be a string');
+        if (!Array.isArray(views.mindmap.branches)) {
+            problems.push('views.mindmap.branches must be an array');
+        } else {
+            views.mindmap.branches.forEach((branch, i) => {
+                const path = `views.mindmap.branches[${i}]`;
+                if (!isObject(branch)) {
+                    problems.push(`${path} must be an object`);
+                    return;
+                }
+                if (!layerIds.has(branch.layer)) {
+                    problems.push(`${path}.layer "${branch.layer}" is not one of the declared layers`);
+                }
+                checkOptionalString(branch, 'label', path);
+                if (!Array.isArray(branch.children)) {
+                    problems.push(`${path}.children must be an array of component ids`);
+                } else {
+                    branch.children.forEach((id, j) => {
+                        if (!componentIds.has(id)) {
+                            problems.push(`${path}.children[${j}] refers to unknown component "${id}"`);
+                        }
+                    });
+                }
+            });
+        }
+
+        // Matrix Link: documentation pages, not pipeline components
+        const matrix = views.matrixLink;
+        const groupIds = collectIds(matrix.groups, 'views.matrixLink.groups', (group, path) => {
+            if (typeof group.label !== 'string') problems.push(`${path}.label must be a string`);
+            if (!isColor(group.color)) problems.push(`${path}.color must be a #rrggbb colour`);
+        });
+        const pageIds = collectIds(matrix.nodes, 'views.matrixLink.nodes', (page, path) => {
+            if (typeof page.label !== 'string') problems.push(`${path}.label must be a string`);
+            if (!groupIds.has(page.group)) problems.push(`${path}.group "${page.group}" is not a declared group`);
+        });
+        checkViewLinks(matrix, 'views.matrixLink', pageIds, (link, path) => {
+            if (!(typeof link.weight === 'number' && link.weight > 0)) {
+                problems.push(`${path}.weight must be a positive number`);
+            }
+        });
+
+        return problems;
+    }
+
+    // Resolve a view's node entries against the component list (fresh objects per render)
+    function resolveViewNodes(viewName) {
+        return resolveNodeEntries(topology.views[viewName].nodes);
+    }
+
+    // Component ids or { ref, id, label, sublabel } placements -> fresh node objects
+    function resolveNodeEntries(entries) {
+        const components = new Map(topology.components.map(c => [c.id, c]));
+
+        return entries.map(entry => {
+            const spec = typeof entry === 'string' ? { ref: entry } : entry;
+            const component = components.get(spec.ref) || {};
+            return {
+                ...spec,
+                id: spec.id || spec.ref,
+                label: spec.label || component.label,
+                sublabel: spec.sublabel !== undefined ? spec.sublabel : component.sublabel,
+                layer: component.layer
+            };
+        });
+    }
+
+    function viewLinks(viewName) {
+        return topology.views[viewName].links.map(link => ({ ...link }));
+    }
+
+    function layerColorMap() {
+        const colors = {};
+        topology.layers.forEach(layer => colors[layer.id] = layer.color);
+        return colors;
+    }
+
+    // Replace every graph placeholder with the load/validation error
+    function showTopologyError(error) {
+        const problems = error.problems || [];
+        const shown = problems.slice(0, 8);
+        const more = problems.length - shown.length;
+
+        Object.keys(graphInitFunctions).forEach(id => {
+            const container = document.getElementById(id);
+            if (!container || isStandaloneGraph(id)) return;
+
+            container.innerHTML = `
+                <div class="graph-error" role="alert">
+                    <strong>Topology unavailable</strong>
+                    <p>${escapeHtml(error.message)}</p>
+                    ${shown.length ? `<ul>${shown.map(p => `<li>${escapeHtml(p)}</li>`).join('')}</ul>` : ''}
+                    ${more > 0 ? `<p>…and ${more} more problem${more === 1 ? '' : 's'}</p>` : ''}
+                </div>
+            `;
+        });
+    }
+
     // ===========================================
     // LAZY LOADING FOR D3 GRAPHS
     // ===========================================
 
-    function initLazyLoadGraphs() {
-        const graphConfigs = [
-            { id: 'architectureGraph', init: initArchitectureGraph },
-            { id: 'crawlerGraph', init: initCrawlerGraph },
-            { id: 'batchingGraph', init: initBatchingGraph },
-            { id: 'ragGraph', init: initRAGGraph },
-            { id: 'mindmapGraph', init: initMindmapGraph },
-            { id: 'matrixLinkGraph', init: initMatrixLinkGraph },
-            { id: 'hnswVisualization', init: initHNSWVisualization }
-        ];
+    // Standalone graphs build their own data and never wait for (or lose out to) the topology file
+    const graphConfigs = [
+        { id: 'architectureGraph', init: initArchitectureGraph },
+        { id: 'variantDiffGraph', init: initVariantDiffGraph },
+        { id: 'crawlerGraph', init: initCrawlerGraph },
+        { id: 'frontierGraph', init: initFrontierGraph, standalone: true },
+        { id: 'politenessGraph', init: initPolitenessGraph, standalone: true },
+        { id: 'autoscaleGraph', init: initAutoscaleGraph, standalone: true },
+        { id: 'batchingGraph', init: initBatchingGraph },
+        { id: 'ragGraph', init: initRAGGraph },
+        { id: 'mindmapGraph', init: initMindmapGraph },
+        { id: 'matrixLinkGraph', init: initMatrixLinkGraph },
+        { id: 'fusionChart', init: initFusionChart, standalone: true },
+        { id: 'hnswVisualization', init: initHNSWVisualization, standalone: true }
+    ];
+
+    function isStandaloneGraph(id) {
+        const config = graphConfigs.find(c => c.id === id);
+        return Boolean(config && config.standalone);
+    }
 
+    function initLazyLoadGraphs() {
         // Add loading placeholders to empty containers
         graphConfigs.forEach(config => {
             const container = document.getElementById(config.id);
@@ -95,12 +543,16 @@
                     if (!initializedGraphs.has(graphId)) {
                         const config = graphConfigs.find(c => c.id === graphId);
                         if (config) {
-                            // Use requestIdleCallback for better performance, fallback to setTimeout
-                            if ('requestIdleCallback' in window) {
-                                requestIdleCallback(() => config.init(), { timeout: 500 });
-                            } else {
-                                setTimeout(config.init, 100);
-                            }
+                            // Graphs drawn from the topology wait for it; a failed load leaves the error in place
+                            const ready = config.standalone ? Promise.resolve() : topologyReady;
+                            ready.then(() => {
+                                // Use requestIdleCallback for better performance, fallback to setTimeout
+                                if ('requestIdleCallback' in window) {
+                                    requestIdleCallback(() => config.init(), { timeout: 500 });
+                                } else {
+                                    setTimeout(config.init, 100);
+                                }
+                            }, () => {});
                             initializedGraphs.add(graphId);
                         }
                     }
@@ -120,6 +572,104 @@
         });
     }
 
+    // ===========================================
+    // ANIMATION SCHEDULER
+    // ===========================================
+
+    // Every repeating graph animation runs from one shared d3.timer, as a task keyed by its
+    // graph container. A task only ticks while its graph is on screen, the tab is visible and
+    // animations aren't paused from the nav; decorative tasks also stop for reduced motion.
+    // Scheduling a container again replaces its task, so re-rendering never stacks loops.
+    const animationScheduler = {
+        tasks: new Map(),
+        paused: false,
+        timer: null,
+        observer: null,
+        reducedMotion: window.matchMedia('(prefers-reduced-motion: reduce)')
+    };
+
+    function initAnimationScheduler() {
+        const scheduler = animationScheduler;
+
+        scheduler.observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                const task = scheduler.tasks.get(entry.target.id);
+                if (task) task.visible = entry.isIntersecting;
+            });
+            updateAnimationLoop();
+        });
+
+        document.addEventListener('visibilitychange', updateAnimationLoop);
+        scheduler.reducedMotion.addEventListener('change', updateAnimationLoop);
+
+        const toggle = document.getElementById('animationToggle');
+        if (toggle) {
+            toggle.addEventListener('click', () => {
+                scheduler.paused = !scheduler.paused;
+                toggle.setAttribute('aria-pressed', String(scheduler.paused));
+                toggle.textContent = scheduler.paused ? 'Resume animations' : 'Pause animations';
+                document.body.classList.toggle('animations-paused', scheduler.paused);
+                updateAnimationLoop();
+            });
+        }
+    }
+
+    // Run `tick` every `interval` ms for the graph in container `id`; with `immediate` off the
+    // first tick waits a full interval, for players whose current frame should stay on screen
+    function scheduleAnimation(id, interval, tick, { decorative = false, immediate = true } = {}) {
+        const element = document.getElementById(id);
+        if (!element) return;
+
+        const previous = animationScheduler.tasks.get(id);
+        animationScheduler.tasks.set(id, {
+            interval,
+            tick,
+            decorative,
+            visible: previous ? previous.visible : true,
+            last: previous ? previous.last : immediate ? -Infinity : d3.now()
+        });
+        if (!previous && animationScheduler.observer) animationScheduler.observer.observe(element);
+        updateAnimationLoop();
+    }
+
+    function cancelAnimation(id) {
+        if (!animationScheduler.tasks.delete(id)) return;
+        const element = document.getElementById(id);
+        if (element && animationScheduler.observer) animationScheduler.observer.unobserve(element);
+        updateAnimationLoop();
+    }
+
+    function prefersReducedMotion() {
+        return animationScheduler.reducedMotion.matches;
+    }
+
+    function isAnimationActive(task) {
+        return !animationScheduler.paused &&
+            !document.hidden &&
+            task.visible &&
+            !(task.decorative && prefersReducedMotion());
+    }
+
+    // The shared timer only runs while some task can tick
+    function updateAnimationLoop() {
+        const scheduler = animationScheduler;
+        const active = [...scheduler.tasks.values()].some(isAnimationActive);
+
+        if (active && !scheduler.timer) {
+            scheduler.timer = d3.timer(() => {
+                const now = d3.now();
+                scheduler.tasks.forEach(task => {
+                    if (!isAnimationActive(task) || now - task.last < task.interval) return;
+                    task.last = now;
+                    task.tick();
+                });
+            });
+        } else if (!active && scheduler.timer) {
+            scheduler.timer.stop();
+            scheduler.timer = null;
+        }
+    }
+
     // ===========================================
     // MERMAID INITIALIZATION
     // ===========================================
@@ -180,13 +730,7 @@
                 const target = document.getElementById(targetId);
 
                 if (target) {
-                    const navHeight = nav?.offsetHeight || 0;
-                    const targetPosition = target.offsetTop - navHeight - 20;
-
-                    window.scrollTo({
-                        top: targetPosition,
-                        behavior: 'smooth'
-                    });
+                    scrollToElement(target);
                 }
             });
         });
@@ -232,6 +776,18 @@
         });
     }
 
+    // Smooth scroll an element just below the fixed nav
+    function scrollToElement(target) {
+        const nav = document.getElementById('mainNav');
+        const navHeight = nav?.offsetHeight || 0;
+        const targetPosition = target.getBoundingClientRect().top + window.scrollY - navHeight - 20;
+
+        window.scrollTo({
+            top: targetPosition,
+            behavior: 'smooth'
+        });
+    }
+
     // ===========================================
     // CODE TABS
     // ===========================================
@@ -253,13 +809,18 @@
         tabs.forEach(tab => {
             tab.addEventListener('click', () => {
                 const targetFile = tab.getAttribute('data-file');
+                const activePanel = document.getElementById(`code-${targetFile}`);
+
+                // Each tab strip only switches its own set of panels
+                const groupTabs = tab.closest('.code-tabs')?.querySelectorAll('.code-tab') || tabs;
+                const groupPanels = activePanel?.parentElement.querySelectorAll('.code-panel') || panels;
 
                 // Update tab states
-                tabs.forEach(t => t.classList.remove('active'));
+                groupTabs.forEach(t => t.classList.remove('active'));
                 tab.classList.add('active');
 
                 // Update panel states
-                panels.forEach(panel => {
+                groupPanels.forEach(panel => {
                     panel.classList.remove('active');
                     if (panel.id === `code-${targetFile}`) {
                         panel.classList.add('active');
@@ -267,7 +828,6 @@
                 });
 
                 // Re-highlight code in newly visible panel
-                const activePanel = document.getElementById(`code-${targetFile}`);
                 if (activePanel && typeof hljs !== 'undefined') {
                     activePanel.querySelectorAll('pre code').forEach(block => {
                         if (!block.classList.contains('hljs')) {
@@ -353,7 +913,7 @@
 
     function initArchitectureGraph() {
         const container = document.getElementById('architectureGraph');
-        if (!container || typeof d3 === 'undefined') return;
+        if (!container || typeof d3 === 'undefined' || !topology) return;
 
         const width = container.clientWidth || 900;
         const height = 650;
@@ -380,81 +940,32 @@
             .attr('d', 'M 0,-5 L 10,0 L 0,5')
             .attr('fill', '#64748b');
 
-        // Node data - Architecture components
-        const nodes = [
-            // Ingestion Layer
-            { id: 'seed', label: 'Seed Injector', layer: 'ingestion', sublabel: 'Cron: 02:00 UTC' },
-            { id: 'frontier', label: 'Frontier Queue', layer: 'ingestion', sublabel: 'modal.Queue' },
-            { id: 'crawler', label: 'Crawler Swarm', layer: 'ingestion', sublabel: '300 containers' },
-            { id: 'parser', label: 'HTML Parser', layer: 'ingestion' },
-            { id: 'dedup', label: 'Deduplication', layer: 'ingestion', sublabel: 'modal.Dict' },
-
-            // Processing Layer
-            { id: 'textq', label: 'Text Queue', layer: 'processing' },
-            { id: 'batcher', label: 'Batcher', layer: 'processing', sublabel: 'Batch: 128' },
-            { id: 'embedder', label: 'GPU Embedder', layer: 'processing', sublabel: '50x A10G' },
-            { id: 'graphbuilder', label: 'Graph Builder', layer: 'processing', sublabel: 'Matrix Link' },
-
-            // Storage Layer
-            { id: 's3', label: 'S3 Bucket', layer: 'storage', sublabel: 'Parquet' },
-            { id: 'pinecone', label: 'Pinecone', layer: 'storage', sublabel: 'Serverless' },
-            { id: 'graphdb', label: 'Graph Store', layer: 'storage', sublabel: 'Authority' },
-            { id: 'dlq', label: 'DLQ', layer: 'storage', sublabel: 'Failures' },
-
-            // Interaction Layer
-            { id: 'user', label: 'User Query', layer: 'interaction', sublabel: 'Input' },
-            { id: 'api', label: 'API Gateway', layer: 'interaction' },
-            { id: 'queryembed', label: 'Query Embedder', layer: 'interaction' },
-            { id: 'reranker', label: 'Reranker', layer: 'interaction', sublabel: 'Cross-Encoder' },
-            { id: 'llm', label: 'GPT-4', layer: 'interaction', sublabel: 'Synthesis' }
-        ];
+        // Highlighted arrow for the active trace step
+        svg.select('defs').append('marker')
+            .attr('id', 'arrowhead-trace')
+            .attr('viewBox', '-0 -5 10 10')
+            .attr('refX', 20)
+            .attr('refY', 0)
+            .attr('orient', 'auto')
+            .attr('markerWidth', 6)
+            .attr('markerHeight', 6)
+            .append('path')
+            .attr('d', 'M 0,-5 L 10,0 L 0,5')
+            .attr('fill', TRACE_COLOR);
 
-        // Links between components with sequence numbers
-        const links = [
-            // Ingestion flow
-            { source: 'seed', target: 'frontier', seq: 1 },
-            { source: 'frontier', target: 'crawler', seq: 2 },
-            { source: 'crawler', target: 'parser', seq: 3 },
-            { source: 'crawler', target: 'dedup', dashed: true },
-            { source: 'crawler', target: 'frontier', dashed: true },
-
-            // Processing flow
-            { source: 'parser', target: 'textq', seq: 4 },
-            { source: 'textq', target: 'batcher', seq: 5 },
-            { source: 'batcher', target: 'embedder', seq: 6 },
-            { source: 'parser', target: 'graphbuilder', seq: 4 },
-
-            // Storage flow
-            { source: 'embedder', target: 's3', seq: 7 },
-            { source: 's3', target: 'pinecone', seq: 8 },
-            { source: 'graphbuilder', target: 'graphdb', seq: 5 },
-            { source: 'embedder', target: 'dlq', dashed: true },
-
-            // Interaction flow (query path)
-            { source: 'user', target: 'api', seq: 'Q1' },
-            { source: 'api', target: 'queryembed', seq: 'Q2' },
-            { source: 'queryembed', target: 'pinecone', seq: 'Q3' },
-            { source: 'pinecone', target: 'reranker', seq: 'Q4' },
-            { source: 'graphdb', target: 'reranker', seq: 'Q4', offsetY: -20 },
-            { source: 'reranker', target: 'llm', seq: 'Q5' },
-            { source: 'llm', target: 'user', seq: 'Q6', offsetY: 5, offsetX: -25 }
-        ];
+        // Nodes and links come from the shared topology file
+        const nodes = resolveViewNodes('architecture');
+        const links = viewLinks('architecture');
 
         // Color scale for layers
-        const layerColors = {
-            'ingestion': '#3b82f6',
-            'processing': '#8b5cf6',
-            'storage': '#10b981',
-            'interaction': '#f59e0b'
-        };
+        const layerColors = layerColorMap();
 
         // Y positions for each layer (horizontal layout) - more spread out
-        const layerY = {
-            'ingestion': height * 0.12,
-            'processing': height * 0.37,
-            'storage': height * 0.62,
-            'interaction': height * 0.87
-        };
+        const layerY = {};
+        const layerStep = 0.75 / Math.max(1, topology.layers.length - 1);
+        topology.layers.forEach((layer, i) => {
+            layerY[layer.id] = height * (0.12 + layerStep * i);
+        });
 
         // Assign initial positions based on layer with more spread
         nodes.forEach((node, i) => {
@@ -465,6 +976,23 @@
             node.y = layerY[node.layer];
         });
 
+        // After an edit, nodes that were already drawn stay where they were
+        const keptLayout = Boolean(editorState.positions);
+        if (keptLayout) {
+            nodes.forEach(node => Object.assign(node, editorState.positions.get(node.id)));
+            editorState.positions = null;
+        }
+
+        // Pan/zoom viewport; drag still moves individual nodes
+        const zoomControls = addZoomControls(container, svg, {
+            id: 'architectureGraph',
+            width,
+            height,
+            items: nodes.map(n => ({ id: n.id, label: n.label })),
+            locate: id => nodes.find(n => n.id === id)
+        });
+        const content = zoomControls.content;
+
         // Create force simulation with increased spacing
         const simulation = d3.forceSimulation(nodes)
             .force('link', d3.forceLink(links).id(d => d.id).distance(140).strength(0.4))
@@ -472,9 +1000,10 @@
             .force('y', d3.forceY(d => layerY[d.layer]).strength(0.9))
             .force('x', d3.forceX(width / 2).strength(0.03))
             .force('collision', d3.forceCollide().radius(65));
+        if (keptLayout) simulation.alpha(0.3);
 
         // Draw links
-        const link = svg.append('g')
+        const link = content.append('g')
             .attr('class', 'arch-links')
             .selectAll('path')
             .data(links)
@@ -485,10 +1014,13 @@
             .attr('stroke-width', 2)
             .attr('stroke-dasharray', d => d.dashed ? '5,5' : 'none')
             .attr('marker-end', 'url(#arrowhead)')
-            .attr('opacity', 0.6);
+            .attr('opacity', 0.6)
+            .on('click', (event, d) => {
+                if (editorState.enabled) selectEditorItem({ type: 'link', index: links.indexOf(d) });
+            });
 
         // Draw sequence number badges on links
-        const seqLabels = svg.append('g')
+        const seqLabels = content.append('g')
             .attr('class', 'arch-seq-labels')
             .selectAll('g')
             .data(links.filter(l => l.seq))
@@ -513,13 +1045,25 @@
             .attr('font-family', 'JetBrains Mono, monospace');
 
         // Draw nodes
-        const node = svg.append('g')
+        const node = content.append('g')
             .attr('class', 'arch-nodes')
             .selectAll('g')
             .data(nodes)
             .join('g')
             .attr('class', 'arch-node')
-            .call(drag(simulation));
+            .classed('selected', d => d.ref === drawerComponentId)
+            .attr('role', 'button')
+            .attr('aria-label', d => archNodeLabel(d))
+            .call(drag(simulation))
+            .on('click', function(event, d) {
+                activateArchNode(d, this);
+            })
+            .on('keydown', function(event, d) {
+                if (event.key === 'Enter' || event.key === ' ') {
+                    event.preventDefault();
+                    activateArchNode(d, this);
+                }
+            });
 
         // Node background rectangles
         node.append('rect')
@@ -569,6 +1113,18 @@
             .attr('font-family', 'Inter, sans-serif')
             .attr('pointer-events', 'none');
 
+        makeGraphAccessible(container, svg, {
+            label: 'Pipeline architecture: components and the data flowing between them',
+            nodes: node,
+            links,
+            id: d => d.id,
+            name: d => d.label,
+            describe: d => {
+                const layer = topology.layers.find(l => l.id === d.layer);
+                return [d.sublabel, `${layer.label} layer`].filter(Boolean).join(', ');
+            }
+        });
+
         // Update positions on tick
         simulation.on('tick', () => {
             // Update link paths with curves
@@ -590,8 +1146,48 @@
             node.attr('transform', d => `translate(${d.x},${d.y})`);
         });
 
-        // Store reference for filtering
+        // Store references for filtering and focusing
         window.archGraphSvg = svg;
+        window.archGraphZoom = zoomControls;
+
+        // Re-apply the layer view, trace or failure simulation after a (lazy or resize) render
+        if (traceState.active) applyTraceStep();
+        else filterArchitectureGraph(activeDiagramView());
+        if (failureState.enabled) applyFailureState();
+        if (editorState.enabled) applyEditorSelection();
+
+        // A component opened from a shared link waits for the graph to exist
+        if (pendingArchFocus) {
+            zoomControls.focus(pendingArchFocus);
+            pendingArchFocus = null;
+        }
+    }
+
+    // Zoom the architecture graph to a component, now or once it renders
+    function focusArchitectureNode(componentId) {
+        if (window.archGraphZoom) window.archGraphZoom.focus(componentId);
+        else pendingArchFocus = componentId;
+    }
+
+    // Nodes open the detail drawer, or are selected for editing, or change failure state
+    function activateArchNode(d, element) {
+        if (editorState.enabled) selectEditorItem({ type: 'node', id: d.id });
+        else if (failureState.enabled) cycleFailure(d.ref);
+        else openNodeDrawer(d.ref, element);
+    }
+
+    function archNodeLabel(d) {
+        const name = `${d.label}${d.sublabel ? ` (${d.sublabel})` : ''}`;
+        if (editorState.enabled) return `${name}: edit`;
+        if (!failureState.enabled) return `${name}: show details`;
+
+        const state = failureState.injected.get(d.ref) || 'healthy';
+        return `${name}: ${state}, press Enter to change`;
+    }
+
+    function activeDiagramView() {
+        const btn = document.querySelector('.diagram-btn.active');
+        return btn ? btn.getAttribute('data-view') : 'full';
     }
 
     // Filter architecture graph by layer
@@ -623,662 +1219,5794 @@
         }
     }
 
-    // Crawler Graph - Producer-Consumer Pattern Visualization
-    function initCrawlerGraph() {
-        const container = document.getElementById('crawlerGraph');
-        if (!container) return;
-
-        container.innerHTML = '';
+    // ===========================================
+    // REQUEST TRACE PLAYBACK
+    // ===========================================
 
-        const width = container.clientWidth || 800;
-        const height = container.clientHeight || 400;
+    const TRACE_STEP_MS = 2500;
+    const TRACE_COLOR = '#22d3ee';
 
-        const svg = d3.select(container)
-            .append('svg')
-            .attr('width', width)
-            .attr('height', height)
-            .attr('viewBox', `0 0 ${width} ${height}`);
+    const traceState = {
+        traceId: null,  // selected trace from views.architecture.traces
+        active: false,  // whether the graph is showing a trace step
+        step: 0,        // index into the selected trace's steps
+        playing: false
+    };
 
-        // Define arrow markers
-        const defs = svg.append('defs');
+    function initTracePlayer() {
+        const player = document.getElementById('tracePlayer');
+        const caption = document.getElementById('traceCaption');
+        if (!player) return;
 
-        const markerColors = {
-            'producer': '#f59e0b',
-            'queue': '#3b82f6',
-            'worker': '#10b981',
-            'state': '#8b5cf6'
-        };
+        const traces = topology.views.architecture.traces || [];
+        if (traces.length === 0) {
+            player.hidden = true;
+            if (caption) caption.hidden = true;
+            return;
+        }
 
-        Object.entries(markerColors).forEach(([key, color]) => {
-            defs.append('marker')
-                .attr('id', `arrow-crawler-${key}`)
-                .attr('viewBox', '0 -5 10 10')
-                .attr('refX', 20)
-                .attr('refY', 0)
-                .attr('markerWidth', 6)
-                .attr('markerHeight', 6)
-                .attr('orient', 'auto')
-                .append('path')
-                .attr('d', 'M0,-5L10,0L0,5')
-                .attr('fill', color);
+        if (caption) caption.dataset.idle = caption.textContent;
+
+        const select = player.querySelector('.trace-select');
+        select.innerHTML = '';
+        traces.forEach(trace => {
+            const btn = document.createElement('button');
+            btn.className = 'trace-btn';
+            btn.setAttribute('data-trace', trace.id);
+            btn.textContent = trace.label;
+            btn.addEventListener('click', () => selectTrace(trace.id));
+            select.appendChild(btn);
         });
 
-        // Nodes data
-        const nodes = [
-            { id: 'seed', label: 'Seed Injector', sublabel: 'Cron: 02:00 UTC', type: 'producer', x: 100, y: height / 2 },
-            { id: 'queue', label: 'Frontier Queue', sublabel: 'modal.Queue', type: 'queue', x: 280, y: height / 2 },
-            { id: 'worker1', label: 'Worker 1', sublabel: 'Container', type: 'worker', x: 480, y: height / 2 - 100 },
-            { id: 'worker2', label: 'Worker 2', sublabel: 'Container', type: 'worker', x: 480, y: height / 2 },
-            { id: 'workerN', label: 'Worker N', sublabel: '...300 total', type: 'worker', x: 480, y: height / 2 + 100 },
-            { id: 'visited', label: 'Visited Dict', sublabel: 'modal.Dict', type: 'state', x: 700, y: height / 2 }
-        ];
+        player.querySelectorAll('.trace-control').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const action = btn.getAttribute('data-action');
 
-        // Links data
-        const links = [
-            { source: 'seed', target: 'queue', label: 'Push URLs', type: 'producer' },
-            { source: 'queue', target: 'worker1', label: 'Pop', type: 'queue' },
-            { source: 'queue', target: 'worker2', label: 'Pop', type: 'queue' },
-            { source: 'queue', target: 'workerN', label: 'Pop', type: 'queue' },
-            { source: 'worker1', target: 'visited', label: 'Check/Mark', type: 'worker' },
-            { source: 'worker2', target: 'visited', label: 'Check/Mark', type: 'worker' },
-            { source: 'workerN', target: 'visited', label: 'Check/Mark', type: 'worker' },
-            { source: 'worker1', target: 'queue', label: 'New links', type: 'worker', curved: true },
-            { source: 'worker2', target: 'queue', label: '', type: 'worker', curved: true },
-            { source: 'workerN', target: 'queue', label: '', type: 'worker', curved: true }
-        ];
+                if (action === 'play') toggleTracePlayback();
+                else if (action === 'next') stepTrace(1);
+                else if (action === 'prev') stepTrace(-1);
+                else if (action === 'stop') stopTrace();
+            });
+        });
 
-        // Create node map for link references
-        const nodeMap = {};
-        nodes.forEach(n => nodeMap[n.id] = n);
+        player.querySelector('.trace-scrubber').addEventListener('input', (e) => {
+            pauseTrace();
+            showTraceStep(Number(e.target.value) - 1);
+        });
 
-        // Draw links
-        const linkGroup = svg.append('g').attr('class', 'crawler-links');
+        traceState.traceId = traces[0].id;
+        updateTraceControls();
+    }
 
-        links.forEach(link => {
-            const source = nodeMap[link.source];
-            const target = nodeMap[link.target];
-            const color = markerColors[link.type];
+    function getSelectedTrace() {
+        const traces = topology ? topology.views.architecture.traces || [] : [];
+        return traces.find(t => t.id === traceState.traceId);
+    }
 
-            if (link.curved) {
-                // Curved path for feedback loops (worker -> queue)
-                const midX = (source.x + target.x) / 2;
-                const midY = Math.min(source.y, target.y) - 60;
+    function selectTrace(traceId) {
+        pauseTrace();
+        traceState.traceId = traceId;
+        showTraceStep(0);
+    }
 
-                linkGroup.append('path')
-                    .attr('class', 'crawler-link')
-                    .attr('d', `M${source.x},${source.y} Q${midX},${midY} ${target.x + 40},${target.y - 20}`)
-                    .attr('fill', 'none')
-                    .attr('stroke', color)
-                    .attr('stroke-width', 2)
-                    .attr('stroke-dasharray', '5,3')
-                    .attr('opacity', 0.7)
-                    .attr('marker-end', `url(#arrow-crawler-${link.type})`);
+    function showTraceStep(index) {
+        const trace = getSelectedTrace();
+        if (!trace) return;
+
+        if (failureState.enabled) setFailureMode(false);
+        if (editorState.enabled) setEditMode(false);
+
+        traceState.active = true;
+        traceState.step = Math.max(0, Math.min(index, trace.steps.length - 1));
+        applyTraceStep();
+        updateTraceControls();
+    }
+
+    function stepTrace(delta) {
+        pauseTrace();
+        showTraceStep(traceState.active ? traceState.step + delta : 0);
+    }
+
+    function toggleTracePlayback() {
+        if (traceState.playing) {
+            pauseTrace();
+            return;
+        }
+
+        // Restart from the top when playback already reached the last step
+        const trace = getSelectedTrace();
+        if (!traceState.active || traceState.step >= trace.steps.length - 1) {
+            showTraceStep(0);
+        }
+
+        traceState.playing = true;
+        scheduleAnimation('architectureGraph', TRACE_STEP_MS, tickTrace, { immediate: false });
+        updateTraceControls();
+    }
+
+    function tickTrace() {
+        if (traceState.step >= getSelectedTrace().steps.length - 1) {
+            pauseTrace();
+            return;
+        }
+        showTraceStep(traceState.step + 1);
+    }
+
+    function pauseTrace() {
+        cancelAnimation('architectureGraph');
+        traceState.playing = false;
+        updateTraceControls();
+    }
+
+    function stopTrace() {
+        pauseTrace();
+        traceState.active = false;
+        traceState.step = 0;
+        applyTraceStep();
+        updateTraceControls();
+    }
+
+    function updateTraceControls() {
+        const player = document.getElementById('tracePlayer');
+        const caption = document.getElementById('traceCaption');
+        const trace = getSelectedTrace();
+        if (!player || !trace) return;
+
+        const playing = traceState.playing;
+        const playBtn = player.querySelector('[data-action="play"]');
+        playBtn.innerHTML = playing ? '&#9208;' : '&#9654;';
+        playBtn.setAttribute('aria-label', playing ? 'Pause trace' : 'Play trace');
+        playBtn.title = playing ? 'Pause' : 'Play';
+
+        player.querySelectorAll('.trace-btn').forEach(btn => {
+            btn.classList.toggle('active', traceState.active && btn.getAttribute('data-trace') === trace.id);
+        });
+
+        const scrubber = player.querySelector('.trace-scrubber');
+        scrubber.max = trace.steps.length;
+        scrubber.value = traceState.step + 1;
+
+        player.querySelector('.trace-position').textContent = traceState.active
+            ? `Step ${traceState.step + 1} / ${trace.steps.length}`
+            : `${trace.steps.length} steps`;
+
+        if (caption) {
+            if (traceState.active) {
+                const step = trace.steps[traceState.step];
+                caption.innerHTML = '';
+                const badge = document.createElement('span');
+                badge.className = 'trace-caption-seq';
+                badge.textContent = step.seq;
+                caption.append(badge, document.createTextNode(step.caption));
+                caption.classList.add('active');
             } else {
-                linkGroup.append('line')
-                    .attr('class', 'crawler-link')
-                    .attr('x1', source.x + 40)
-                    .attr('y1', source.y)
-                    .attr('x2', target.x - 40)
-                    .attr('y2', target.y)
-                    .attr('stroke', color)
-                    .attr('stroke-width', 2)
-                    .attr('opacity', 0.7)
-                    .attr('marker-end', `url(#arrow-crawler-${link.type})`);
+                caption.textContent = caption.dataset.idle || '';
+                caption.classList.remove('active');
+            }
+        }
+    }
 
-                // Add link label
-                if (link.label) {
-                    const labelX = (source.x + target.x) / 2;
-                    const labelY = (source.y + target.y) / 2 - 8;
+    // Light up the current step's links and nodes, fade completed steps, dim the rest
+    function applyTraceStep() {
+        const svg = window.archGraphSvg;
+        if (!svg) return;
 
-                    linkGroup.append('text')
-                        .attr('x', labelX)
-                        .attr('y', labelY)
-                        .attr('text-anchor', 'middle')
-                        .attr('font-size', '10px')
-                        .attr('fill', 'var(--text-muted)')
-                        .text(link.label);
-                }
+        if (!traceState.active) {
+            svg.selectAll('.arch-link')
+                .attr('stroke', '#64748b')
+                .attr('stroke-width', 2)
+                .attr('marker-end', 'url(#arrowhead)');
+            svg.selectAll('.arch-seq-label')
+                .attr('opacity', 1)
+                .select('circle')
+                .attr('stroke', '#64748b');
+
+            filterArchitectureGraph(activeDiagramView());
+            return;
+        }
+
+        const seqs = getSelectedTrace().steps.map(step => String(step.seq));
+        const current = seqs[traceState.step];
+        const completed = new Set(seqs.slice(0, traceState.step));
+        const linkState = d => {
+            if (String(d.seq) === current) return 'active';
+            return completed.has(String(d.seq)) ? 'done' : 'idle';
+        };
+
+        const activeNodes = new Set();
+        const doneNodes = new Set();
+        svg.selectAll('.arch-link').each(d => {
+            const state = linkState(d);
+            if (state === 'active') {
+                activeNodes.add(d.source.id);
+                activeNodes.add(d.target.id);
+            } else if (state === 'done') {
+                doneNodes.add(d.source.id);
+                doneNodes.add(d.target.id);
             }
         });
 
-        // Draw nodes
-        const nodeGroup = svg.append('g').attr('class', 'crawler-nodes');
+        svg.selectAll('.arch-link')
+            .attr('marker-end', d => linkState(d) === 'active' ? 'url(#arrowhead-trace)' : 'url(#arrowhead)')
+            .transition()
+            .duration(300)
+            .attr('stroke', d => linkState(d) === 'active' ? TRACE_COLOR : '#64748b')
+            .attr('stroke-width', d => linkState(d) === 'active' ? 3.5 : 2)
+            .attr('opacity', d => ({ active: 1, done: 0.45, idle: 0.08 })[linkState(d)]);
+
+        svg.selectAll('.arch-node')
+            .transition()
+            .duration(300)
+            .attr('opacity', d => activeNodes.has(d.id) ? 1 : doneNodes.has(d.id) ? 0.5 : 0.15);
+
+        svg.selectAll('.arch-seq-label')
+            .transition()
+            .duration(300)
+            .attr('opacity', d => ({ active: 1, done: 0.6, idle: 0.2 })[linkState(d)]);
+
+        svg.selectAll('.arch-seq-label circle')
+            .attr('stroke', d => linkState(d) === 'active' ? TRACE_COLOR : '#64748b');
+    }
 
-        nodes.forEach(node => {
-            const g = nodeGroup.append('g')
-                .attr('class', 'crawler-node')
-                .attr('transform', `translate(${node.x}, ${node.y})`)
-                .style('cursor', 'pointer');
+    // ===========================================
+    // FAILURE INJECTION
+    // ===========================================
 
-            // Node background
-            g.append('rect')
-                .attr('x', -50)
-                .attr('y', -25)
-                .attr('width', 100)
-                .attr('height', 50)
-                .attr('rx', 8)
-                .attr('fill', markerColors[node.type])
-                .attr('opacity', 0.15)
-                .attr('stroke', markerColors[node.type])
-                .attr('stroke-width', 2);
+    // Injected states are degraded/failed; the rest are derived from the links
+    const FAILURE_STATES = {
+        failed:       { label: 'Failed', color: '#ef4444', severity: 6 },
+        unavailable:  { label: 'Unavailable', color: '#64748b', severity: 5 },
+        degraded:     { label: 'Degraded', color: '#f59e0b', severity: 4 },
+        backpressure: { label: 'Backlog building', color: '#f97316', severity: 3 },
+        impaired:     { label: 'Impaired', color: '#fbbf24', severity: 2 },
+        stalled:      { label: 'Stalled', color: '#94a3b8', severity: 2 },
+        stale:        { label: 'Stale data', color: '#94a3b8', severity: 1 }
+    };
 
-            // Node label
-            g.append('text')
-                .attr('y', -5)
-                .attr('text-anchor', 'middle')
-                .attr('font-size', '12px')
-                .attr('font-weight', '600')
-                .attr('fill', markerColors[node.type])
-                .text(node.label);
+    const CAPABILITY_STATUS = {
+        down: 'Down',
+        degraded: 'Degraded',
+        ok: 'OK'
+    };
 
-            // Node sublabel
-            g.append('text')
-                .attr('y', 12)
-                .attr('text-anchor', 'middle')
-                .attr('font-size', '9px')
-                .attr('fill', 'var(--text-muted)')
-                .text(node.sublabel);
+    const failureState = {
+        enabled: false,
+        injected: new Map()  // component id -> 'degraded' | 'failed'
+    };
 
-            // Hover effects
-            g.on('mouseover', function() {
-                d3.select(this).select('rect')
-                    .transition()
-                    .duration(200)
-                    .attr('opacity', 0.3)
-                    .attr('stroke-width', 3);
-            })
-            .on('mouseout', function() {
-                d3.select(this).select('rect')
-                    .transition()
-                    .duration(200)
-                    .attr('opacity', 0.15)
-                    .attr('stroke-width', 2);
-            });
+    function initFailureMode() {
+        const panel = document.getElementById('failurePanel');
+        if (!panel) return;
+
+        panel.querySelector('.failure-toggle').addEventListener('click', () => {
+            setFailureMode(!failureState.enabled);
         });
 
-        // Animate data flow particles
-        function animateParticles() {
-            links.filter(l => !l.curved).forEach((link, i) => {
-                const source = nodeMap[link.source];
-                const target = nodeMap[link.target];
-                const color = markerColors[link.type];
+        panel.querySelector('.failure-reset').addEventListener('click', () => {
+            failureState.injected.clear();
+            applyFailureState();
+        });
+    }
 
-                setTimeout(() => {
-                    const particle = svg.append('circle')
-                        .attr('r', 4)
-                        .attr('fill', color)
-                        .attr('cx', source.x + 40)
-                        .attr('cy', source.y);
+    function setFailureMode(enabled) {
+        failureState.enabled = enabled;
+        failureState.injected.clear();
+
+        // Traces and failures both restyle the links, so only one runs at a time
+        if (enabled && traceState.active) stopTrace();
+        if (enabled && editorState.enabled) setEditMode(false);
+
+        applyFailureState();
+    }
+
+    // Clicking a node cycles healthy -> degraded -> failed -> healthy
+    function cycleFailure(componentId) {
+        const current = failureState.injected.get(componentId);
+
+        if (!current) failureState.injected.set(componentId, 'degraded');
+        else if (current === 'degraded') failureState.injected.set(componentId, 'failed');
+        else failureState.injected.delete(componentId);
+
+        applyFailureState();
+    }
+
+    // Work out what every component experiences by walking the architecture links
+    function computeFailureImpact(injected) {
+        const links = topology.views.architecture.links;
+        const roles = new Map(topology.components.map(c => [c.id, c.role]));
+        const states = new Map(injected);
+        const severity = id => states.has(id) ? FAILURE_STATES[states.get(id)].severity : 0;
+
+        // Ingestion steps are numbered, query steps are "Q1".."Q6"; dashed links are side paths
+        const isIngestion = l => !l.dashed && typeof l.seq === 'number';
+        const isQuery = l => typeof l.seq === 'string' && l.seq.startsWith('Q');
+
+        // The query path loops back to where it started; the answer ends there
+        const firstQuery = links.filter(isQuery).sort((a, b) => a.seq.localeCompare(b.seq, undefined, { numeric: true }))[0];
+        const queryOrigin = firstQuery ? firstQuery.source : null;
+
+        // Record a state unless the component is already in a worse one
+        function mark(id, state) {
+            if (FAILURE_STATES[state].severity <= severity(id)) return false;
+            states.set(id, state);
+            return true;
+        }
 
-                    particle.transition()
-                        .duration(1500)
-                        .ease(d3.easeLinear)
-                        .attr('cx', target.x - 40)
-                        .attr('cy', target.y)
-                        .remove();
-                }, i * 300);
+        // Downstream: query steps lose their input, ingestion steps stop receiving data.
+        // Repeat until nothing changes so overlapping failures settle on the worst state.
+        let changed = true;
+        while (changed) {
+            changed = false;
+            links.forEach(l => {
+                const from = states.get(l.source);
+                if (!from) return;
+
+                if (isQuery(l)) {
+                    if (l.target === queryOrigin) return;
+                    const down = from === 'failed' || from === 'unavailable';
+                    if (down && !l.optional) changed = mark(l.target, 'unavailable') || changed;
+                    else if (down || from === 'degraded' || from === 'impaired') {
+                        changed = mark(l.target, 'impaired') || changed;
+                    }
+                } else if (isIngestion(l) && ['failed', 'degraded', 'stale'].includes(from)) {
+                    changed = mark(l.target, 'stale') || changed;
+                }
             });
         }
 
-        // Run particle animation periodically
-        animateParticles();
-        setInterval(animateParticles, 4000);
+        // Upstream: the nearest queue absorbs the backlog, stages in between stall
+        const diverted = new Set();
+        injected.forEach((kind, id) => {
+            const blocked = new Set([id]);
+            const pending = [id];
+
+            while (pending.length > 0) {
+                const current = pending.shift();
+                links.filter(l => isIngestion(l) && l.target === current).forEach(l => {
+                    if (blocked.has(l.source)) return;
+
+                    if (roles.get(l.source) === 'queue') {
+                        mark(l.source, 'backpressure');
+                        return;
+                    }
+
+                    // A stage with another healthy output keeps flowing
+                    const outputs = links.filter(o => isIngestion(o) && o.source === l.source);
+                    if (!outputs.every(o => blocked.has(o.target))) return;
+
+                    blocked.add(l.source);
+                    if (kind === 'failed') mark(l.source, 'stalled');
+                    pending.push(l.source);
+                });
+            }
+
+            // Work the component cannot finish is diverted to its dead-letter queue
+            links.forEach(l => {
+                if (l.dashed && l.source === id && roles.get(l.target) === 'dead-letter') {
+                    diverted.add(`${l.source}>${l.target}`);
+                }
+            });
+        });
+
+        const capabilities = (topology.capabilities || []).map(capability => {
+            const causes = capability.requires.filter(id => states.has(id));
+            const worst = Math.max(0, ...causes.map(severity));
+            let status = 'ok';
+            if (worst >= FAILURE_STATES.unavailable.severity) status = 'down';
+            else if (causes.length > 0) status = 'degraded';
+            return { ...capability, causes, status };
+        });
+
+        return { states, diverted, capabilities };
     }
 
-    // Batching Graph - GPU Throughput Visualization
-    function initBatchingGraph() {
-        const container = document.getElementById('batchingGraph');
-        if (!container) return;
+    // Restyle the architecture graph and summary panel for the current failures
+    function applyFailureState() {
+        const impact = failureState.enabled && topology ? computeFailureImpact(failureState.injected) : null;
+        renderFailureSummary(impact);
 
-        container.innerHTML = '';
+        const svg = window.archGraphSvg;
+        if (!svg) return;
 
-        const width = container.clientWidth || 800;
-        const height = container.clientHeight || 350;
+        const stateOf = d => impact ? impact.states.get(d.ref) : undefined;
+        const isDiverted = d => Boolean(impact) && impact.diverted.has(`${d.source.id}>${d.target.id}`);
+        const isDown = d => ['failed', 'unavailable'].includes(stateOf(d));
 
-        const svg = d3.select(container)
-            .append('svg')
-            .attr('width', width)
-            .attr('height', height)
-            .attr('viewBox', `0 0 ${width} ${height}`);
+        svg.classed('failure-mode', Boolean(impact));
 
-        // Define arrow markers
-        const defs = svg.append('defs');
+        const node = svg.selectAll('.arch-node')
+            .attr('aria-label', d => archNodeLabel(d))
+            .each(function(d) {
+                const state = stateOf(d);
+                const el = d3.select(this);
+                Object.keys(FAILURE_STATES).forEach(key => el.classed(`fx-${key}`, key === state));
+            });
 
-        const markerColors = {
-            'input': '#3b82f6',
-            'batcher': '#f59e0b',
-            'gpu': '#8b5cf6'
-        };
+        // State badge above each affected node
+        node.selectAll('.arch-fx-badge')
+            .data(d => stateOf(d) ? [stateOf(d)] : [])
+            .join('text')
+            .attr('class', 'arch-fx-badge')
+            .text(state => FAILURE_STATES[state].label.toUpperCase())
+            .attr('text-anchor', 'middle')
+            .attr('y', -30)
+            .attr('fill', state => FAILURE_STATES[state].color)
+            .attr('font-size', '9px')
+            .attr('font-weight', '700')
+            .attr('font-family', 'JetBrains Mono, monospace')
+            .attr('pointer-events', 'none');
 
-        Object.entries(markerColors).forEach(([key, color]) => {
-            defs.append('marker')
-                .attr('id', `arrow-batch-${key}`)
-                .attr('viewBox', '0 -5 10 10')
-                .attr('refX', 20)
-                .attr('refY', 0)
-                .attr('markerWidth', 6)
-                .attr('markerHeight', 6)
-                .attr('orient', 'auto')
-                .append('path')
-                .attr('d', 'M0,-5L10,0L0,5')
-                .attr('fill', color);
+        // Queues fill up while their consumer is down
+        node.selectAll('.arch-backlog')
+            .data(d => stateOf(d) === 'backpressure' ? [d] : [])
+            .join(enter => enter.append('rect')
+                .attr('class', 'arch-backlog')
+                .attr('x', -50)
+                .attr('y', d => d.sublabel ? 27 : 22)
+                .attr('width', 0)
+                .attr('height', 4)
+                .attr('rx', 2)
+                .attr('fill', FAILURE_STATES.backpressure.color)
+                .attr('pointer-events', 'none')
+                .call(bar => bar.transition()
+                    .duration(6000)
+                    .ease(d3.easeLinear)
+                    .attr('width', 100)));
+
+        svg.selectAll('.arch-link')
+            .classed('fx-diverted', isDiverted)
+            .classed('fx-broken', d => !isDiverted(d) && (isDown(d.source) || isDown(d.target)));
+    }
+
+    function renderFailureSummary(impact) {
+        const panel = document.getElementById('failurePanel');
+        if (!panel) return;
+
+        const toggle = panel.querySelector('.failure-toggle');
+        toggle.classList.toggle('active', failureState.enabled);
+        toggle.setAttribute('aria-pressed', String(failureState.enabled));
+        toggle.textContent = failureState.enabled ? 'Exit failure mode' : 'Simulate failures';
+
+        panel.querySelector('.failure-hint').hidden = !failureState.enabled;
+        panel.querySelector('.failure-reset').hidden = failureState.injected.size === 0;
+
+        const summary = panel.querySelector('.failure-summary');
+        summary.hidden = !impact;
+        summary.innerHTML = '';
+        if (!impact) return;
+
+        const labelOf = id => topology.components.find(c => c.id === id).label;
+
+        function addList(title, className) {
+            const heading = document.createElement('h4');
+            heading.textContent = title;
+            const list = document.createElement('ul');
+            list.className = className;
+            summary.append(heading, list);
+            return list;
+        }
+
+        // Capabilities, worst first
+        const order = Object.keys(CAPABILITY_STATUS);
+        const capabilityList = addList('Capabilities', 'failure-capabilities');
+        impact.capabilities
+            .slice()
+            .sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status))
+            .forEach(capability => {
+                const item = document.createElement('li');
+                item.className = `failure-capability ${capability.status}`;
+
+                const status = document.createElement('span');
+                status.className = 'failure-status';
+                status.textContent = CAPABILITY_STATUS[capability.status];
+
+                const label = document.createElement('span');
+                label.className = 'failure-capability-label';
+                label.textContent = capability.label;
+                item.append(status, label);
+
+                if (capability.causes.length > 0) {
+                    const causes = document.createElement('small');
+                    causes.textContent = capability.causes
+                        .map(id => `${labelOf(id)}: ${FAILURE_STATES[impact.states.get(id)].label.toLowerCase()}`)
+                        .join(', ');
+                    item.appendChild(causes);
+                }
+                capabilityList.appendChild(item);
+            });
+
+        if (impact.states.size === 0) return;
+
+        // Components grouped by what they are experiencing
+        const effectList = addList('Components', 'failure-effects');
+        Object.entries(FAILURE_STATES).forEach(([key, info]) => {
+            const ids = [...impact.states].filter(([, state]) => state === key).map(([id]) => id);
+            if (ids.length === 0) return;
+
+            const item = document.createElement('li');
+            item.style.setProperty('--state-color', info.color);
+            item.textContent = `${info.label}: ${ids.map(labelOf).join(', ')}`;
+            effectList.appendChild(item);
         });
 
-        // Nodes data
-        const nodes = [
-            // Input layer (Crawlers)
-            { id: 'crawler1', label: 'Crawler 1', sublabel: 'Text chunks', type: 'input', x: 80, y: height * 0.2 },
-            { id: 'crawler2', label: 'Crawler 2', sublabel: 'Text chunks', type: 'input', x: 80, y: height * 0.5 },
-            { id: 'crawlerN', label: 'Crawler N', sublabel: '...', type: 'input', x: 80, y: height * 0.8 },
-            // Batcher layer
-            { id: 'queue', label: 'Queue', sublabel: 'FIFO', type: 'batcher', x: 280, y: height * 0.5 },
-            { id: 'accumulator', label: 'Accumulator', sublabel: 'batch=128 | 500ms', type: 'batcher', x: 480, y: height * 0.5 },
-            // GPU layer
-            { id: 'embedder', label: 'GPU Embedder', sublabel: 'Matrix Multiply', type: 'gpu', x: 700, y: height * 0.5 }
-        ];
+        impact.diverted.forEach(key => {
+            const [source, target] = key.split('>');
+            const item = document.createElement('li');
+            item.style.setProperty('--state-color', FAILURE_STATES.failed.color);
+            item.textContent = `Diverted: ${labelOf(source)} → ${labelOf(target)}`;
+            if (['failed', 'unavailable'].includes(impact.states.get(target))) {
+                item.textContent += ` (${labelOf(target)} is down, so these items are lost)`;
+            }
+            effectList.appendChild(item);
+        });
+    }
 
-        // Links data
-        const links = [
-            { source: 'crawler1', target: 'queue', type: 'input' },
-            { source: 'crawler2', target: 'queue', type: 'input' },
-            { source: 'crawlerN', target: 'queue', type: 'input' },
-            { source: 'queue', target: 'accumulator', type: 'batcher', label: 'Stream' },
-            { source: 'accumulator', target: 'embedder', type: 'gpu', label: 'Batch of 128' }
-        ];
+    // ===========================================
+    // ARCHITECTURE VARIANT DIFF
+    // ===========================================
 
-        // Create node map for link references
-        const nodeMap = {};
-        nodes.forEach(n => nodeMap[n.id] = n);
+    const DIFF_COLORS = {
+        added: '#10b981',
+        removed: '#ef4444',
+        changed: '#f59e0b',
+        same: '#64748b'
+    };
 
-        // Draw background regions for each stage
-        const stages = [
-            { x: 20, y: 20, w: 160, h: height - 40, label: 'INPUT', color: 'rgba(59, 130, 246, 0.08)', border: '#3b82f6' },
-            { x: 200, y: 20, w: 360, h: height - 40, label: 'BATCHER (CPU)', color: 'rgba(245, 158, 11, 0.08)', border: '#f59e0b' },
-            { x: 580, y: 20, w: width - 600, h: height - 40, label: 'GPU', color: 'rgba(139, 92, 246, 0.08)', border: '#8b5cf6' }
-        ];
+    const DIFF_MARKS = { added: '+', removed: '−', changed: '~' };
 
-        stages.forEach(stage => {
-            svg.append('rect')
-                .attr('x', stage.x)
-                .attr('y', stage.y)
-                .attr('width', stage.w)
-                .attr('height', stage.h)
-                .attr('rx', 12)
-                .attr('fill', stage.color)
-                .attr('stroke', stage.border)
-                .attr('stroke-width', 1)
-                .attr('stroke-dasharray', '4,4');
+    // Node and link fields compared between variants
+    const DIFF_NODE_FIELDS = ['label', 'sublabel', 'layer'];
+    const DIFF_LINK_FIELDS = ['seq', 'label', 'dashed'];
 
-            svg.append('text')
-                .attr('x', stage.x + 10)
-                .attr('y', stage.y + 20)
-                .attr('font-size', '10px')
-                .attr('font-weight', '700')
-                .attr('fill', stage.border)
-                .attr('opacity', 0.8)
-                .text(stage.label);
+    const variantDiffState = {
+        from: null,
+        to: null,
+        mode: 'side'  // 'side' (two panels) or 'overlay' (one merged panel)
+    };
+
+    // Apply a variant's patch to the architecture view; returns node specs, links and any problems
+    function applyVariantPatch(base, variant, componentIds) {
+        const problems = [];
+        const linkKey = l => `${l.source}>${l.target}`;
+
+        let nodes = base.nodes.map(entry => typeof entry === 'string' ? { ref: entry } : { ...entry });
+        let links = base.links.map(link => ({ ...link }));
+        const nodeId = spec => spec.id || spec.ref;
+        const hasNode = id => nodes.some(spec => nodeId(spec) === id);
+
+        (variant.removeNodes || []).forEach(id => {
+            if (!hasNode(id)) problems.push(`removeNodes: "${id}" is not in the architecture view`);
+            nodes = nodes.filter(spec => nodeId(spec) !== id);
+            links = links.filter(l => l.source !== id && l.target !== id);
         });
 
-        // Draw links
-        const linkGroup = svg.append('g').attr('class', 'batch-links');
+        (variant.addNodes || []).forEach(id => {
+            if (!componentIds.has(id)) problems.push(`addNodes: "${id}" is not a component`);
+            else if (hasNode(id)) problems.push(`addNodes: "${id}" is already in the view`);
+            else nodes.push({ ref: id });
+        });
+
+        Object.entries(variant.changeNodes || {}).forEach(([id, change]) => {
+            const spec = nodes.find(n => nodeId(n) === id);
+            if (!spec) problems.push(`changeNodes: "${id}" is not in this variant`);
+            else Object.assign(spec, change);
+        });
+
+        (variant.removeLinks || []).forEach(link => {
+            if (!links.some(l => linkKey(l) === linkKey(link))) {
+                problems.push(`removeLinks: no link from "${link.source}" to "${link.target}"`);
+            }
+            links = links.filter(l => linkKey(l) !== linkKey(link));
+        });
+
+        (variant.addLinks || []).forEach(link => {
+            if (!hasNode(link.source) || !hasNode(link.target)) {
+                problems.push(`addLinks: "${link.source}" -> "${link.target}" needs both nodes in this variant`);
+            } else if (links.some(l => linkKey(l) === linkKey(link))) {
+                problems.push(`addLinks: "${link.source}" -> "${link.target}" already exists`);
+            } else {
+                links.push({ ...link });
+            }
+        });
+
+        (variant.changeLinks || []).forEach(change => {
+            const link = links.find(l => linkKey(l) === linkKey(change));
+            if (!link) problems.push(`changeLinks: no link from "${change.source}" to "${change.target}"`);
+            else Object.assign(link, change);
+        });
+
+        return { nodes, links, problems };
+    }
+
+    function resolveVariant(variantId) {
+        const variant = topology.variants.find(v => v.id === variantId);
+        const componentIds = new Set(topology.components.map(c => c.id));
+        const { nodes, links } = applyVariantPatch(topology.views.architecture, variant, componentIds);
+        return { variant, nodes: resolveNodeEntries(nodes), links };
+    }
+
+    // Classify every node and link of two variants as added, removed, changed or same
+    function diffVariants(from, to) {
+        const linkKey = l => `${l.source}>${l.target}`;
+
+        function compare(fromItems, toItems, keyOf, fields) {
+            const result = new Map();
+            const toByKey = new Map(toItems.map(item => [keyOf(item), item]));
+
+            fromItems.forEach(item => {
+                const key = keyOf(item);
+                const other = toByKey.get(key);
+                if (!other) {
+                    result.set(key, { status: 'removed', from: item });
+                    return;
+                }
+                const changes = fields
+                    .filter(field => item[field] !== other[field])
+                    .map(field => ({ field, from: item[field], to: other[field] }));
+                result.set(key, { status: changes.length ? 'changed' : 'same', from: item, to: other, changes });
+            });
+
+            toItems.forEach(item => {
+                if (!result.has(keyOf(item))) result.set(keyOf(item), { status: 'added', to: item });
+            });
+
+            return result;
+        }
+
+        return {
+            nodes: compare(from.nodes, to.nodes, n => n.id, DIFF_NODE_FIELDS),
+            links: compare(from.links, to.links, linkKey, DIFF_LINK_FIELDS)
+        };
+    }
+
+    function initVariantControls() {
+        const container = document.getElementById('variantDiff');
+        const variants = topology.variants || [];
+        if (!container) return;
+
+        if (variants.length < 2) {
+            container.hidden = true;
+            return;
+        }
+
+        variantDiffState.from = variants[0].id;
+        variantDiffState.to = variants[1].id;
+
+        container.querySelectorAll('.variant-select').forEach(select => {
+            const side = select.getAttribute('data-side');
+            select.innerHTML = '';
+            variants.forEach(variant => {
+                const option = document.createElement('option');
+                option.value = variant.id;
+                option.textContent = variant.label;
+                select.appendChild(option);
+            });
+            select.value = variantDiffState[side];
+            select.addEventListener('change', () => {
+                variantDiffState[side] = select.value;
+                initVariantDiffGraph();
+            });
+        });
+
+        container.querySelectorAll('.variant-mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                variantDiffState.mode = btn.getAttribute('data-mode');
+                container.querySelectorAll('.variant-mode-btn').forEach(b => {
+                    b.classList.toggle('active', b === btn);
+                    b.setAttribute('aria-pressed', String(b === btn));
+                });
+                initVariantDiffGraph();
+            });
+        });
+    }
+
+    function initVariantDiffGraph() {
+        const container = document.getElementById('variantDiffGraph');
+        if (!container || typeof d3 === 'undefined' || !topology ||
+            !variantDiffState.from || !variantDiffState.to) return;
+
+        container.innerHTML = '';
+
+        const width = container.clientWidth || 900;
+        const height = 480;
+        const titleHeight = 36;
+
+        const svg = d3.select(container)
+            .append('svg')
+            .attr('width', '100%')
+            .attr('height', height)
+            .attr('viewBox', `0 0 ${width} ${height}`);
+
+        Object.entries(DIFF_COLORS).forEach(([status, color]) => {
+            svg.append('defs').append('marker')
+                .attr('id', `arrow-diff-${status}`)
+                .attr('viewBox', '0 -5 10 10')
+                .attr('refX', 10)
+                .attr('refY', 0)
+                .attr('markerWidth', 6)
+                .attr('markerHeight', 6)
+                .attr('orient', 'auto')
+                .append('path')
+                .attr('d', 'M0,-5L10,0L0,5')
+                .attr('fill', color);
+        });
+
+        const from = resolveVariant(variantDiffState.from);
+        const to = resolveVariant(variantDiffState.to);
+        const diff = diffVariants(from, to);
+        const layerColors = layerColorMap();
+
+        // Shared layout: one row per layer, nodes of both variants in a stable order,
+        // so a component sits in the same spot on either side
+        const union = [...from.nodes, ...to.nodes.filter(n => !diff.nodes.get(n.id).from)];
+        const rowHeight = (height - titleHeight) / topology.layers.length;
+        const rows = topology.layers.map(layer => union.filter(n => n.layer === layer.id).map(n => n.id));
+
+        function place(id, left, panelWidth) {
+            const row = rows.findIndex(ids => ids.includes(id));
+            const col = rows[row].indexOf(id);
+            return {
+                x: left + panelWidth * (col + 1) / (rows[row].length + 1),
+                y: titleHeight + rowHeight * (row + 0.5)
+            };
+        }
+
+        const panels = variantDiffState.mode === 'overlay'
+            ? [{ title: `${from.variant.label} → ${to.variant.label}`, side: 'overlay', left: 0, width }]
+            : [
+                { title: from.variant.label, side: 'from', graph: from, left: 0, width: width / 2 },
+                { title: to.variant.label, side: 'to', graph: to, left: width / 2, width: width / 2 }
+            ];
+
+        const panelLinks = [];
+
+        // Status as seen from one panel: the left side only shows removals, the right only additions
+        function statusFor(entry, side) {
+            if (side === 'from' && entry.status === 'added') return null;
+            if (side === 'to' && entry.status === 'removed') return null;
+            return entry.status;
+        }
+
+        panels.forEach(panel => {
+            const g = svg.append('g').attr('class', `variant-panel variant-panel-${panel.side}`);
+            const nodeWidth = Math.min(96, panel.width / 6);
+
+            if (panel.side === 'to') {
+                g.append('line')
+                    .attr('x1', panel.left)
+                    .attr('x2', panel.left)
+                    .attr('y1', 8)
+                    .attr('y2', height - 8)
+                    .attr('stroke', '#334155')
+                    .attr('stroke-dasharray', '4,4');
+            }
+
+            g.append('text')
+                .text(panel.title)
+                .attr('x', panel.left + panel.width / 2)
+                .attr('y', 22)
+                .attr('text-anchor', 'middle')
+                .attr('fill', '#f8fafc')
+                .attr('font-size', '12px')
+                .attr('font-weight', '600')
+                .attr('font-family', 'Inter, sans-serif');
+
+            const nodeEntries = [...diff.nodes]
+                .map(([id, entry]) => ({ id, entry, status: statusFor(entry, panel.side), side: panel.side, panel: panel.title }))
+                .filter(item => item.status);
+            const linkEntries = [...diff.links].map(([key, entry]) => ({ key, entry, status: statusFor(entry, panel.side) }))
+                .filter(item => item.status);
+
+            // Links, drawn to the edge of the node boxes
+            const pos = id => place(id, panel.left, panel.width);
+            const linkGroup = g.append('g').attr('class', 'variant-links');
+
+            linkGroup.selectAll('path')
+                .data(linkEntries)
+                .join('path')
+                .attr('class', d => `variant-link ${d.status}`)
+                .attr('fill', 'none')
+                .attr('stroke', d => DIFF_COLORS[d.status])
+                .attr('stroke-width', d => d.status === 'same' ? 1.5 : 2.5)
+                .attr('stroke-opacity', d => d.status === 'same' ? 0.5 : 0.9)
+                .attr('stroke-dasharray', d => {
+                    const link = d.entry.to || d.entry.from;
+                    if (d.status === 'removed' && panel.side === 'overlay') return '2,4';
+                    return link.dashed ? '5,5' : null;
+                })
+                .attr('marker-end', d => `url(#arrow-diff-${d.status})`)
+                .attr('d', d => {
+                    const link = d.entry.to || d.entry.from;
+                    const s = pos(link.source);
+                    const t = pos(link.target);
+                    const angle = Math.atan2(t.y - s.y, t.x - s.x);
+                    // Stop short of the target box
+                    const inset = Math.min(Math.abs(nodeWidth / 2 / Math.cos(angle)), Math.abs(18 / Math.sin(angle)));
+                    const tx = t.x - Math.cos(angle) * (inset + 2);
+                    const ty = t.y - Math.sin(angle) * (inset + 2);
+                    const bend = 18;
+                    const mx = (s.x + tx) / 2 - Math.sin(angle) * bend;
+                    const my = (s.y + ty) / 2 + Math.cos(angle) * bend;
+                    return `M${s.x},${s.y} Q${mx},${my} ${tx},${ty}`;
+                })
+                .on('mouseover', (event, d) => showTooltip(event, describeDiffEntry(d.entry, true)))
+                .on('mouseout', hideTooltip);
+
+            // Nodes
+            const node = g.append('g')
+                .attr('class', 'variant-nodes')
+                .selectAll('g')
+                .data(nodeEntries)
+                .join('g')
+                .attr('class', d => `variant-node ${d.status}`)
+                .attr('transform', d => `translate(${pos(d.id).x},${pos(d.id).y})`)
+                .attr('opacity', d => d.status === 'removed' && panel.side === 'overlay' ? 0.55 : 1)
+                .on('mouseover', (event, d) => showTooltip(event, describeDiffEntry(d.entry, false)))
+                .on('mouseout', hideTooltip);
+
+            node.append('rect')
+                .attr('x', -nodeWidth / 2)
+                .attr('y', -18)
+                .attr('width', nodeWidth)
+                .attr('height', 36)
+                .attr('rx', 6)
+                .attr('fill', d => layerColors[(d.entry.to || d.entry.from).layer])
+                .attr('fill-opacity', d => d.status === 'same' ? 0.55 : 0.9)
+                .attr('stroke', d => d.status === 'same' ? '#fff' : DIFF_COLORS[d.status])
+                .attr('stroke-width', d => d.status === 'same' ? 1 : 3)
+                .attr('stroke-dasharray', d => d.status === 'removed' && panel.side === 'overlay' ? '4,3' : null);
+
+            node.append('text')
+                .text(d => (d.entry.to || d.entry.from).label)
+                .attr('text-anchor', 'middle')
+                .attr('y', d => (d.entry.to || d.entry.from).sublabel ? -3 : 4)
+                .attr('fill', '#fff')
+                .attr('font-size', '10px')
+                .attr('font-weight', '600')
+                .attr('font-family', 'Inter, sans-serif')
+                .attr('pointer-events', 'none');
+
+            node.filter(d => (d.entry.to || d.entry.from).sublabel)
+                .append('text')
+                .text(d => (d.entry.to || d.entry.from).sublabel)
+                .attr('text-anchor', 'middle')
+                .attr('y', 10)
+                .attr('fill', 'rgba(255,255,255,0.8)')
+                .attr('font-size', '8px')
+                .attr('font-family', 'Inter, sans-serif')
+                .attr('pointer-events', 'none');
+
+            // Corner mark for anything that differs
+            const mark = node.filter(d => DIFF_MARKS[d.status])
+                .append('g')
+                .attr('transform', `translate(${nodeWidth / 2},-18)`);
+
+            mark.append('circle')
+                .attr('r', 8)
+                .attr('fill', d => DIFF_COLORS[d.status]);
+
+            mark.append('text')
+                .text(d => DIFF_MARKS[d.status])
+                .attr('text-anchor', 'middle')
+                .attr('dominant-baseline', 'central')
+                .attr('fill', '#fff')
+                .attr('font-size', '11px')
+                .attr('font-weight', '700')
+                .attr('pointer-events', 'none');
+
+            // Panel-qualified ends, since a component usually appears on both sides
+            linkEntries.forEach(d => {
+                const link = d.entry.to || d.entry.from;
+                panelLinks.push({
+                    source: `${panel.side}:${link.source}`,
+                    target: `${panel.side}:${link.target}`,
+                    label: d.status === 'same' ? '' : d.status
+                });
+            });
+        });
+
+        makeGraphAccessible(container, svg, {
+            label: `Architecture variant diff: ${from.variant.label} compared with ${to.variant.label}`,
+            nodes: svg.selectAll('.variant-node'),
+            links: panelLinks,
+            id: d => `${d.side}:${d.id}`,
+            name: d => (d.entry.to || d.entry.from).label,
+            describe: d => `${d.status} in ${d.panel}`,
+            tooltip: d => describeDiffEntry(d.entry, false)
+        });
+
+        renderVariantDiffSummary(from, to, diff);
+    }
+
+    function componentLabel(id) {
+        const component = topology.components.find(c => c.id === id);
+        return component ? component.label : id;
+    }
+
+    function describeDiffEntry(entry, isLink) {
+        const item = entry.to || entry.from;
+        const title = isLink
+            ? `${componentLabel(item.source)} → ${componentLabel(item.target)}`
+            : item.label;
+        const show = value => value === undefined ? '—' : escapeHtml(value);
+        const lines = [`<strong>${escapeHtml(title)}</strong>`, escapeHtml(entry.status)];
+        (entry.changes || []).forEach(change => {
+            lines.push(`${escapeHtml(change.field)}: ${show(change.from)} → ${show(change.to)}`);
+        });
+        return lines.join('<br>');
+    }
+
+    function renderVariantDiffSummary(from, to, diff) {
+        const summary = document.getElementById('variantDiffSummary');
+        if (!summary) return;
+
+        summary.innerHTML = '';
+
+        const descriptions = document.createElement('div');
+        descriptions.className = 'variant-descriptions';
+        [from, to].forEach(({ variant }) => {
+            const p = document.createElement('p');
+            const name = document.createElement('strong');
+            name.textContent = variant.label;
+            p.append(name, document.createTextNode(variant.description ? `: ${variant.description}` : ''));
+            descriptions.appendChild(p);
+        });
+        summary.appendChild(descriptions);
+
+        const list = document.createElement('ul');
+        list.className = 'variant-changes';
+
+        function addChange(entry, text) {
+            const item = document.createElement('li');
+            item.className = entry.status;
+            const mark = document.createElement('span');
+            mark.className = 'variant-change-mark';
+            mark.textContent = DIFF_MARKS[entry.status];
+            item.append(mark, document.createTextNode(text));
+            list.appendChild(item);
+        }
+
+        const details = entry => (entry.changes || [])
+            .map(c => `${c.field} ${c.from === undefined ? '—' : c.from} → ${c.to === undefined ? '—' : c.to}`)
+            .join(', ');
+
+        ['removed', 'added', 'changed'].forEach(status => {
+            diff.nodes.forEach(entry => {
+                if (entry.status !== status) return;
+                const node = entry.to || entry.from;
+                addChange(entry, status === 'changed'
+                    ? `${node.label}: ${details(entry)}`
+                    : `${node.label}${node.sublabel ? ` (${node.sublabel})` : ''}`);
+            });
+            diff.links.forEach(entry => {
+                if (entry.status !== status) return;
+                const link = entry.to || entry.from;
+                const name = `${componentLabel(link.source)} → ${componentLabel(link.target)}`;
+                const tag = [link.seq, link.label].filter(v => v !== undefined).join(' ');
+                addChange(entry, status === 'changed'
+                    ? `${name}: ${details(entry)}`
+                    : `${name}${tag ? ` (${tag})` : ''}`);
+            });
+        });
+
+        if (list.children.length === 0) {
+            const same = document.createElement('p');
+            same.textContent = 'These variants have the same components and links.';
+            summary.appendChild(same);
+        } else {
+            summary.appendChild(list);
+        }
+    }
+
+    // ===========================================
+    // TOPOLOGY EDITOR
+    // ===========================================
+
+    // Edited topology documents are kept here as { source, topology } and replace data/topology.json
+    // on load; `source` fingerprints the file they were edited from, so a changed file wins
+    const TOPOLOGY_STORAGE_KEY = 'docuverse-topology';
+
+    const editorState = {
+        enabled: false,
+        selection: null,  // { type: 'node', id } or { type: 'link', index } into views.architecture.links
+        saved: false,     // whether the page is showing edits from localStorage
+        source: null,     // fingerprint of the data/topology.json that saved edits start from
+        positions: null   // node positions carried into the redraw after an edit
+    };
+
+    // Saved edits, if they were made to this version of the file and still pass validation
+    function readSavedTopology(source) {
+        editorState.source = source;
+
+        let saved;
+        try {
+            saved = JSON.parse(localStorage.getItem(TOPOLOGY_STORAGE_KEY));
+        } catch (err) {
+            return null;
+        }
+        if (!saved) return null;
+
+        if (saved.source !== source) {
+            removeSavedTopology();
+            setEditorStatus(`${TOPOLOGY_URL} has changed since your edits were saved, so they were discarded`, true);
+            return null;
+        }
+
+        const problems = validateTopology(saved.topology);
+        if (problems.length > 0) {
+            setEditorStatus(`Saved edits were ignored: ${problems[0]}`, true);
+            return null;
+        }
+        editorState.saved = true;
+        return saved.topology;
+    }
+
+    function removeSavedTopology() {
+        try {
+            localStorage.removeItem(TOPOLOGY_STORAGE_KEY);
+        } catch (err) {
+            // Nothing was stored
+        }
+    }
+
+    function initTopologyEditor() {
+        const panel = document.getElementById('topologyEditor');
+        if (!panel) return;
+
+        const layerSelect = panel.querySelector('.editor-add select[name="layer"]');
+        topology.layers.forEach(layer => {
+            const option = document.createElement('option');
+            option.value = layer.id;
+            option.textContent = layer.label;
+            layerSelect.appendChild(option);
+        });
+
+        panel.querySelector('.editor-toggle').addEventListener('click', () => {
+            setEditMode(!editorState.enabled);
+        });
+
+        panel.querySelector('.editor-add').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const form = e.target;
+            const label = form.elements.label.value.trim();
+            const sublabel = form.elements.sublabel.value.trim();
+            if (!label) return;
+
+            let id = null;
+            const added = editTopology(`Added ${label}`, draft => {
+                id = uniqueComponentId(draft, label);
+                const component = { id, label, layer: form.elements.layer.value };
+                if (sublabel) component.sublabel = sublabel;
+                draft.components.push(component);
+                draft.views.architecture.nodes.push(id);
+            });
+            if (added) {
+                form.reset();
+                selectEditorItem({ type: 'node', id });
+            }
+        });
+
+        const fileInput = panel.querySelector('.editor-file');
+        panel.querySelector('[data-action="export"]').addEventListener('click', exportTopology);
+        panel.querySelector('[data-action="import"]').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) importTopology(fileInput.files[0]);
+            fileInput.value = '';
+        });
+        panel.querySelector('[data-action="discard"]').addEventListener('click', discardTopologyEdits);
+
+        renderEditorPanel();
+    }
+
+    function setEditMode(enabled) {
+        editorState.enabled = enabled;
+        editorState.selection = null;
+
+        // Editing, failures and traces all restyle the graph, so only one runs at a time
+        if (enabled) {
+            if (failureState.enabled) setFailureMode(false);
+            if (traceState.active) stopTrace();
+            if (drawerComponentId) closeNodeDrawer();
+        }
+
+        setEditorStatus('');
+        renderEditorPanel();
+        applyEditorSelection();
+    }
+
+    function selectEditorItem(selection) {
+        editorState.selection = selection;
+        renderEditorPanel();
+        applyEditorSelection();
+    }
+
+    // Apply an edit to a copy of the topology and keep it only if the result still validates
+    function editTopology(message, mutate) {
+        const draft = JSON.parse(JSON.stringify(topology));
+        mutate(draft);
+        const pruned = pruneTopologyReferences(draft);
+
+        const problems = validateTopology(draft);
+        if (problems.length > 0) {
+            setEditorStatus(`Not applied: ${problems[0]}`, true);
+            return false;
+        }
+
+        if (window.archGraphSvg) {
+            editorState.positions = new Map(window.archGraphSvg.selectAll('.arch-node').data()
+                .map(d => [d.id, { x: d.x, y: d.y }]));
+        }
+        topology = draft;
+
+        const saved = saveTopology(topology);
+        ['architectureGraph', 'variantDiffGraph'].forEach(id => {
+            if (initializedGraphs.has(id)) graphInitFunctions[id]();
+        });
+        updateTraceControls();
+        renderEditorPanel();
+
+        if (saved) {
+            setEditorStatus(pruned > 0
+                ? `${message}; ${pruned} trace step${pruned === 1 ? '' : 's'} or variant entr${pruned === 1 ? 'y' : 'ies'} pointing at it removed`
+                : message);
+        }
+        return true;
+    }
+
+    function saveTopology(doc) {
+        try {
+            localStorage.setItem(TOPOLOGY_STORAGE_KEY, JSON.stringify({ source: editorState.source, topology: doc }));
+        } catch (err) {
+            setEditorStatus(`Not saved in this browser: ${err.message}`, true);
+            return false;
+        }
+        editorState.saved = true;
+        return true;
+    }
+
+    // Drop trace steps and variant patch entries left pointing at deleted nodes or links
+    function pruneTopologyReferences(doc) {
+        const view = doc.views.architecture;
+        const linkKey = l => `${l.source}>${l.target}`;
+        const nodeIds = new Set(view.nodes.map(entry => typeof entry === 'string' ? entry : entry.id || entry.ref));
+        const linkKeys = new Set(view.links.map(linkKey));
+        const seqs = new Set(view.links.map(l => String(l.seq)));
+        let removed = 0;
+
+        function keep(list, test) {
+            const kept = list.filter(test);
+            removed += list.length - kept.length;
+            return kept;
+        }
+
+        (view.traces || []).forEach(trace => {
+            trace.steps = keep(trace.steps, step => seqs.has(String(step.seq)));
+        });
+
+        (doc.variants || []).forEach(variant => {
+            if (variant.removeNodes) variant.removeNodes = keep(variant.removeNodes, id => nodeIds.has(id));
+            if (variant.addNodes) variant.addNodes = keep(variant.addNodes, id => !nodeIds.has(id));
+
+            const removedNodes = new Set(variant.removeNodes || []);
+            const variantIds = new Set([...nodeIds, ...(variant.addNodes || [])].filter(id => !removedNodes.has(id)));
+            const hasEnds = l => variantIds.has(l.source) && variantIds.has(l.target);
+
+            if (variant.changeNodes) {
+                Object.keys(variant.changeNodes).filter(id => !variantIds.has(id)).forEach(id => {
+                    delete variant.changeNodes[id];
+                    removed++;
+                });
+            }
+            if (variant.removeLinks) variant.removeLinks = keep(variant.removeLinks, l => linkKeys.has(linkKey(l)));
+
+            const removedLinks = new Set((variant.removeLinks || []).map(linkKey));
+            const inBase = l => linkKeys.has(linkKey(l)) && !removedLinks.has(linkKey(l));
+            if (variant.addLinks) variant.addLinks = keep(variant.addLinks, l => hasEnds(l) && !inBase(l));
+
+            const addedLinks = new Set((variant.addLinks || []).map(linkKey));
+            if (variant.changeLinks) {
+                variant.changeLinks = keep(variant.changeLinks, l => hasEnds(l) && (inBase(l) || addedLinks.has(linkKey(l))));
+            }
+        });
+
+        return removed;
+    }
+
+    function uniqueComponentId(doc, label) {
+        const base = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'component';
+        const taken = new Set(doc.components.map(c => c.id));
+        let id = base;
+        for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+        return id;
+    }
+
+    // Whether anything besides the architecture view refers to a component
+    function componentUsedElsewhere(doc, id) {
+        const refers = entries => entries.some(entry => (typeof entry === 'string' ? entry : entry.ref) === id);
+        return ['crawler', 'batching', 'rag'].some(name => refers(doc.views[name].nodes)) ||
+            doc.views.mindmap.branches.some(branch => branch.children.includes(id)) ||
+            (doc.capabilities || []).some(capability => capability.requires.includes(id)) ||
+            (doc.variants || []).some(variant => (variant.addNodes || []).includes(id));
+    }
+
+    // Rename a node: a component only drawn here is renamed outright, a shared one gets
+    // an override in the architecture view so the other diagrams keep their labels
+    function renameArchNode(doc, id, changes) {
+        const nodes = doc.views.architecture.nodes;
+        const index = nodes.findIndex(entry => (typeof entry === 'string' ? entry : entry.id || entry.ref) === id);
+        const spec = typeof nodes[index] === 'string' ? { ref: nodes[index] } : { ...nodes[index] };
+        const component = doc.components.find(c => c.id === spec.ref);
+
+        if (!componentUsedElsewhere(doc, component.id)) {
+            Object.entries(changes).forEach(([key, value]) => {
+                if (value) component[key] = value;
+                else delete component[key];
+                delete spec[key];
+            });
+        } else {
+            Object.entries(changes).forEach(([key, value]) => {
+                if (value === (component[key] || '')) delete spec[key];
+                else spec[key] = value;
+            });
+        }
+
+        nodes[index] = Object.keys(spec).length === 1 && spec.ref ? spec.ref : spec;
+    }
+
+    function deleteArchNode(doc, id) {
+        const view = doc.views.architecture;
+        const entry = view.nodes.find(e => (typeof e === 'string' ? e : e.id || e.ref) === id);
+        const ref = typeof entry === 'string' ? entry : entry.ref;
+
+        view.nodes = view.nodes.filter(e => e !== entry);
+        view.links = view.links.filter(l => l.source !== id && l.target !== id);
+        if (!componentUsedElsewhere(doc, ref)) {
+            doc.components = doc.components.filter(c => c.id !== ref);
+        }
+    }
+
+    // Sequence badges are numbers for ingestion steps and strings such as "Q1" for queries
+    function parseSeq(value) {
+        const text = value.trim().toUpperCase();
+        if (!text) return undefined;
+        return /^[0-9]+$/.test(text) ? Number(text) : text;
+    }
+
+    function renderEditorPanel() {
+        const panel = document.getElementById('topologyEditor');
+        if (!panel || !topology) return;
+
+        const toggle = panel.querySelector('.editor-toggle');
+        toggle.classList.toggle('active', editorState.enabled);
+        toggle.setAttribute('aria-pressed', String(editorState.enabled));
+        toggle.textContent = editorState.enabled ? 'Done editing' : 'Edit topology';
+
+        panel.querySelector('.editor-hint').hidden = !editorState.enabled;
+        panel.querySelector('.editor-body').hidden = !editorState.enabled;
+        panel.querySelector('[data-action="discard"]').hidden = !editorState.saved;
+        panel.querySelector('.editor-override').hidden = !editorState.saved;
+
+        const container = panel.querySelector('.editor-selection');
+        container.innerHTML = '';
+        const selection = editorState.selection;
+        if (!editorState.enabled || !selection) return;
+
+        const view = topology.views.architecture;
+        const nodes = resolveViewNodes('architecture');
+        const nameOf = id => (nodes.find(n => n.id === id) || {}).label || id;
+
+        function addField(form, text, input) {
+            const label = document.createElement('label');
+            label.className = 'editor-field';
+            label.append(text, input);
+            form.appendChild(label);
+            return input;
+        }
+
+        function makeInput(name, value, placeholder) {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.name = name;
+            input.value = value || '';
+            if (placeholder) input.placeholder = placeholder;
+            return input;
+        }
+
+        function makeButton(text, className, onClick) {
+            const btn = document.createElement('button');
+            btn.type = onClick ? 'button' : 'submit';
+            btn.className = className;
+            btn.textContent = text;
+            if (onClick) btn.addEventListener('click', onClick);
+            return btn;
+        }
+
+        const heading = document.createElement('h4');
+        container.appendChild(heading);
+
+        if (selection.type === 'node') {
+            const node = nodes.find(n => n.id === selection.id);
+            if (!node) return;
+            heading.textContent = node.label;
+
+            // Rename
+            const renameForm = document.createElement('form');
+            renameForm.className = 'editor-form';
+            const labelInput = addField(renameForm, 'Label', makeInput('label', node.label));
+            const sublabelInput = addField(renameForm, 'Sublabel', makeInput('sublabel', node.sublabel, 'optional'));
+            renameForm.appendChild(makeButton('Rename', 'editor-action'));
+            renameForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const label = labelInput.value.trim();
+                if (!label) {
+                    setEditorStatus('A component needs a label', true);
+                    return;
+                }
+                editTopology(`Renamed ${node.label}`, draft => {
+                    renameArchNode(draft, node.id, { label, sublabel: sublabelInput.value.trim() });
+                });
+            });
+
+            // Connect to another node
+            const connectForm = document.createElement('form');
+            connectForm.className = 'editor-form';
+            const targetSelect = document.createElement('select');
+            targetSelect.name = 'target';
+            nodes.filter(n => n.id !== node.id).forEach(n => {
+                const option = document.createElement('option');
+                option.value = n.id;
+                option.textContent = n.label;
+                targetSelect.appendChild(option);
+            });
+            addField(connectForm, 'Connect to', targetSelect);
+            connectForm.appendChild(makeButton('Connect', 'editor-action'));
+            connectForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const target = targetSelect.value;
+                if (view.links.some(l => l.source === node.id && l.target === target)) {
+                    setEditorStatus(`${node.label} already links to ${nameOf(target)}`, true);
+                    return;
+                }
+                const index = view.links.length;
+                if (editTopology(`Connected ${node.label} to ${nameOf(target)}`, draft => {
+                    draft.views.architecture.links.push({ source: node.id, target });
+                })) {
+                    selectEditorItem({ type: 'link', index });
+                }
+            });
+
+            // Existing links, for picking one to edit
+            const links = document.createElement('ul');
+            links.className = 'editor-links';
+            view.links.forEach((link, index) => {
+                if (link.source !== node.id && link.target !== node.id) return;
+                const item = document.createElement('li');
+                const text = `${nameOf(link.source)} → ${nameOf(link.target)}${link.seq ? ` (${link.seq})` : ''}`;
+                item.appendChild(makeButton(text, 'editor-link-btn', () => selectEditorItem({ type: 'link', index })));
+                links.appendChild(item);
+            });
+
+            const remove = makeButton('Delete component', 'editor-action editor-delete', () => {
+                if (editTopology(`Deleted ${node.label}`, draft => deleteArchNode(draft, node.id))) {
+                    selectEditorItem(null);
+                }
+            });
+
+            container.append(renameForm, connectForm, links, remove);
+        } else {
+            const link = view.links[selection.index];
+            if (!link) return;
+            heading.textContent = `${nameOf(link.source)} → ${nameOf(link.target)}`;
+
+            const linkForm = document.createElement('form');
+            linkForm.className = 'editor-form';
+            const labelInput = addField(linkForm, 'Label', makeInput('label', link.label, 'optional'));
+            const seqInput = addField(linkForm, 'Sequence', makeInput('seq', link.seq !== undefined ? String(link.seq) : '', 'e.g. 9 or Q7'));
+            const dashed = document.createElement('input');
+            dashed.type = 'checkbox';
+            dashed.name = 'dashed';
+            dashed.checked = Boolean(link.dashed);
+            addField(linkForm, 'Dashed', dashed);
+            linkForm.appendChild(makeButton('Save link', 'editor-action'));
+            linkForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                editTopology('Updated link', draft => {
+                    const target = draft.views.architecture.links[selection.index];
+                    const values = {
+                        label: labelInput.value.trim() || undefined,
+                        seq: parseSeq(seqInput.value),
+                        dashed: dashed.checked || undefined
+                    };
+                    Object.entries(values).forEach(([key, value]) => {
+                        if (value === undefined) delete target[key];
+                        else target[key] = value;
+                    });
+                });
+            });
+
+            const actions = document.createElement('div');
+            actions.className = 'editor-form';
+            actions.append(
+                makeButton(`Back to ${nameOf(link.source)}`, 'editor-action', () => {
+                    selectEditorItem({ type: 'node', id: link.source });
+                }),
+                makeButton('Delete link', 'editor-action editor-delete', () => {
+                    if (editTopology('Deleted link', draft => draft.views.architecture.links.splice(selection.index, 1))) {
+                        selectEditorItem({ type: 'node', id: link.source });
+                    }
+                })
+            );
+
+            container.append(linkForm, actions);
+        }
+    }
+
+    // Mark the selected node or link on the graph
+    function applyEditorSelection() {
+        const svg = window.archGraphSvg;
+        if (!svg) return;
+
+        const selection = editorState.enabled ? editorState.selection : null;
+        svg.classed('editing', editorState.enabled);
+
+        svg.selectAll('.arch-node')
+            .attr('aria-label', d => archNodeLabel(d))
+            .classed('editor-selected', d => Boolean(selection) && selection.type === 'node' && selection.id === d.id);
+
+        svg.selectAll('.arch-link')
+            .classed('editor-selected', (d, i) => Boolean(selection) && selection.type === 'link' && selection.index === i);
+    }
+
+    function setEditorStatus(text, isError) {
+        const status = document.querySelector('#topologyEditor .editor-status');
+        if (!status) return;
+        status.textContent = text;
+        status.classList.toggle('error', Boolean(isError));
+    }
+
+    function exportTopology() {
+        const blob = new Blob([JSON.stringify(topology, null, 4) + '\n'], { type: 'application/json' });
+        downloadBlob(blob, 'topology.json');
+    }
+
+    // An imported file replaces the whole topology, so every view is rebuilt from a reload
+    function importTopology(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            let doc;
+            try {
+                doc = JSON.parse(reader.result);
+            } catch (err) {
+                setEditorStatus(`${file.name} is not valid JSON: ${err.message}`, true);
+                return;
+            }
+
+            const problems = validateTopology(doc);
+            if (problems.length > 0) {
+                const more = problems.length > 1 ? ` (and ${problems.length - 1} more)` : '';
+                setEditorStatus(`${file.name} was not imported: ${problems[0]}${more}`, true);
+                return;
+            }
+
+            if (saveTopology(doc)) window.location.reload();
+        };
+        reader.readAsText(file);
+    }
+
+    function discardTopologyEdits() {
+        removeSavedTopology();
+        window.location.reload();
+    }
+
+    // ===========================================
+    // NODE DETAIL DRAWER
+    // ===========================================
+
+    // Component shown in the drawer (null when closed)
+    let drawerComponentId = null;
+    let drawerReturnFocus = null;
+
+    function initNodeDrawer() {
+        const drawer = document.getElementById('nodeDrawer');
+        if (!drawer) return;
+
+        drawer.querySelector('.node-drawer-close').addEventListener('click', closeNodeDrawer);
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !drawer.hidden) {
+                closeNodeDrawer();
+            }
+        });
+    }
+
+    function openNodeDrawer(componentId, returnFocus) {
+        const drawer = document.getElementById('nodeDrawer');
+        const component = topology && topology.components.find(c => c.id === componentId);
+        if (!drawer || !component) return;
+
+        const layer = topology.layers.find(l => l.id === component.layer);
+        drawerComponentId = componentId;
+        drawerReturnFocus = returnFocus || null;
+
+        drawer.style.setProperty('--drawer-accent', layer.color);
+        drawer.querySelector('.node-drawer-layer').textContent = `${layer.label} layer`;
+        drawer.querySelector('#nodeDrawerTitle').textContent = component.label;
+
+        const body = drawer.querySelector('.node-drawer-body');
+        body.innerHTML = '';
+
+        function addSection(title) {
+            const section = document.createElement('section');
+            section.className = 'node-drawer-section';
+            const heading = document.createElement('h4');
+            heading.textContent = title;
+            section.appendChild(heading);
+            body.appendChild(section);
+            return section;
+        }
+
+        function addAction(container, label, onClick) {
+            const btn = document.createElement('button');
+            btn.className = 'node-drawer-action';
+            btn.textContent = label;
+            btn.addEventListener('click', onClick);
+            container.appendChild(btn);
+        }
+
+        // Description and key facts
+        const overview = addSection('Overview');
+        if (component.sublabel) {
+            const sublabel = document.createElement('span');
+            sublabel.className = 'tech-chip';
+            sublabel.textContent = component.sublabel;
+            overview.appendChild(sublabel);
+        }
+        const description = document.createElement('p');
+        description.textContent = component.description || 'No description in the topology file yet.';
+        overview.appendChild(description);
+        if (component.details && component.details.length) {
+            const chips = document.createElement('div');
+            chips.className = 'arch-tech';
+            component.details.forEach(detail => {
+                const chip = document.createElement('span');
+                chip.className = 'tech-chip';
+                chip.textContent = detail;
+                chips.appendChild(chip);
+            });
+            overview.appendChild(chips);
+        }
+
+        // Throughput and cost figures
+        if (component.metrics && component.metrics.length) {
+            const metrics = addSection('Throughput & Cost');
+            const list = document.createElement('dl');
+            list.className = 'node-drawer-metrics';
+            component.metrics.forEach(metric => {
+                const term = document.createElement('dt');
+                term.textContent = metric.label;
+                const value = document.createElement('dd');
+                value.textContent = metric.value;
+                list.append(term, value);
+            });
+            metrics.appendChild(list);
+        }
+
+        // Matching architecture card for the layer
+        const card = document.querySelector(`.arch-card[data-layer="${component.layer}"]`);
+        if (card) {
+            const layerSection = addSection('Layer');
+            const copy = card.cloneNode(true);
+            copy.className = 'arch-card node-drawer-card';
+            copy.removeAttribute('style');
+            layerSection.appendChild(copy);
+        }
+
+        // Reference Implementation excerpt
+        const codePanel = component.code && document.getElementById(`code-${component.code}`);
+        if (codePanel) {
+            const codeSection = addSection('Reference Implementation');
+            const excerpt = document.createElement('div');
+            excerpt.className = 'node-drawer-code';
+            excerpt.append(
+                codePanel.querySelector('.code-header').cloneNode(true),
+                codePanel.querySelector('pre').cloneNode(true)
+            );
+            codeSection.appendChild(excerpt);
+        }
+
+        // Jump actions
+        const actions = document.createElement('div');
+        actions.className = 'node-drawer-actions';
+        const section = component.section && document.getElementById(component.section);
+        if (section) {
+            addAction(actions, 'Jump to section', () => scrollToElement(section));
+        }
+        if (card) {
+            addAction(actions, 'Show layer card', () => {
+                scrollToElement(card);
+                card.classList.add('spotlight');
+                setTimeout(() => card.classList.remove('spotlight'), 1600);
+            });
+        }
+        if (codePanel) {
+            addAction(actions, 'Open code', () => {
+                const tab = document.querySelector(`.code-tab[data-file="${component.code}"]`);
+                if (tab) tab.click();
+                scrollToElement(codePanel);
+            });
+        }
+        body.appendChild(actions);
+
+        drawer.hidden = false;
+        body.scrollTop = 0;
+        updateDrawerSelection();
+        drawer.querySelector('.node-drawer-close').focus();
+        pushUrlState();
+    }
+
+    function closeNodeDrawer() {
+        const drawer = document.getElementById('nodeDrawer');
+        if (!drawer) return;
+
+        drawer.hidden = true;
+        drawerComponentId = null;
+        updateDrawerSelection();
+        pushUrlState();
+
+        if (drawerReturnFocus && document.contains(drawerReturnFocus)) {
+            drawerReturnFocus.focus();
+        }
+        drawerReturnFocus = null;
+    }
+
+    function updateDrawerSelection() {
+        const svg = window.archGraphSvg;
+        if (!svg) return;
+
+        svg.selectAll('.arch-node').classed('selected', d => d.ref === drawerComponentId);
+    }
+
+    // Crawler Graph - Producer-Consumer Pattern Visualization
+    function initCrawlerGraph() {
+        const container = document.getElementById('crawlerGraph');
+        if (!container || !topology) return;
+
+        container.innerHTML = '';
+
+        const width = container.clientWidth || 800;
+        const height = container.clientHeight || 400;
+
+        const svg = d3.select(container)
+            .append('svg')
+            .attr('width', width)
+            .attr('height', height)
+            .attr('viewBox', `0 0 ${width} ${height}`);
+
+        // Define arrow markers
+        const defs = svg.append('defs');
+
+        const markerColors = {
+            'producer': '#f59e0b',
+            'queue': '#3b82f6',
+            'worker': '#10b981',
+            'state': '#8b5cf6'
+        };
+
+        Object.entries(markerColors).forEach(([key, color]) => {
+            defs.append('marker')
+                .attr('id', `arrow-crawler-${key}`)
+                .attr('viewBox', '0 -5 10 10')
+                .attr('refX', 20)
+                .attr('refY', 0)
+                .attr('markerWidth', 6)
+                .attr('markerHeight', 6)
+                .attr('orient', 'auto')
+                .append('path')
+                .attr('d', 'M0,-5L10,0L0,5')
+                .attr('fill', color);
+        });
+
+        // Nodes (x in px, y as a fraction of height) and links from the shared topology
+        const nodes = resolveViewNodes('crawler');
+        nodes.forEach(n => n.y = height * n.y);
+        const links = viewLinks('crawler');
+
+        // Create node map for link references
+        const nodeMap = {};
+        nodes.forEach(n => nodeMap[n.id] = n);
+
+        // Draw links
+        const linkGroup = svg.append('g').attr('class', 'crawler-links');
+
+        links.forEach(link => {
+            const source = nodeMap[link.source];
+            const target = nodeMap[link.target];
+            const color = markerColors[link.type];
+
+            if (link.curved) {
+                // Curved path for feedback loops (worker -> queue)
+                const midX = (source.x + target.x) / 2;
+                const midY = Math.min(source.y, target.y) - 60;
+
+                linkGroup.append('path')
+                    .attr('class', 'crawler-link')
+                    .attr('d', `M${source.x},${source.y} Q${midX},${midY} ${target.x + 40},${target.y - 20}`)
+                    .attr('fill', 'none')
+                    .attr('stroke', color)
+                    .attr('stroke-width', 2)
+                    .attr('stroke-dasharray', '5,3')
+                    .attr('opacity', 0.7)
+                    .attr('marker-end', `url(#arrow-crawler-${link.type})`);
+            } else {
+                linkGroup.append('line')
+                    .attr('class', 'crawler-link')
+                    .attr('x1', source.x + 40)
+                    .attr('y1', source.y)
+                    .attr('x2', target.x - 40)
+                    .attr('y2', target.y)
+                    .attr('stroke', color)
+                    .attr('stroke-width', 2)
+                    .attr('opacity', 0.7)
+                    .attr('marker-end', `url(#arrow-crawler-${link.type})`);
+
+                // Add link label
+                if (link.label) {
+                    const labelX = (source.x + target.x) / 2;
+                    const labelY = (source.y + target.y) / 2 - 8;
+
+                    linkGroup.append('text')
+                        .attr('x', labelX)
+                        .attr('y', labelY)
+                        .attr('text-anchor', 'middle')
+                        .attr('font-size', '10px')
+                        .attr('fill', 'var(--text-muted)')
+                        .text(link.label);
+                }
+            }
+        });
+
+        // Draw nodes
+        const nodeGroup = svg.append('g').attr('class', 'crawler-nodes');
+
+        nodes.forEach(node => {
+            const g = nodeGroup.append('g')
+                .datum(node)
+                .attr('class', 'crawler-node')
+                .attr('transform', `translate(${node.x}, ${node.y})`)
+                .style('cursor', 'pointer');
+
+            // Node background
+            g.append('rect')
+                .attr('x', -50)
+                .attr('y', -25)
+                .attr('width', 100)
+                .attr('height', 50)
+                .attr('rx', 8)
+                .attr('fill', markerColors[node.type])
+                .attr('opacity', 0.15)
+                .attr('stroke', markerColors[node.type])
+                .attr('stroke-width', 2);
+
+            // Node label
+            g.append('text')
+                .attr('y', -5)
+                .attr('text-anchor', 'middle')
+                .attr('font-size', '12px')
+                .attr('font-weight', '600')
+                .attr('fill', markerColors[node.type])
+                .text(node.label);
+
+            // Node sublabel
+            g.append('text')
+                .attr('y', 12)
+                .attr('text-anchor', 'middle')
+                .attr('font-size', '9px')
+                .attr('fill', 'var(--text-muted)')
+                .text(node.sublabel);
+
+            // Hover effects
+            g.on('mouseover', function() {
+                d3.select(this).select('rect')
+                    .transition()
+                    .duration(200)
+                    .attr('opacity', 0.3)
+                    .attr('stroke-width', 3);
+            })
+            .on('mouseout', function() {
+                d3.select(this).select('rect')
+                    .transition()
+                    .duration(200)
+                    .attr('opacity', 0.15)
+                    .attr('stroke-width', 2);
+            });
+        });
+
+        makeGraphAccessible(container, svg, {
+            label: 'Crawler producer-consumer pipeline',
+            nodes: nodeGroup.selectAll('.crawler-node'),
+            links,
+            id: d => d.id,
+            name: d => d.label,
+            describe: d => d.sublabel
+        });
+
+        // Particles, queue length and busy workers come from the crawl simulation
+        attachCrawlerSimulation(svg, nodes, nodeMap, links, markerColors);
+    }
+
+    // Batching Graph - GPU Throughput Visualization
+    function initBatchingGraph() {
+        const container = document.getElementById('batchingGraph');
+        if (!container || !topology) return;
+
+        container.innerHTML = '';
+
+        const width = container.clientWidth || 800;
+        const height = container.clientHeight || 350;
+
+        const svg = d3.select(container)
+            .append('svg')
+            .attr('width', width)
+            .attr('height', height)
+            .attr('viewBox', `0 0 ${width} ${height}`);
+
+        // Define arrow markers
+        const defs = svg.append('defs');
+
+        const markerColors = {
+            'input': '#3b82f6',
+            'batcher': '#f59e0b',
+            'gpu': '#8b5cf6'
+        };
+
+        Object.entries(markerColors).forEach(([key, color]) => {
+            defs.append('marker')
+                .attr('id', `arrow-batch-${key}`)
+                .attr('viewBox', '0 -5 10 10')
+                .attr('refX', 20)
+                .attr('refY', 0)
+                .attr('markerWidth', 6)
+                .attr('markerHeight', 6)
+                .attr('orient', 'auto')
+                .append('path')
+                .attr('d', 'M0,-5L10,0L0,5')
+                .attr('fill', color);
+        });
+
+        // Nodes (x in px, y as a fraction of height) and links from the shared topology
+        const nodes = resolveViewNodes('batching');
+        nodes.forEach(n => n.y = height * n.y);
+        const links = viewLinks('batching');
+
+        // Create node map for link references
+        const nodeMap = {};
+        nodes.forEach(n => nodeMap[n.id] = n);
+
+        // Draw background regions for each stage
+        const stages = [
+            { x: 20, y: 20, w: 160, h: height - 40, label: 'INPUT', color: 'rgba(59, 130, 246, 0.08)', border: '#3b82f6' },
+            { x: 200, y: 20, w: 360, h: height - 40, label: 'BATCHER (CPU)', color: 'rgba(245, 158, 11, 0.08)', border: '#f59e0b' },
+            { x: 580, y: 20, w: width - 600, h: height - 40, label: 'GPU', color: 'rgba(139, 92, 246, 0.08)', border: '#8b5cf6' }
+        ];
+
+        stages.forEach(stage => {
+            svg.append('rect')
+                .attr('x', stage.x)
+                .attr('y', stage.y)
+                .attr('width', stage.w)
+                .attr('height', stage.h)
+                .attr('rx', 12)
+                .attr('fill', stage.color)
+                .attr('stroke', stage.border)
+                .attr('stroke-width', 1)
+                .attr('stroke-dasharray', '4,4');
+
+            svg.append('text')
+                .attr('x', stage.x + 10)
+                .attr('y', stage.y + 20)
+                .attr('font-size', '10px')
+                .attr('font-weight', '700')
+                .attr('fill', stage.border)
+                .attr('opacity', 0.8)
+                .text(stage.label);
+        });
+
+        // Draw links
+        const linkGroup = svg.append('g').attr('class', 'batch-links');
+
+        links.forEach(link => {
+            const source = nodeMap[link.source];
+            const target = nodeMap[link.target];
+            const color = markerColors[link.type];
+
+            linkGroup.append('line')
+                .attr('class', 'batch-link')
+                .attr('x1', source.x + 50)
+                .attr('y1', source.y)
+                .attr('x2', target.x - 50)
+                .attr('y2', target.y)
+                .attr('stroke', color)
+                .attr('stroke-width', 2)
+                .attr('opacity', 0.7)
+                .attr('marker-end', `url(#arrow-batch-${link.type})`);
+
+            // Add link label
+            if (link.label) {
+                const labelX = (source.x + target.x) / 2;
+                const labelY = (source.y + target.y) / 2 - 10;
+
+                linkGroup.append('text')
+                    .datum(link)
+                    .attr('class', 'batch-link-label')
+                    .attr('x', labelX)
+                    .attr('y', labelY)
+                    .attr('text-anchor', 'middle')
+                    .attr('font-size', '10px')
+                    .attr('font-weight', '600')
+                    .attr('fill', color)
+                    .text(link.label);
+            }
+        });
+
+        // Draw nodes
+        const nodeGroup = svg.append('g').attr('class', 'batch-nodes');
+
+        nodes.forEach(node => {
+            const g = nodeGroup.append('g')
+                .datum(node)
+                .attr('class', 'batch-node')
+                .attr('transform', `translate(${node.x}, ${node.y})`)
+                .style('cursor', 'pointer');
+
+            // Node background
+            g.append('rect')
+                .attr('x', -50)
+                .attr('y', -28)
+                .attr('width', 100)
+                .attr('height', 56)
+                .attr('rx', 10)
+                .attr('fill', markerColors[node.type])
+                .attr('opacity', 0.2)
+                .attr('stroke', markerColors[node.type])
+                .attr('stroke-width', 2);
+
+            // Node label
+            g.append('text')
+                .attr('y', -5)
+                .attr('text-anchor', 'middle')
+                .attr('font-size', '12px')
+                .attr('font-weight', '600')
+                .attr('fill', markerColors[node.type])
+                .text(node.label);
+
+            // Node sublabel
+            g.append('text')
+                .attr('class', 'batch-node-sublabel')
+                .attr('y', 12)
+                .attr('text-anchor', 'middle')
+                .attr('font-size', '9px')
+                .attr('fill', 'var(--text-muted)')
+                .text(node.sublabel);
+
+            // Hover effects
+            g.on('mouseover', function() {
+                d3.select(this).select('rect')
+                    .transition()
+                    .duration(200)
+                    .attr('opacity', 0.4)
+                    .attr('stroke-width', 3);
+            })
+            .on('mouseout', function() {
+                d3.select(this).select('rect')
+                    .transition()
+                    .duration(200)
+                    .attr('opacity', 0.2)
+                    .attr('stroke-width', 2);
+            });
+        });
+
+        makeGraphAccessible(container, svg, {
+            label: 'Embedding batching pipeline',
+            nodes: nodeGroup.selectAll('.batch-node'),
+            links,
+            id: d => d.id,
+            name: d => d.label,
+            describe: d => d.sublabel
+        });
+
+        // Particles, live labels and charts come from the batching simulation
+        attachBatchingSimulation(svg, nodeMap, links, markerColors, nodeGroup, linkGroup);
+    }
+
+    // ===========================================
+    // BATCHING SIMULATION
+    // ===========================================
+
+    // Discrete-event model of the Accumulator in front of one GPU embedder. Documents arrive as a
+    // Poisson stream (with optional periodic bursts); the accumulator flushes a batch when it is
+    // full or when its oldest document has waited the flush timeout, and the GPU runs batches in
+    // order. Batches are padded to the batch size, so a partial batch costs a full batch's GPU time.
+    const BATCH_TICK_MS = 250;
+    const BATCH_HISTORY_SECONDS = 60;
+    const BATCH_BURST_PERIOD = 10;     // seconds between the starts of two bursts
+    const BATCH_BURST_SECONDS = 2;
+    const BATCH_LATENCY_SAMPLES = 2000;
+    const BATCH_QUEUE_LIMIT = 1000;    // batches waiting for the GPU before the accumulator pushes back
+    const BATCH_RECENT = 100;          // flushed batches behind the fill and flush-reason stats
+
+    const batchingSim = {
+        params: { batchSize: 128, timeout: 500, arrival: 90, burst: 1, service: 250 },
+        running: true,
+        state: null,
+        view: null
+    };
+
+    function createBatchState(params) {
+        const state = {
+            time: 0,                      // simulated seconds
+            nextArrival: Infinity,
+            held: [],                     // arrival times of the documents in the accumulator
+            batches: [],                  // flushed batches waiting for the GPU
+            gpu: null,                    // batch on the GPU: { size, start, end }
+            busyTime: 0,                  // GPU seconds spent on finished batches
+            arrived: 0,
+            completed: 0,
+            rejected: 0,
+            flushed: 0,
+            recent: [],                   // size and flush reason of the last BATCH_RECENT batches
+            latencies: [],                // queueing latency (arrival to GPU start) of recent documents, ms
+            flow: { arrived: 0, batches: [] },  // since the last tick
+            history: [{ time: 0, completed: 0, busy: 0, rate: 0, utilisation: 0, p50: 0, p95: 0, p99: 0 }]
+        };
+        state.nextArrival = sampleArrival(params, 0);
+        return state;
+    }
+
+    function arrivalRate(params, time) {
+        const bursting = params.burst > 1 && time % BATCH_BURST_PERIOD < BATCH_BURST_SECONDS;
+        return params.arrival * (bursting ? params.burst : 1);
+    }
+
+    function sampleArrival(params, now) {
+        const rate = arrivalRate(params, now);
+        return rate > 0 ? now - Math.log(1 - Math.random()) / rate : Infinity;
+    }
+
+    function initBatchingSimulation() {
+        const panel = document.getElementById('batchingSim');
+        const params = batchingSim.params;
+
+        if (panel) {
+            const formats = {
+                batchSize: value => value,
+                timeout: value => `${value} ms`,
+                arrival: value => `${value} docs/s`,
+                burst: value => value > 1 ? `${value}× for ${BATCH_BURST_SECONDS}s of every ${BATCH_BURST_PERIOD}s` : 'off',
+                service: value => `${value} ms`
+            };
+
+            panel.querySelectorAll('[name]').forEach(input => {
+                const name = input.name;
+                const output = panel.querySelector(`output[for="${input.id}"]`);
+                const update = () => {
+                    params[name] = Number(input.value);
+                    if (output) output.textContent = formats[name](params[name]);
+
+                    const state = batchingSim.state;
+                    if (state) {
+                        // A full accumulator flushes as soon as the batch size drops to meet it
+                        if (name === 'batchSize' && state.held.length >= params.batchSize) flushBatch(state, params, state.time, 'fill');
+                        if (name === 'arrival' || name === 'burst') state.nextArrival = sampleArrival(params, state.time);
+                    }
+                    renderBatchingSim();
+                };
+                update();
+                input.addEventListener('input', update);
+            });
+
+            panel.querySelector('[data-action="toggle"]').addEventListener('click', (e) => {
+                batchingSim.running = !batchingSim.running;
+                e.target.textContent = batchingSim.running ? 'Pause' : 'Run';
+                if (batchingSim.running) startBatchingSim();
+                else stopBatchingSim();
+            });
+
+            panel.querySelector('[data-action="reset"]').addEventListener('click', () => {
+                batchingSim.state = createBatchState(params);
+                renderBatchingSim();
+            });
+        }
+
+        batchingSim.state = createBatchState(params);
+    }
+
+    function startBatchingSim() {
+        if (!batchingSim.running || !batchingSim.view) return;
+        scheduleAnimation('batchingGraph', BATCH_TICK_MS, tickBatchingSim);
+    }
+
+    function stopBatchingSim() {
+        cancelAnimation('batchingGraph');
+    }
+
+    function tickBatchingSim() {
+        const state = batchingSim.state;
+        const until = state.time + BATCH_TICK_MS / 1000;
+        advanceBatching(state, batchingSim.params, until);
+
+        // Throughput and utilisation over the last simulated second, latency over recent documents
+        const history = state.history;
+        const previous = history[Math.max(0, history.length - 1000 / BATCH_TICK_MS)];
+        const busy = state.busyTime + (state.gpu ? until - state.gpu.start : 0);
+        const elapsed = until - previous.time;
+        const sorted = state.latencies.slice().sort(d3.ascending);
+        history.push({
+            time: until,
+            completed: state.completed,
+            busy,
+            rate: (state.completed - previous.completed) / elapsed,
+            utilisation: (busy - previous.busy) / elapsed,
+            p50: d3.quantileSorted(sorted, 0.5) || 0,
+            p95: d3.quantileSorted(sorted, 0.95) || 0,
+            p99: d3.quantileSorted(sorted, 0.99) || 0
+        });
+        while (history[0].time < until - BATCH_HISTORY_SECONDS) history.shift();
+
+        renderBatchingSim();
+        state.flow = { arrived: 0, batches: [] };
+    }
+
+    // Process arrivals, flush timeouts and GPU completions in time order up to `until`
+    function advanceBatching(state, params, until) {
+        for (;;) {
+            const deadline = state.held.length ? state.held[0] + params.timeout / 1000 : Infinity;
+            const gpuDone = state.gpu ? state.gpu.end : Infinity;
+            const now = Math.min(state.nextArrival, deadline, gpuDone);
+            if (now > until) break;
+
+            if (now === gpuDone) {
+                state.completed += state.gpu.size;
+                state.busyTime += state.gpu.end - state.gpu.start;
+                state.gpu = null;
+                startGpuBatch(state, params, now);
+            } else if (now === deadline) {
+                flushBatch(state, params, now, 'timeout');
+            } else {
+                if (state.batches.length >= BATCH_QUEUE_LIMIT) {
+                    state.rejected++;
+                } else {
+                    state.held.push(now);
+                    state.arrived++;
+                    state.flow.arrived++;
+                    if (state.held.length >= params.batchSize) flushBatch(state, params, now, 'fill');
+                }
+                state.nextArrival = sampleArrival(params, now);
+            }
+        }
+        state.time = until;
+    }
+
+    function flushBatch(state, params, now, reason) {
+        const batch = { arrivals: state.held, reason };
+        state.held = [];
+        state.batches.push(batch);
+        state.flushed++;
+        state.recent.push({ size: batch.arrivals.length, reason });
+        if (state.recent.length > BATCH_RECENT) state.recent.shift();
+        state.flow.batches.push({ size: batch.arrivals.length, reason });
+        if (!state.gpu) startGpuBatch(state, params, now);
+    }
+
+    function startGpuBatch(state, params, now) {
+        const batch = state.batches.shift();
+        if (!batch) return;
+
+        batch.arrivals.forEach(arrival => state.latencies.push((now - arrival) * 1000));
+        if (state.latencies.length > BATCH_LATENCY_SAMPLES) {
+            state.latencies.splice(0, state.latencies.length - BATCH_LATENCY_SAMPLES);
+        }
+        state.gpu = { size: batch.arrivals.length, start: now, end: now + params.service / 1000 };
+    }
+
+    // Hook a freshly drawn batching graph up to the simulation
+    function attachBatchingSimulation(svg, nodeMap, links, colors, nodeGroup, linkGroup) {
+        const gpuLink = links.find(link => link.type === 'gpu');
+        const accumulator = gpuLink ? nodeMap[gpuLink.source] : null;
+        const gpu = gpuLink ? nodeMap[gpuLink.target] : null;
+
+        const flowLinks = links.map(link => {
+            const source = nodeMap[link.source];
+            const target = nodeMap[link.target];
+            return {
+                flow: link.type === 'gpu' ? 'batches' : 'arrived',
+                color: colors[link.type],
+                share: link.type === 'input' ? links.filter(l => l.type === 'input').length : 1,
+                point: t => ({
+                    x: source.x + 50 + (target.x - 50 - source.x - 50) * t,
+                    y: source.y + (target.y - source.y) * t
+                })
+            };
+        });
+
+        const label = (node, color) => svg.append('text')
+            .attr('class', 'batching-sim-label')
+            .attr('x', node.x)
+            .attr('y', node.y + 46)
+            .attr('text-anchor', 'middle')
+            .attr('font-size', '11px')
+            .attr('font-family', 'JetBrains Mono, monospace')
+            .attr('fill', color);
+
+        batchingSim.view = {
+            svg,
+            flowLinks,
+            particles: svg.append('g').attr('class', 'batching-particles').attr('pointer-events', 'none'),
+            heldLabel: accumulator ? label(accumulator, colors.batcher) : null,
+            gpuLabel: gpu ? label(gpu, colors.gpu) : null,
+            // The drawn "batch=128 | 500ms" and "Batch of 128" follow the sliders
+            sublabel: accumulator ? nodeGroup.selectAll('.batch-node').filter(d => d === accumulator).select('.batch-node-sublabel') : null,
+            batchLabel: linkGroup.selectAll('.batch-link-label').filter(d => d === gpuLink)
+        };
+
+        drawBatchingSimCharts();
+        renderBatchingSim();
+        startBatchingSim();
+    }
+
+    function renderBatchingSim() {
+        const view = batchingSim.view;
+        const state = batchingSim.state;
+        if (!view || !state) return;
+
+        const params = batchingSim.params;
+        const format = d3.format(',');
+        const latest = state.history[state.history.length - 1];
+        const oldest = state.held.length ? Math.round((state.time - state.held[0]) * 1000) : 0;
+
+        if (view.sublabel) view.sublabel.text(`batch=${params.batchSize} | ${params.timeout}ms`);
+        view.batchLabel.text(`Batch of ${params.batchSize}`);
+        if (view.heldLabel) view.heldLabel.text(`${state.held.length} / ${params.batchSize} · ${oldest} ms`);
+        if (view.gpuLabel) {
+            view.gpuLabel.text(state.batches.length
+                ? `${Math.round(latest.utilisation * 100)}% busy · ${format(state.batches.length)} queued`
+                : `${Math.round(latest.utilisation * 100)}% busy`);
+        }
+
+        // Documents flow along the input links; each flushed batch is one particle sized by its fill
+        if (!prefersReducedMotion()) {
+            view.flowLinks.forEach(link => {
+                if (link.flow === 'batches') {
+                    state.flow.batches.slice(0, 3).forEach((batch, i) => {
+                        spawnFlowParticle(view.particles, link.point, {
+                            color: batch.reason === 'fill' ? link.color : '#f59e0b',
+                            radius: 3 + 6 * batch.size / params.batchSize,
+                            delay: i * BATCH_TICK_MS / 3,
+                            duration: 1200
+                        });
+                    });
+                    return;
+                }
+                const moved = state.flow.arrived / link.share;
+                const count = Math.min(3, Math.ceil(Math.log10(1 + moved)));
+                for (let i = 0; i < count; i++) {
+                    spawnFlowParticle(view.particles, link.point, {
+                        color: link.color,
+                        radius: 3,
+                        delay: i * BATCH_TICK_MS / count,
+                        duration: 1200
+                    });
+                }
+            });
+        }
+
+        // Stats
+        const panel = document.getElementById('batchingSim');
+        if (panel) {
+            const recent = state.recent;
+            const ms = value => `${format(Math.round(value))} ms`;
+            const stats = {
+                utilisation: `${Math.round(latest.utilisation * 100)}%`,
+                rate: `${format(Math.round(latest.rate))} docs/s`,
+                capacity: `${format(Math.round(params.batchSize / (params.service / 1000)))} docs/s`,
+                p50: ms(latest.p50),
+                p95: ms(latest.p95),
+                p99: ms(latest.p99),
+                fill: recent.length ? `${Math.round(d3.mean(recent, b => b.size))} / ${params.batchSize}` : '–',
+                backlog: state.rejected
+                    ? `${format(state.batches.length)} batches, ${format(state.rejected)} refused`
+                    : `${format(state.batches.length)} batches`
+            };
+            Object.entries(stats).forEach(([key, text]) => {
+                const el = panel.querySelector(`[data-stat="${key}"]`);
+                if (el) el.textContent = text;
+            });
+
+            const fillShare = recent.length ? recent.filter(b => b.reason === 'fill').length / recent.length : 0;
+            const bar = panel.querySelector('.batch-flush-bar');
+            if (bar) {
+                bar.querySelector('[data-flush="fill"]').style.width = `${fillShare * 100}%`;
+                bar.querySelector('[data-flush="timeout"]').style.width = `${recent.length ? (1 - fillShare) * 100 : 0}%`;
+            }
+            const split = panel.querySelector('[data-stat="flushes"]');
+            if (split) {
+                split.textContent = recent.length
+                    ? `${Math.round(fillShare * 100)}% full · ${Math.round((1 - fillShare) * 100)}% timed out ` +
+                      `(last ${recent.length} of ${format(state.flushed)} batches)`
+                    : 'No batches yet';
+            }
+        }
+
+        updateBatchingSimCharts();
+    }
+
+    // Throughput and GPU utilisation, then queueing latency percentiles, over the last minute
+    function drawBatchingSimCharts() {
+        const container = document.getElementById('batchingSimCharts');
+        if (!container) return;
+
+        container.innerHTML = '';
+        const width = container.clientWidth || 800;
+        const height = 160;
+        const margin = { top: 16, right: 56, bottom: 24, left: 56 };
+
+        function makeChart(label, series, rightAxis) {
+            const svg = d3.select(container)
+                .append('svg')
+                .attr('width', width)
+                .attr('height', height)
+                .attr('role', 'img')
+                .attr('aria-label', label);
+
+            const chart = {
+                x: d3.scaleLinear().range([margin.left, width - margin.right]),
+                y: d3.scaleLinear().range([height - margin.bottom, margin.top]),
+                yRight: d3.scaleLinear().domain([0, 1]).range([height - margin.bottom, margin.top]),
+                xAxis: svg.append('g').attr('class', 'sim-axis').attr('transform', `translate(0, ${height - margin.bottom})`),
+                yAxis: svg.append('g').attr('class', 'sim-axis').attr('transform', `translate(${margin.left}, 0)`),
+                rightAxis: rightAxis ? svg.append('g').attr('class', 'sim-axis').attr('transform', `translate(${width - margin.right}, 0)`) : null,
+                lines: series.map(s => ({
+                    ...s,
+                    path: svg.append('path').attr('fill', 'none').attr('stroke', s.color).attr('stroke-width', 2)
+                }))
+            };
+
+            series.forEach((s, i) => {
+                svg.append('text')
+                    .text(s.label)
+                    .attr('x', s.right ? width - margin.right : margin.left + i * 48)
+                    .attr('y', 10)
+                    .attr('text-anchor', s.right ? 'end' : 'start')
+                    .attr('fill', s.color)
+                    .attr('font-size', '10px');
+            });
+            return chart;
+        }
+
+        batchingSim.view.charts = {
+            throughput: makeChart('Simulated throughput and GPU utilisation over the last minute', [
+                { key: 'rate', label: 'docs/sec', color: '#3b82f6' },
+                { key: 'utilisation', label: 'GPU busy', color: '#8b5cf6', right: true }
+            ], true),
+            latency: makeChart('Queueing latency percentiles over the last minute', [
+                { key: 'p50', label: 'p50', color: '#10b981' },
+                { key: 'p95', label: 'p95', color: '#f59e0b' },
+                { key: 'p99', label: 'p99', color: '#ef4444' }
+            ], false)
+        };
+    }
+
+    function updateBatchingSimCharts() {
+        const charts = batchingSim.view.charts;
+        if (!charts) return;
+
+        const history = batchingSim.state.history;
+        const now = history[history.length - 1].time;
+        const params = batchingSim.params;
+
+        Object.entries(charts).forEach(([name, chart]) => {
+            const ceiling = name === 'throughput'
+                ? Math.max(params.batchSize / (params.service / 1000), d3.max(history, h => h.rate))
+                : Math.max(params.timeout, d3.max(history, h => h.p99));
+            const tickFormat = name === 'latency' ? t => `${d3.format('~s')(t)} ms` : d3.format('~s');
+
+            chart.x.domain([Math.max(0, now - BATCH_HISTORY_SECONDS), Math.max(now, 1)]);
+            chart.y.domain([0, ceiling * 1.1]).nice();
+            chart.xAxis.call(d3.axisBottom(chart.x).ticks(6).tickFormat(t => `${t}s`));
+            chart.yAxis.call(d3.axisLeft(chart.y).ticks(4).tickFormat(tickFormat));
+            if (chart.rightAxis) chart.rightAxis.call(d3.axisRight(chart.yRight).ticks(4, '.0%'));
+
+            chart.lines.forEach(line => {
+                const y = line.right ? chart.yRight : chart.y;
+                line.path.attr('d', d3.line().x(h => chart.x(h.time)).y(h => y(h[line.key]))(history));
+            });
+        });
+    }
+
+    // ===========================================
+    // AUTOSCALING SIMULATION
+    // ===========================================
+
+    // One simulated day of the GPU embedding fleet, a second at a time. Chunks arrive following a
+    // workload curve, ready containers drain the backlog, the scale-up policy launches containers
+    // that only serve once their cold start is over, and idle containers shut down after the idle
+    // timeout. Every container is billed from launch to shutdown, cold start included.
+    const AUTOSCALE_DAY = 86400;
+    const AUTOSCALE_STEP_SIZE = 5;         // containers added per step by the step policy
+    const AUTOSCALE_STEP_INTERVAL = 30;    // seconds between steps
+    const AUTOSCALE_PLAYBACK_TICKS = 150;  // replay the chosen window in this many ticks
+    const AUTOSCALE_TICK_MS = 100;
+    const AUTOSCALE_COLORS = { busy: '#8b5cf6', idle: '#6b6b7b', starting: '#f59e0b', off: '#2a2a38', backlog: '#3b82f6', demand: '#10b981' };
+
+    // Relative intensity over the day; every curve delivers the same number of chunks
+    const halfSine = (t, start, length) => (t >= start && t < start + length ? Math.sin(Math.PI * (t - start) / length) : 0);
+    const AUTOSCALE_WORKLOADS = {
+        burst: t => halfSine(t, 14 * 3600, 3600),
+        releases: t => halfSine(t, 3 * 3600, 1200) + halfSine(t, 11 * 3600, 1200) + halfSine(t, 19 * 3600, 1200),
+        diurnal: t => 1 - 0.8 * Math.cos(2 * Math.PI * (t - 3 * 3600) / AUTOSCALE_DAY),
+        steady: () => 1
+    };
+
+    const autoscaleSim = {
+        params: {
+            workload: 'burst', pages: 100000, chunks: 40, gpuRate: 90,
+            policy: 'drain', drainTarget: 60, idleTimeout: 300, minContainers: 0, maxContainers: 50,
+            coldStart: 1.8, window: 'busiest'
+        },
+        result: null,
+        cursor: 0,      // seconds into the day the replay has reached
+        running: true,
+        view: null
+    };
+
+    function simulateAutoscaling(params) {
+        const intensity = new Float64Array(AUTOSCALE_DAY);
+        for (let t = 0; t < AUTOSCALE_DAY; t++) intensity[t] = AUTOSCALE_WORKLOADS[params.workload](t);
+        const scale = params.pages * params.chunks / d3.sum(intensity);
+
+        const samples = {
+            demand: new Float32Array(AUTOSCALE_DAY),    // containers the arrivals alone would keep busy
+            backlog: new Float32Array(AUTOSCALE_DAY),
+            busy: new Uint16Array(AUTOSCALE_DAY),
+            idle: new Uint16Array(AUTOSCALE_DAY),
+            starting: new Uint16Array(AUTOSCALE_DAY)
+        };
+        const arrived = new Float64Array(AUTOSCALE_DAY);
+        const served = new Float64Array(AUTOSCALE_DAY);
+        const provisionedServed = new Float64Array(AUTOSCALE_DAY);
+
+        // Ready containers, most recently busy first: work goes to the front, shutdowns come off the back
+        const ready = d3.range(params.minContainers).map(() => ({ lastBusy: 0 }));
+        const starting = [];  // ready-at times of containers still cold-starting
+        let backlog = 0;
+        let provisionedBacklog = 0;
+        let billed = 0;
+        let coldStarts = 0;
+        let peakBacklog = 0;
+        let peakContainers = 0;
+        let totalArrived = 0;
+        let totalServed = 0;
+        let provisionedTotal = 0;
+
+        for (let t = 0; t < AUTOSCALE_DAY; t++) {
+            const rate = intensity[t] * scale;
+            totalArrived += rate;
+            arrived[t] = totalArrived;
+
+            // Containers whose cold start has finished start serving (launched in order, so ready in order)
+            while (starting.length > 0 && starting[0] <= t) {
+                starting.shift();
+                ready.unshift({ lastBusy: t });
+            }
+
+            backlog += rate;
+            const processed = Math.min(backlog, ready.length * params.gpuRate);
+            backlog -= processed;
+            totalServed += processed;
+            served[t] = totalServed;
+
+            const busy = Math.ceil(processed / params.gpuRate - 1e-9);
+            for (let i = 0; i < busy; i++) ready[i].lastBusy = t;
+
+            // Scale up
+            const fleet = ready.length + starting.length;
+            let desired = fleet;
+            if (params.policy === 'drain') {
+                desired = Math.ceil((rate + backlog / params.drainTarget) / params.gpuRate - 1e-9);
+            } else if (t % AUTOSCALE_STEP_INTERVAL === 0 && backlog > 0) {
+                desired = fleet + AUTOSCALE_STEP_SIZE;
+            }
+            desired = Math.min(params.maxContainers, Math.max(params.minContainers, desired));
+            for (let i = fleet; i < desired; i++) {
+                starting.push(t + params.coldStart);
+                coldStarts++;
+            }
+
+            // Scale down: containers idle for the whole timeout shut down, down to the warm minimum
+            while (ready.length > 0 && ready.length + starting.length > params.minContainers &&
+                t - ready[ready.length - 1].lastBusy >= params.idleTimeout && busy < ready.length) {
+                ready.pop();
+            }
+
+            billed += ready.length + starting.length;
+            peakBacklog = Math.max(peakBacklog, backlog);
+            peakContainers = Math.max(peakContainers, ready.length + starting.length);
+
+            samples.demand[t] = rate / params.gpuRate;
+            samples.backlog[t] = backlog;
+            samples.busy[t] = Math.min(busy, ready.length);
+            samples.idle[t] = ready.length - samples.busy[t];
+            samples.starting[t] = starting.length;
+
+            // The same arrivals on an always-on fleet of the maximum size
+            provisionedBacklog += rate;
+            const provisionedProcessed = Math.min(provisionedBacklog, params.maxContainers * params.gpuRate);
+            provisionedBacklog -= provisionedProcessed;
+            provisionedTotal += provisionedProcessed;
+            provisionedServed[t] = provisionedTotal;
+        }
+
+        return {
+            samples,
+            billed,
+            provisionedBilled: params.maxContainers * AUTOSCALE_DAY,
+            coldStarts,
+            peakBacklog,
+            peakContainers,
+            leftover: backlog,
+            longestWait: longestWait(arrived, served),
+            provisionedWait: longestWait(arrived, provisionedServed)
+        };
+    }
+
+    // Longest time a chunk waited, first in first out: the chunk that arrived by second t is
+    // served once the cumulative served count catches up with the cumulative arrivals at t
+    function longestWait(arrived, served) {
+        let longest = 0;
+        let j = 0;
+        for (let t = 0; t < arrived.length; t++) {
+            if (arrived[t] - (t > 0 ? arrived[t - 1] : 0) <= 0) continue;
+            while (j < served.length && served[j] < arrived[t] - 1e-6) j++;
+            longest = Math.max(longest, j - t);
+        }
+        return longest;
+    }
+
+    // The replayed span: the whole day, or two hours around the busiest point
+    function autoscaleWindow() {
+        const { result, params } = autoscaleSim;
+        if (params.window === 'day' || !result) return [0, AUTOSCALE_DAY];
+
+        const demand = result.samples.demand;
+        let peak = 0;
+        for (let t = 1; t < AUTOSCALE_DAY; t++) {
+            if (demand[t] > demand[peak]) peak = t;
+        }
+        const start = Math.max(0, Math.min(AUTOSCALE_DAY - 7200, peak - 2400));
+        return [start, start + 7200];
+    }
+
+    function initAutoscaleSimulation() {
+        const panel = document.getElementById('autoscaleSim');
+        if (!panel) return;
+
+        const params = autoscaleSim.params;
+        const format = d3.format(',');
+        const formats = {
+            pages: value => format(value),
+            gpuRate: value => `${value} chunks/s`,
+            drainTarget: value => `${value} s`,
+            idleTimeout: value => `${value} s`,
+            coldStart: value => `${value} s`
+        };
+
+        panel.querySelectorAll('[name]').forEach(input => {
+            const name = input.name;
+            const output = panel.querySelector(`output[for="${input.id}"]`);
+            const update = () => {
+                params[name] = input.tagName === 'SELECT' ? input.value : Number(input.value);
+                if (output) output.textContent = formats[name] ? formats[name](params[name]) : params[name];
+                if (name === 'policy') panel.querySelector('[name="drainTarget"]').disabled = params.policy !== 'drain';
+            };
+            update();
+            input.addEventListener('input', () => {
+                update();
+                if (name === 'window') {
+                    replayAutoscaling();
+                    return;
+                }
+                // Keep the replay position; the new run covers the whole day
+                runAutoscaling();
+                if (autoscaleSim.view) drawAutoscaleGraph();
+                else renderAutoscaleSim();
+            });
+        });
+
+        panel.querySelector('[data-action="toggle"]').addEventListener('click', () => {
+            const [, end] = autoscaleWindow();
+            if (autoscaleSim.cursor >= end) autoscaleSim.cursor = autoscaleWindow()[0];
+            autoscaleSim.running = !autoscaleSim.running;
+            if (autoscaleSim.running) startAutoscaleReplay();
+            else stopAutoscaleReplay();
+            renderAutoscaleSim();
+        });
+
+        panel.querySelector('[data-action="replay"]').addEventListener('click', replayAutoscaling);
+
+        runAutoscaling();
+        autoscaleSim.cursor = autoscaleWindow()[0];
+        renderAutoscaleSim();
+    }
+
+    function runAutoscaling() {
+        autoscaleSim.result = simulateAutoscaling(autoscaleSim.params);
+    }
+
+    function replayAutoscaling() {
+        autoscaleSim.cursor = autoscaleWindow()[0];
+        autoscaleSim.running = true;
+        if (autoscaleSim.view) {
+            drawAutoscaleGraph();
+            startAutoscaleReplay();
+        } else {
+            renderAutoscaleSim();
+        }
+    }
+
+    function startAutoscaleReplay() {
+        if (!autoscaleSim.running || !autoscaleSim.view) return;
+        // Without motion the replay jumps straight to the end
+        if (prefersReducedMotion()) {
+            autoscaleSim.cursor = autoscaleWindow()[1];
+            autoscaleSim.running = false;
+            renderAutoscaleSim();
+            return;
+        }
+        scheduleAnimation('autoscaleGraph', AUTOSCALE_TICK_MS, tickAutoscaleReplay);
+    }
+
+    function stopAutoscaleReplay() {
+        cancelAnimation('autoscaleGraph');
+    }
+
+    function tickAutoscaleReplay() {
+        const [start, end] = autoscaleWindow();
+        autoscaleSim.cursor = Math.min(end, Math.max(start, autoscaleSim.cursor) + (end - start) / AUTOSCALE_PLAYBACK_TICKS);
+        if (autoscaleSim.cursor >= end) {
+            autoscaleSim.running = false;
+            stopAutoscaleReplay();
+        }
+        renderAutoscaleSim();
+    }
+
+    function initAutoscaleGraph() {
+        drawAutoscaleGraph();
+        startAutoscaleReplay();
+    }
+
+    // Containers by state (stacked) and backlog over the window, revealed up to the replay cursor,
+    // with the fleet at the cursor drawn a square per container underneath
+    function drawAutoscaleGraph() {
+        const container = document.getElementById('autoscaleGraph');
+        const { result, params } = autoscaleSim;
+        if (!container || !result) return;
+
+        container.innerHTML = '';
+        const width = container.clientWidth || 800;
+        const height = 240;
+        const margin = { top: 20, right: 64, bottom: 28, left: 48 };
+        const [start, end] = autoscaleWindow();
+
+        // Per-second points for a two-hour window, per-minute means for the whole day
+        const stride = end - start > 7200 ? 60 : 1;
+        const points = [];
+        for (let t = start; t < end; t += stride) {
+            const point = { t, busy: 0, idle: 0, starting: 0, backlog: 0, demand: 0 };
+            const span = Math.min(stride, end - t);
+            for (let s = t; s < t + span; s++) {
+                point.busy += result.samples.busy[s] / span;
+                point.idle += result.samples.idle[s] / span;
+                point.starting += result.samples.starting[s] / span;
+                point.demand += result.samples.demand[s] / span;
+                point.backlog = Math.max(point.backlog, result.samples.backlog[s]);
+            }
+            points.push(point);
+        }
+
+        const svg = d3.select(container)
+            .append('svg')
+            .attr('width', width)
+            .attr('height', height)
+            .attr('viewBox', `0 0 ${width} ${height}`)
+            .attr('role', 'img')
+            .attr('aria-label', 'Containers starting, busy and idle, and the chunk backlog, over the simulated window');
+
+        const x = d3.scaleLinear().domain([start, end]).range([margin.left, width - margin.right]);
+        const yFleet = d3.scaleLinear()
+            .domain([0, Math.max(params.maxContainers, d3.max(points, p => p.demand)) * 1.1])
+            .range([height - margin.bottom, margin.top]);
+        const yBacklog = d3.scaleLinear()
+            .domain([0, Math.max(1, d3.max(points, p => p.backlog)) * 1.1])
+            .range([height - margin.bottom, margin.top])
+            .nice();
+
+        const clipId = 'autoscale-reveal';
+        const reveal = svg.append('clipPath')
+            .attr('id', clipId)
+            .append('rect')
+            .attr('x', margin.left)
+            .attr('y', 0)
+            .attr('height', height);
+
+        const plot = svg.append('g').attr('clip-path', `url(#${clipId})`);
+        const stack = d3.stack().keys(['busy', 'idle', 'starting'])(points);
+        plot.selectAll('path.fleet')
+            .data(stack)
+            .join('path')
+            .attr('class', 'fleet')
+            .attr('fill', d => AUTOSCALE_COLORS[d.key])
+            .attr('fill-opacity', 0.75)
+            .attr('d', d3.area()
+                .x(d => x(d.data.t))
+                .y0(d => yFleet(d[0]))
+                .y1(d => yFleet(d[1]))
+                .curve(d3.curveStepAfter));
+
+        plot.append('path')
+            .attr('fill', 'none')
+            .attr('stroke', AUTOSCALE_COLORS.demand)
+            .attr('stroke-width', 1.5)
+            .attr('stroke-dasharray', '3,3')
+            .attr('d', d3.line().x(p => x(p.t)).y(p => yFleet(p.demand))(points));
+
+        plot.append('path')
+            .attr('fill', 'none')
+            .attr('stroke', AUTOSCALE_COLORS.backlog)
+            .attr('stroke-width', 2)
+            .attr('d', d3.line().x(p => x(p.t)).y(p => yBacklog(p.backlog))(points));
+
+        // The always-on fleet this is compared with
+        svg.append('line')
+            .attr('x1', margin.left)
+            .attr('x2', width - margin.right)
+            .attr('y1', yFleet(params.maxContainers))
+            .attr('y2', yFleet(params.maxContainers))
+            .attr('stroke', '#a0a0b0')
+            .attr('stroke-dasharray', '6,4');
+
+        svg.append('text')
+            .text(`always-on fleet (${params.maxContainers})`)
+            .attr('x', margin.left + 4)
+            .attr('y', yFleet(params.maxContainers) - 4)
+            .attr('fill', '#a0a0b0')
+            .attr('font-size', '10px');
+
+        const clock = t => d3.utcFormat('%H:%M')(new Date(t * 1000));
+        svg.append('g')
+            .attr('class', 'sim-axis')
+            .attr('transform', `translate(0, ${height - margin.bottom})`)
+            .call(d3.axisBottom(x).ticks(8).tickFormat(clock));
+        svg.append('g')
+            .attr('class', 'sim-axis')
+            .attr('transform', `translate(${margin.left}, 0)`)
+            .call(d3.axisLeft(yFleet).ticks(5));
+        svg.append('g')
+            .attr('class', 'sim-axis')
+            .attr('transform', `translate(${width - margin.right}, 0)`)
+            .call(d3.axisRight(yBacklog).ticks(5, '~s'));
+
+        svg.append('text')
+            .text('containers')
+            .attr('x', margin.left)
+            .attr('y', 12)
+            .attr('fill', AUTOSCALE_COLORS.busy)
+            .attr('font-size', '10px');
+
+        svg.append('text')
+            .text('backlog (chunks)')
+            .attr('x', width - margin.right)
+            .attr('y', 12)
+            .attr('text-anchor', 'end')
+            .attr('fill', AUTOSCALE_COLORS.backlog)
+            .attr('font-size', '10px');
+
+        const cursor = svg.append('line')
+            .attr('y1', margin.top)
+            .attr('y2', height - margin.bottom)
+            .attr('stroke', '#f0f0f5')
+            .attr('stroke-width', 1);
+
+        // Fleet at the cursor
+        const cell = 10;
+        const columns = Math.max(10, Math.floor((width - 32) / (cell + 2)));
+        const rows = Math.ceil(params.maxContainers / columns);
+        const fleet = d3.select(container)
+            .append('svg')
+            .attr('class', 'autoscale-fleet')
+            .attr('width', width)
+            .attr('height', rows * (cell + 2) + 8)
+            .attr('aria-hidden', 'true');
+        const cells = fleet.selectAll('rect')
+            .data(d3.range(params.maxContainers))
+            .join('rect')
+            .attr('x', i => 16 + (i % columns) * (cell + 2))
+            .attr('y', i => 4 + Math.floor(i / columns) * (cell + 2))
+            .attr('width', cell)
+            .attr('height', cell)
+            .attr('rx', 2);
+
+        autoscaleSim.view = { x, reveal, cursor, cells, clock };
+        renderAutoscaleSim();
+    }
+
+    function renderAutoscaleSim() {
+        const { view, result, params } = autoscaleSim;
+        const panel = document.getElementById('autoscaleSim');
+        if (!result || !panel) return;
+
+        const [start, end] = autoscaleWindow();
+        const cursor = Math.max(start, Math.min(end, autoscaleSim.cursor));
+        const t = Math.min(AUTOSCALE_DAY - 1, Math.floor(cursor));
+        const s = result.samples;
+        const format = d3.format(',');
+        const hours = seconds => `${d3.format(',.1f')(seconds / 3600)} GPU-h`;
+        const duration = seconds => seconds < 120 ? `${Math.round(seconds)} s` : `${d3.format(',.1f')(seconds / 60)} min`;
+
+        if (view) {
+            view.reveal.attr('width', Math.max(0, view.x(cursor) - view.x(start)));
+            view.cursor.attr('x1', view.x(cursor)).attr('x2', view.x(cursor));
+            view.cells.attr('fill', i => {
+                if (i < s.busy[t]) return AUTOSCALE_COLORS.busy;
+                if (i < s.busy[t] + s.idle[t]) return AUTOSCALE_COLORS.idle;
+                if (i < s.busy[t] + s.idle[t] + s.starting[t]) return AUTOSCALE_COLORS.starting;
+                return AUTOSCALE_COLORS.off;
+            });
+        }
+
+        const saving = 1 - result.billed / result.provisionedBilled;
+        const stats = {
+            clock: `${d3.utcFormat('%H:%M:%S')(new Date(t * 1000))}`,
+            fleet: `${s.busy[t]} busy · ${s.idle[t]} idle · ${s.starting[t]} starting`,
+            backlog: `${format(Math.round(s.backlog[t]))} chunks`,
+            billed: `${format(Math.round(result.billed))} GPU-s (${hours(result.billed)})`,
+            provisioned: `${format(result.provisionedBilled)} GPU-s (${hours(result.provisionedBilled)})`,
+            saving: saving >= 0 ? `${Math.round(saving * 100)}% less` : `${Math.round(-saving * 100)}% more`,
+            coldStarts: `${format(result.coldStarts)} (peak fleet ${result.peakContainers})`,
+            wait: `${duration(result.longestWait)} vs ${duration(result.provisionedWait)} always-on`,
+            peak: `${format(Math.round(result.peakBacklog))} chunks`
+        };
+        Object.entries(stats).forEach(([key, text]) => {
+            const el = panel.querySelector(`[data-stat="${key}"]`);
+            if (el) el.textContent = text;
+        });
+
+        const note = panel.querySelector('.autoscale-note');
+        if (note) {
+            note.textContent = result.leftover > 0.5
+                ? `${format(Math.round(result.leftover))} chunks are still queued at midnight: ${params.maxContainers} containers can't keep up with this workload.`
+                : '';
+        }
+
+        const toggle = panel.querySelector('[data-action="toggle"]');
+        toggle.textContent = autoscaleSim.running ? 'Pause' : (cursor >= end ? 'Play again' : 'Play');
+    }
+
+    // ===========================================
+    // CRAWLER SIMULATION
+    // ===========================================
+
+    // Discrete-event model of the frontier queue and worker pool behind the crawler graph.
+    // Each fetch is one event; the particles, queue length, stats and chart all read its counters.
+    const CRAWL_SEED_URLS = 2000;
+    const CRAWL_TICK_MS = 250;            // real time between simulation steps (simulated time runs 1:1)
+    const CRAWL_HISTORY_SECONDS = 60;     // span of the live chart
+    const CRAWL_TARGET_PAGES = 5000000;   // dataset size, for the time-to-crawl estimate
+    const CRAWL_MAX_FANOUT = 500;
+
+    const crawlerSim = {
+        params: { workers: 300, latency: 250, fanout: 8, distribution: 'poisson', dedup: 0.88 },
+        running: true,
+        state: null,
+        view: null  // crawler graph elements the simulation draws into
+    };
+
+    function createCrawlState(workers) {
+        return {
+            time: 0,              // simulated seconds
+            frontier: CRAWL_SEED_URLS,
+            completions: [],      // min-heap of fetch completion times, one per busy worker
+            idle: workers,
+            retiring: 0,          // workers that stop once their current fetch completes
+            crawled: 0,
+            checked: 0,           // links found on crawled pages
+            duplicates: 0,        // ...of which the dedup store had already seen
+            flow: { seeded: CRAWL_SEED_URLS, popped: 0, checked: 0, added: 0 },  // since the last tick
+            history: [{ time: 0, crawled: 0, frontier: CRAWL_SEED_URLS, rate: 0 }]
+        };
+    }
+
+    function initCrawlerSimulation() {
+        const panel = document.getElementById('crawlerSim');
+        const params = crawlerSim.params;
+
+        if (panel) {
+            const readers = {
+                workers: input => Number(input.value),
+                latency: input => Number(input.value),
+                fanout: input => Number(input.value),
+                distribution: input => input.value,
+                dedup: input => Number(input.value) / 100
+            };
+            const formats = {
+                latency: value => `${value} ms`,
+                dedup: value => `${Math.round(value * 100)}%`
+            };
+
+            panel.querySelectorAll('[name]').forEach(input => {
+                const name = input.name;
+                const output = panel.querySelector(`output[for="${input.id}"]`);
+                const update = () => {
+                    const value = readers[name](input);
+                    if (name === 'workers' && crawlerSim.state) {
+                        setCrawlWorkers(crawlerSim.state, params.workers, value);
+                    }
+                    params[name] = value;
+                    if (output) output.textContent = formats[name] ? formats[name](value) : value;
+                };
+                update();
+                input.addEventListener('input', update);
+            });
+
+            panel.querySelector('[data-action="toggle"]').addEventListener('click', (e) => {
+                crawlerSim.running = !crawlerSim.running;
+                e.target.textContent = crawlerSim.running ? 'Pause' : 'Run';
+                if (crawlerSim.running) startCrawlerSim();
+                else stopCrawlerSim();
+            });
+
+            panel.querySelector('[data-action="reset"]').addEventListener('click', () => {
+                crawlerSim.state = createCrawlState(params.workers);
+                renderCrawlerSim();
+            });
+        }
+
+        crawlerSim.state = createCrawlState(params.workers);
+    }
+
+    function startCrawlerSim() {
+        if (!crawlerSim.running || !crawlerSim.view) return;
+        scheduleAnimation('crawlerGraph', CRAWL_TICK_MS, tickCrawlerSim);
+    }
+
+    function stopCrawlerSim() {
+        cancelAnimation('crawlerGraph');
+    }
+
+    function tickCrawlerSim() {
+        const state = crawlerSim.state;
+        advanceCrawl(state, crawlerSim.params, state.time + CRAWL_TICK_MS / 1000);
+
+        // Pages/sec over the last simulated second
+        const history = state.history;
+        const previous = history[Math.max(0, history.length - 1000 / CRAWL_TICK_MS)];
+        const rate = (state.crawled - previous.crawled) / (state.time - previous.time);
+        history.push({ time: state.time, crawled: state.crawled, frontier: state.frontier, rate });
+        while (history[0].time < state.time - CRAWL_HISTORY_SECONDS) history.shift();
+
+        renderCrawlerSim();
+        state.flow = { seeded: 0, popped: 0, checked: 0, added: 0 };
+    }
+
+    // Process every fetch that completes before `until` (simulated seconds)
+    function advanceCrawl(state, params, until) {
+        function dispatch(now) {
+            while (state.idle > 0 && state.frontier > 0) {
+                state.idle--;
+                state.frontier--;
+                state.flow.popped++;
+                heapPush(state.completions, now + sampleLatency(params.latency));
+            }
+        }
+
+        dispatch(state.time);
+        while (state.completions.length > 0 && state.completions[0] <= until) {
+            const now = heapPop(state.completions);
+            const links = sampleFanout(params.fanout, params.distribution);
+            const fresh = sampleNewLinks(links, params.dedup);
+
+            state.crawled++;
+            state.checked += links;
+            state.duplicates += links - fresh;
+            state.frontier += fresh;
+            state.flow.checked += links;
+            state.flow.added += fresh;
+
+            if (state.retiring > 0) state.retiring--;
+            else state.idle++;
+            dispatch(now);
+        }
+        state.time = until;
+    }
+
+    // Scaling up revives retiring workers first; scaling down lets busy workers finish their page
+    function setCrawlWorkers(state, from, to) {
+        if (to > from) {
+            const revived = Math.min(state.retiring, to - from);
+            state.retiring -= revived;
+            state.idle += to - from - revived;
+        } else {
+            const fromIdle = Math.min(state.idle, from - to);
+            state.idle -= fromIdle;
+            state.retiring += from - to - fromIdle;
+        }
+    }
+
+    // Fetch time: exponential jitter around the mean, never below half of it
+    function sampleLatency(meanMs) {
+        return meanMs / 1000 * (0.5 - 0.5 * Math.log(1 - Math.random()));
+    }
+
+    function sampleFanout(mean, distribution) {
+        if (distribution === 'fixed') return Math.round(mean);
+
+        if (distribution === 'powerlaw') {
+            // Pareto with alpha 2: most pages link a little, hub pages link a lot
+            return Math.min(CRAWL_MAX_FANOUT, Math.round(mean / 2 / Math.sqrt(1 - Math.random())));
+        }
+
+        // Poisson (Knuth), or its normal approximation for large means
+        if (mean > 30) return Math.max(0, Math.round(mean + Math.sqrt(mean) * gaussian()));
+        const limit = Math.exp(-mean);
+        let count = 0;
+        let product = Math.random();
+        while (product > limit) {
+            count++;
+            product *= Math.random();
+        }
+        return count;
+    }
+
+    // Links that pass the dedup check (binomial, normal approximation for large pages)
+    function sampleNewLinks(links, dedupRate) {
+        const p = 1 - dedupRate;
+        if (links <= 30) {
+            let fresh = 0;
+            for (let i = 0; i < links; i++) {
+                if (Math.random() < p) fresh++;
+            }
+            return fresh;
+        }
+        const mean = links * p;
+        return Math.min(links, Math.max(0, Math.round(mean + Math.sqrt(mean * (1 - p)) * gaussian())));
+    }
+
+    function gaussian() {
+        return Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+    }
+
+    function heapPush(heap, value) {
+        heap.push(value);
+        let i = heap.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (heap[parent] <= heap[i]) break;
+            [heap[parent], heap[i]] = [heap[i], heap[parent]];
+            i = parent;
+        }
+    }
+
+    function heapPop(heap) {
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length === 0) return top;
+
+        heap[0] = last;
+        let i = 0;
+        for (;;) {
+            const left = 2 * i + 1;
+            const right = left + 1;
+            let smallest = i;
+            if (left < heap.length && heap[left] < heap[smallest]) smallest = left;
+            if (right < heap.length && heap[right] < heap[smallest]) smallest = right;
+            if (smallest === i) return top;
+            [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+            i = smallest;
+        }
+    }
+
+    // Hook a freshly drawn crawler graph up to the simulation
+    function attachCrawlerSimulation(svg, nodes, nodeMap, links, colors) {
+        const typeOf = id => nodeMap[id].type;
+
+        // Which simulation counter each link carries, by the kinds of node it joins
+        const flowOf = link => {
+            if (typeOf(link.source) === 'producer') return 'seeded';
+            if (typeOf(link.source) === 'queue') return 'popped';
+            if (typeOf(link.target) === 'state') return 'checked';
+            if (typeOf(link.target) === 'queue') return 'added';
+            return null;
+        };
+
+        const flowLinks = links.filter(flowOf).map(link => {
+            const source = nodeMap[link.source];
+            const target = nodeMap[link.target];
+            let point;
+            if (link.curved) {
+                // Same quadratic curve as the drawn feedback link
+                const control = { x: (source.x + target.x) / 2, y: Math.min(source.y, target.y) - 60 };
+                const end = { x: target.x + 40, y: target.y - 20 };
+                point = t => ({
+                    x: (1 - t) * (1 - t) * source.x + 2 * (1 - t) * t * control.x + t * t * end.x,
+                    y: (1 - t) * (1 - t) * source.y + 2 * (1 - t) * t * control.y + t * t * end.y
+                });
+            } else {
+                point = t => ({
+                    x: source.x + 40 + (target.x - 40 - source.x - 40) * t,
+                    y: source.y + (target.y - source.y) * t
+                });
+            }
+            return { flow: flowOf(link), color: colors[link.type], point };
+        });
+
+        // Live labels under the queue and the last worker
+        const queue = nodes.find(n => n.type === 'queue');
+        const workers = nodes.filter(n => n.type === 'worker');
+        const label = (node, color) => svg.append('text')
+            .attr('class', 'crawler-sim-label')
+            .attr('x', node.x)
+            .attr('y', node.y + 42)
+            .attr('text-anchor', 'middle')
+            .attr('font-size', '11px')
+            .attr('font-family', 'JetBrains Mono, monospace')
+            .attr('fill', color);
+
+        crawlerSim.view = {
+            svg,
+            flowLinks,
+            particles: svg.append('g').attr('class', 'crawler-particles').attr('pointer-events', 'none'),
+            queueLabel: queue ? label(queue, colors.queue) : null,
+            workerLabel: workers.length ? label(workers[workers.length - 1], colors.worker) : null
+        };
+
+        drawCrawlerSimChart();
+        renderCrawlerSim();
+        startCrawlerSim();
+    }
+
+    function renderCrawlerSim() {
+        const view = crawlerSim.view;
+        const state = crawlerSim.state;
+        if (!view || !state) return;
+
+        const format = d3.format(',');
+        const params = crawlerSim.params;
+        const busy = state.completions.length;
+        const rate = state.history[state.history.length - 1].rate;
+        const capacity = params.workers / (params.latency / 1000);
+
+        if (view.queueLabel) view.queueLabel.text(`${format(state.frontier)} queued`);
+        if (view.workerLabel) view.workerLabel.text(`${format(busy)} / ${format(params.workers)} busy`);
+
+        // A few particles per link per tick, more when more work moved along it
+        const shares = d3.rollup(view.flowLinks, group => group.length, l => l.flow);
+        view.flowLinks.forEach(link => {
+            if (prefersReducedMotion()) return;
+            const moved = state.flow[link.flow] / shares.get(link.flow);
+            const count = Math.min(3, Math.ceil(Math.log10(1 + moved)));
+            for (let i = 0; i < count; i++) {
+                spawnFlowParticle(view.particles, link.point, {
+                    color: link.color,
+                    radius: 4,
+                    delay: i * CRAWL_TICK_MS / count,
+                    duration: 1500
+                });
+            }
+        });
+
+        // Stats
+        const panel = document.getElementById('crawlerSim');
+        if (panel) {
+            const stats = {
+                rate: `${format(Math.round(rate))} pages/sec`,
+                capacity: `${format(Math.round(capacity))} pages/sec`,
+                frontier: format(state.frontier),
+                busy: `${format(busy)} / ${format(params.workers)}`,
+                crawled: format(state.crawled),
+                dedup: state.checked ? `${format(state.duplicates)} (${Math.round(state.duplicates / state.checked * 100)}%)` : '0',
+                eta: rate > 0 ? formatCrawlDuration(CRAWL_TARGET_PAGES / rate) : '—'
+            };
+            Object.entries(stats).forEach(([key, text]) => {
+                const el = panel.querySelector(`[data-stat="${key}"]`);
+                if (el) el.textContent = text;
+            });
+        }
+
+        updateCrawlerSimChart();
+    }
+
+    // One particle travelling along `point(t)`, t from 0 to 1, hidden until its delay is up
+    function spawnFlowParticle(layer, point, { color, radius, delay, duration }) {
+        const start = point(0);
+        layer.append('circle')
+            .attr('r', radius)
+            .attr('fill', color)
+            .attr('cx', start.x)
+            .attr('cy', start.y)
+            .attr('opacity', 0)
+            .transition()
+            .delay(delay)
+            .duration(duration)
+            .ease(d3.easeLinear)
+            .attr('opacity', 1)
+            .tween('move', function() {
+                const circle = d3.select(this);
+                return t => {
+                    const p = point(t);
+                    circle.attr('cx', p.x).attr('cy', p.y);
+                };
+            })
+            .remove();
+    }
+
+    function formatCrawlDuration(seconds) {
+        if (seconds < 60) return `${Math.round(seconds)} s`;
+        if (seconds < 3600) return `${Math.round(seconds / 60)} min`;
+        const hours = Math.floor(seconds / 3600);
+        return `${hours} h ${Math.round((seconds - hours * 3600) / 60)} min`;
+    }
+
+    // Pages/sec (left axis) and frontier depth (right axis) over the last minute
+    function drawCrawlerSimChart() {
+        const container = document.getElementById('crawlerSimChart');
+        if (!container) return;
+
+        container.innerHTML = '';
+        const width = container.clientWidth || 800;
+        const height = 180;
+        const margin = { top: 16, right: 64, bottom: 24, left: 56 };
+
+        const svg = d3.select(container)
+            .append('svg')
+            .attr('width', width)
+            .attr('height', height)
+            .attr('role', 'img')
+            .attr('aria-label', 'Simulated pages per second and frontier queue depth over the last minute');
+
+        const chart = {
+            svg,
+            x: d3.scaleLinear().range([margin.left, width - margin.right]),
+            yRate: d3.scaleLinear().range([height - margin.bottom, margin.top]),
+            yQueue: d3.scaleLinear().range([height - margin.bottom, margin.top]),
+            xAxis: svg.append('g').attr('class', 'sim-axis').attr('transform', `translate(0, ${height - margin.bottom})`),
+            rateAxis: svg.append('g').attr('class', 'sim-axis').attr('transform', `translate(${margin.left}, 0)`),
+            queueAxis: svg.append('g').attr('class', 'sim-axis').attr('transform', `translate(${width - margin.right}, 0)`),
+            queueLine: svg.append('path').attr('fill', 'none').attr('stroke', '#3b82f6').attr('stroke-width', 2),
+            rateLine: svg.append('path').attr('fill', 'none').attr('stroke', '#10b981').attr('stroke-width', 2)
+        };
+
+        svg.append('text')
+            .text('pages/sec')
+            .attr('x', margin.left)
+            .attr('y', 10)
+            .attr('fill', '#10b981')
+            .attr('font-size', '10px');
+
+        svg.append('text')
+            .text('queue depth')
+            .attr('x', width - margin.right)
+            .attr('y', 10)
+            .attr('text-anchor', 'end')
+            .attr('fill', '#3b82f6')
+            .attr('font-size', '10px');
+
+        crawlerSim.view.chart = chart;
+    }
+
+    function updateCrawlerSimChart() {
+        const chart = crawlerSim.view.chart;
+        if (!chart) return;
+
+        const history = crawlerSim.state.history;
+        const now = history[history.length - 1].time;
+        const capacity = crawlerSim.params.workers / (crawlerSim.params.latency / 1000);
+
+        chart.x.domain([Math.max(0, now - CRAWL_HISTORY_SECONDS), Math.max(now, 1)]);
+        chart.yRate.domain([0, Math.max(capacity, d3.max(history, h => h.rate)) * 1.1]).nice();
+        chart.yQueue.domain([0, Math.max(10, d3.max(history, h => h.frontier)) * 1.1]).nice();
+
+        chart.xAxis.call(d3.axisBottom(chart.x).ticks(6).tickFormat(t => `${t}s`));
+        chart.rateAxis.call(d3.axisLeft(chart.yRate).ticks(4, '~s'));
+        chart.queueAxis.call(d3.axisRight(chart.yQueue).ticks(4, '~s'));
+
+        chart.rateLine.attr('d', d3.line().x(h => chart.x(h.time)).y(h => chart.yRate(h.rate))(history));
+        chart.queueLine.attr('d', d3.line().x(h => chart.x(h.time)).y(h => chart.yQueue(h.frontier))(history));
+    }
+
+    // ===========================================
+    // FRONTIER EXPLORER
+    // ===========================================
+
+    // A synthetic documentation site crawled one page per step: each fetched page reveals links,
+    // put_if_absent on the Visited Dict turns away URLs already seen, and the rest join the frontier.
+    const FRONTIER_SECTIONS = ['guide', 'api', 'install', 'config', 'tutorial', 'reference', 'examples', 'faq', 'cli', 'plugins'];
+    const FRONTIER_POLICIES = {
+        bfs: { label: 'BFS', color: '#3b82f6' },
+        priority: { label: 'Priority (most linked first)', color: '#8b5cf6' },
+        depth: { label: 'Depth-limited BFS', color: '#f59e0b' }
+    };
+    const FRONTIER_COLORS = { unseen: '#3f3f52', queued: '#3b82f6', crawled: '#10b981', skipped: '#ef4444' };
+    const FRONTIER_LIST_SIZE = 8;  // rows shown in the queue preview and put_if_absent log
+
+    const frontierExplorer = {
+        params: { pages: 120, depth: 4, duplicates: 0.6, policy: 'bfs', depthLimit: 2, speed: 4 },
+        seed: 1,
+        site: null,
+        crawl: null,
+        curves: null,  // coverage after each fetch, per policy, for the comparison chart
+        running: true,
+        view: null
+    };
+
+    // Pages hang off a tree (each page is first linked from its parent); the duplicate ratio is the
+    // share of all links that point at a page something else already links to
+    function generateDocSite({ pages, depth, duplicates }, seed) {
+        const random = d3.randomLcg(seed);
+        const pick = list => list[Math.floor(random() * list.length)];
+        const maxDepth = Math.max(1, Math.min(depth, pages - 1));
+
+        const site = [{ id: 0, path: '/', depth: 0, parent: null, links: [] }];
+        const levels = [[0]];
+        const paths = new Set(['/']);
+
+        // One page per level first so the site reaches its depth, then levels grow about 3x each
+        const levelWeights = d3.range(1, maxDepth + 1).map(k => Math.pow(3, k));
+        const levelTotal = d3.sum(levelWeights);
+        for (let id = 1; id < pages; id++) {
+            let level = id;
+            if (id > maxDepth) {
+                let r = random() * levelTotal;
+                level = 1;
+                while (r > levelWeights[level - 1]) {
+                    r -= levelWeights[level - 1];
+                    level++;
+                }
+            }
+
+            const parent = site[pick(levels[level - 1])];
+            const base = `${parent.path === '/' ? '' : parent.path}/${pick(FRONTIER_SECTIONS)}`;
+            let path = base;
+            for (let n = 2; paths.has(path); n++) path = `${base}-${n}`;
+            paths.add(path);
+
+            site.push({ id, path, depth: level, parent: parent.id, links: [] });
+            parent.links.push(id);
+            (levels[level] = levels[level] || []).push(id);
+        }
+
+        // Extra links: navigation back to the top of the site, parents and siblings, or anywhere
+        const extra = Math.round((pages - 1) * Math.min(duplicates, 0.95) / (1 - Math.min(duplicates, 0.95)));
+        let added = 0;
+        for (let attempt = 0; added < extra && attempt < extra * 5; attempt++) {
+            const source = pick(site);
+            const r = random();
+            let target;
+            if (r < 0.4) target = pick([0, ...(levels[1] || [])]);
+            else if (r < 0.7 && source.parent !== null) target = pick([source.parent, ...site[source.parent].links]);
+            else target = pick(site).id;
+
+            if (target === source.id || source.links.includes(target)) continue;
+            source.links.push(target);
+            added++;
+        }
+
+        // A page is worth one plus the links pointing at it, a stand-in for how useful it is
+        site.forEach(page => { page.value = 1; });
+        site.forEach(page => page.links.forEach(target => { site[target].value++; }));
+
+        return {
+            pages: site,
+            maxDepth,
+            linkCount: d3.sum(site, page => page.links.length),
+            totalValue: d3.sum(site, page => page.value)
+        };
+    }
+
+    function createFrontierCrawl(site, policy, depthLimit) {
+        const status = site.pages.map(() => 'unseen');
+        status[0] = 'queued';
+        return {
+            policy,
+            depthLimit: policy === 'depth' ? depthLimit : Infinity,
+            frontier: [0],                        // page ids waiting to be fetched, in discovery order
+            seen: new Set([0]),                   // the Visited Dict: every URL put_if_absent accepted
+            backlinks: site.pages.map(() => 0),   // links seen so far per page; the priority policy's score
+            status,
+            crawled: 0,
+            value: 0,
+            rejected: 0,
+            skipped: 0,                           // links past the depth limit, never offered to the dict
+            log: [],
+            coverage: [0]                         // share of site value crawled after each fetch
+        };
+    }
+
+    // Index in the frontier of the page the policy fetches next
+    function nextFrontierIndex(crawl) {
+        if (crawl.policy !== 'priority') return 0;
+        let best = 0;
+        crawl.frontier.forEach((id, i) => {
+            if (crawl.backlinks[id] > crawl.backlinks[crawl.frontier[best]]) best = i;
+        });
+        return best;
+    }
+
+    // Fetch one page; returns what happened to each of its links, or null once the frontier is empty
+    function stepFrontierCrawl(site, crawl) {
+        if (crawl.frontier.length === 0) return null;
+
+        const id = crawl.frontier.splice(nextFrontierIndex(crawl), 1)[0];
+        const page = site.pages[id];
+        const event = { page: id, added: [], rejected: [], skipped: [] };
+
+        crawl.status[id] = 'crawled';
+        crawl.crawled++;
+        crawl.value += page.value;
+
+        page.links.forEach(target => {
+            crawl.backlinks[target]++;
+            if (site.pages[target].depth > crawl.depthLimit) {
+                crawl.skipped++;
+                if (crawl.status[target] === 'unseen') crawl.status[target] = 'skipped';
+                event.skipped.push(target);
+                return;
+            }
+
+            const accepted = !crawl.seen.has(target);
+            if (accepted) {
+                crawl.seen.add(target);
+                crawl.frontier.push(target);
+                crawl.status[target] = 'queued';
+                event.added.push(target);
+            } else {
+                crawl.rejected++;
+                event.rejected.push(target);
+            }
+            crawl.log.unshift({ path: site.pages[target].path, accepted });
+        });
+        crawl.log.length = Math.min(crawl.log.length, FRONTIER_LIST_SIZE);
+
+        crawl.coverage.push(crawl.value / site.totalValue);
+        return event;
+    }
+
+    function computeFrontierCurves() {
+        const { site, params } = frontierExplorer;
+        frontierExplorer.curves = Object.keys(FRONTIER_POLICIES).map(policy => {
+            const crawl = createFrontierCrawl(site, policy, params.depthLimit);
+            while (stepFrontierCrawl(site, crawl));
+            return { policy, coverage: crawl.coverage };
+        });
+    }
+
+    function initFrontierExplorer() {
+        const panel = document.getElementById('frontierExplorer');
+        if (!panel) return;
+
+        const params = frontierExplorer.params;
+        const limitInput = panel.querySelector('[name="depthLimit"]');
+        const readers = {
+            pages: input => Number(input.value),
+            depth: input => Number(input.value),
+            duplicates: input => Number(input.value) / 100,
+            policy: input => input.value,
+            depthLimit: input => Number(input.value),
+            speed: input => Number(input.value)
+        };
+        const formats = {
+            duplicates: value => `${Math.round(value * 100)}%`,
+            speed: value => `${value} pages/s`
+        };
+
+        panel.querySelectorAll('.frontier-controls [name]').forEach(input => {
+            const name = input.name;
+            const output = panel.querySelector(`output[for="${input.id}"]`);
+            const show = () => {
+                if (output) output.textContent = formats[name] ? formats[name](params[name]) : params[name];
+            };
+            params[name] = readers[name](input);
+            show();
+
+            input.addEventListener('input', () => {
+                params[name] = readers[name](input);
+                show();
+
+                if (name === 'depth') {
+                    limitInput.max = params.depth;
+                    if (params.depthLimit > params.depth) {
+                        limitInput.value = params.depth;
+                        limitInput.dispatchEvent(new Event('input'));
+                    }
+                }
+                limitInput.disabled = params.policy !== 'depth';
+
+                if (name === 'speed') {
+                    startFrontierCrawl();
+                } else if (name === 'policy') {
+                    restartFrontierCrawl();
+                } else if (name === 'depthLimit') {
+                    computeFrontierCurves();
+                    restartFrontierCrawl();
+                } else {
+                    regenerateFrontierSite();
+                }
+            });
+        });
+        limitInput.max = params.depth;
+        limitInput.disabled = params.policy !== 'depth';
+
+        panel.querySelector('[data-action="toggle"]').addEventListener('click', () => {
+            if (!frontierExplorer.crawl.frontier.length) restartFrontierCrawl();
+            frontierExplorer.running = !frontierExplorer.running;
+            if (frontierExplorer.running) startFrontierCrawl();
+            else stopFrontierCrawl();
+            renderFrontierPanel();
+        });
+
+        panel.querySelector('[data-action="step"]').addEventListener('click', () => {
+            frontierExplorer.running = false;
+            stopFrontierCrawl();
+            tickFrontierCrawl();
+        });
+
+        panel.querySelector('[data-action="restart"]').addEventListener('click', restartFrontierCrawl);
+
+        panel.querySelector('[data-action="generate"]').addEventListener('click', () => {
+            frontierExplorer.seed++;
+            regenerateFrontierSite();
+        });
+
+        frontierExplorer.site = generateDocSite(params, frontierExplorer.seed);
+        computeFrontierCurves();
+        frontierExplorer.crawl = createFrontierCrawl(frontierExplorer.site, params.policy, params.depthLimit);
+        renderFrontierPanel();
+    }
+
+    function regenerateFrontierSite() {
+        const params = frontierExplorer.params;
+        frontierExplorer.site = generateDocSite(params, frontierExplorer.seed);
+        computeFrontierCurves();
+        frontierExplorer.crawl = createFrontierCrawl(frontierExplorer.site, params.policy, params.depthLimit);
+        drawFrontierGraph();
+    }
+
+    function restartFrontierCrawl() {
+        const params = frontierExplorer.params;
+        frontierExplorer.crawl = createFrontierCrawl(frontierExplorer.site, params.policy, params.depthLimit);
+        if (frontierExplorer.view) {
+            frontierExplorer.view.flashes.selectAll('*').interrupt().remove();
+            updateFrontierGraph();
+            drawFrontierCurves();
+        }
+        renderFrontierPanel();
+    }
+
+    function startFrontierCrawl() {
+        if (!frontierExplorer.running || !frontierExplorer.view) return;
+        scheduleAnimation('frontierGraph', 1000 / frontierExplorer.params.speed, tickFrontierCrawl);
+    }
+
+    function stopFrontierCrawl() {
+        cancelAnimation('frontierGraph');
+    }
+
+    function tickFrontierCrawl() {
+        const event = stepFrontierCrawl(frontierExplorer.site, frontierExplorer.crawl);
+        if (!event) {
+            frontierExplorer.running = false;
+            stopFrontierCrawl();
+        } else if (frontierExplorer.view) {
+            if (!prefersReducedMotion()) flashFrontierLinks(event);
+            updateFrontierGraph();
+        }
+        renderFrontierPanel();
+    }
+
+    function initFrontierGraph() {
+        drawFrontierGraph();
+        startFrontierCrawl();
+    }
+
+    // Radial tree of the site (first-discovery links), with every page a node
+    function drawFrontierGraph() {
+        const container = document.getElementById('frontierGraph');
+        const site = frontierExplorer.site;
+        if (!container || !site) return;
+
+        container.innerHTML = '';
+        const width = container.clientWidth || 600;
+        const height = container.clientHeight || 420;
+        const radius = Math.min(width, height) / 2 - 24;
+
+        const svg = d3.select(container)
+            .append('svg')
+            .attr('width', width)
+            .attr('height', height)
+            .attr('viewBox', `0 0 ${width} ${height}`);
+
+        const root = d3.stratify()
+            .id(d => d.id)
+            .parentId(d => d.parent)(site.pages);
+        d3.tree()
+            .size([2 * Math.PI, radius])
+            .separation((a, b) => (a.parent === b.parent ? 1 : 2) / Math.max(1, a.depth))(root);
+
+        const positions = new Map();
+        root.each(node => {
+            const angle = node.x - Math.PI / 2;
+            positions.set(node.data.id, { x: width / 2 + node.y * Math.cos(angle), y: height / 2 + node.y * Math.sin(angle) });
+        });
+        const at = id => positions.get(id);
+
+        svg.append('g')
+            .attr('class', 'frontier-tree')
+            .selectAll('line')
+            .data(site.pages.filter(page => page.parent !== null))
+            .join('line')
+            .attr('x1', d => at(d.parent).x)
+            .attr('y1', d => at(d.parent).y)
+            .attr('x2', d => at(d.id).x)
+            .attr('y2', d => at(d.id).y)
+            .attr('stroke', 'rgba(255, 255, 255, 0.1)')
+            .attr('stroke-width', 1);
+
+        const flashes = svg.append('g')
+            .attr('class', 'frontier-flashes')
+            .attr('pointer-events', 'none');
+
+        const nodeRadius = site.pages.length > 200 ? 3.5 : 5;
+        const tooltip = d => {
+            const crawl = frontierExplorer.crawl;
+            return `<strong>${d.path}</strong><br>Depth ${d.depth} · ${d.links.length} links out · ${d.value - 1} in` +
+                `<br>${crawl.status[d.id]}${crawl.policy === 'priority' ? ` · ${crawl.backlinks[d.id]} backlinks seen` : ''}`;
+        };
+
+        const nodes = svg.append('g')
+            .attr('class', 'frontier-nodes')
+            .selectAll('circle')
+            .data(site.pages)
+            .join('circle')
+            .attr('cx', d => at(d.id).x)
+            .attr('cy', d => at(d.id).y)
+            .attr('r', d => d.id === 0 ? nodeRadius + 3 : nodeRadius)
+            .attr('stroke', '#0a0a0f')
+            .attr('stroke-width', 1)
+            .style('cursor', 'pointer')
+            .on('mouseover', function(event, d) {
+                d3.select(this).attr('stroke', '#fff');
+                showTooltip(event, tooltip(d));
+            })
+            .on('mouseout', function() {
+                d3.select(this).attr('stroke', '#0a0a0f');
+                hideTooltip();
+            });
+
+        makeGraphAccessible(container, svg, {
+            label: `Synthetic documentation site: ${site.pages.length} pages, ${site.linkCount} links`,
+            nodes,
+            links: site.pages.flatMap(page => page.links.map(target => ({ source: page.id, target }))),
+            id: d => d.id,
+            name: d => d.path,
+            describe: d => `depth ${d.depth}`,
+            tooltip
+        });
+
+        frontierExplorer.view = { svg, nodes, flashes, at, nodeRadius };
+        updateFrontierGraph();
+        drawFrontierChart();
+        renderFrontierPanel();
+    }
+
+    function updateFrontierGraph() {
+        const { view, crawl } = frontierExplorer;
+        view.nodes
+            .attr('fill', d => FRONTIER_COLORS[crawl.status[d.id]])
+            .attr('fill-opacity', d => crawl.status[d.id] === 'skipped' ? 0.5 : 1);
+    }
+
+    // Every link the fetched page revealed: blue joined the frontier, red was rejected by
+    // put_if_absent, dashed grey was past the depth limit
+    function flashFrontierLinks(event) {
+        const { view, params } = frontierExplorer;
+        const from = view.at(event.page);
+        const duration = Math.max(300, 1600 / params.speed);
+        const kinds = [
+            ['added', FRONTIER_COLORS.queued, null],
+            ['rejected', FRONTIER_COLORS.skipped, null],
+            ['skipped', '#6b6b7b', '3,3']
+        ];
+
+        kinds.forEach(([kind, color, dash]) => {
+            event[kind].forEach(target => {
+                const to = view.at(target);
+                view.flashes.append('line')
+                    .attr('x1', from.x)
+                    .attr('y1', from.y)
+                    .attr('x2', to.x)
+                    .attr('y2', to.y)
+                    .attr('stroke', color)
+                    .attr('stroke-width', 1.5)
+                    .attr('stroke-dasharray', dash)
+                    .transition()
+                    .duration(duration)
+                    .attr('stroke-opacity', 0)
+                    .remove();
+            });
+        });
+
+        view.flashes.append('circle')
+            .attr('cx', from.x)
+            .attr('cy', from.y)
+            .attr('r', view.nodeRadius)
+            .attr('fill', 'none')
+            .attr('stroke', '#f59e0b')
+            .attr('stroke-width', 2)
+            .transition()
+            .duration(duration)
+            .attr('r', view.nodeRadius * 4)
+            .attr('stroke-opacity', 0)
+            .remove();
+    }
+
+    // Coverage of every policy on this site, with a marker on the crawl being animated
+    function drawFrontierChart() {
+        const container = document.getElementById('frontierChart');
+        if (!container) return;
+
+        container.innerHTML = '';
+        const width = container.clientWidth || 800;
+        const height = 200;
+        const margin = { top: 16, right: 24, bottom: 28, left: 48 };
+
+        const svg = d3.select(container)
+            .append('svg')
+            .attr('width', width)
+            .attr('height', height)
+            .attr('role', 'img')
+            .attr('aria-label', 'Share of the site crawled after each fetch, for each frontier policy');
+
+        const x = d3.scaleLinear()
+            .domain([0, frontierExplorer.site.pages.length])
+            .range([margin.left, width - margin.right]);
+        const y = d3.scaleLinear()
+            .domain([0, 1])
+            .range([height - margin.bottom, margin.top]);
+
+        svg.append('g')
+            .attr('class', 'sim-axis')
+            .attr('transform', `translate(0, ${height - margin.bottom})`)
+            .call(d3.axisBottom(x).ticks(6));
+        svg.append('g')
+            .attr('class', 'sim-axis')
+            .attr('transform', `translate(${margin.left}, 0)`)
+            .call(d3.axisLeft(y).ticks(4, '.0%'));
+
+        svg.append('text')
+            .text('pages fetched')
+            .attr('x', width - margin.right)
+            .attr('y', height - margin.bottom - 6)
+            .attr('text-anchor', 'end')
+            .attr('fill', '#6b6b7b')
+            .attr('font-size', '10px');
+
+        frontierExplorer.view.chart = {
+            x,
+            y,
+            curves: svg.append('g'),
+            marker: svg.append('circle').attr('r', 5).attr('stroke', '#fff').attr('stroke-width', 2)
+        };
+        drawFrontierCurves();
+    }
+
+    function drawFrontierCurves() {
+        const chart = frontierExplorer.view.chart;
+        if (!chart) return;
+
+        const selected = frontierExplorer.crawl.policy;
+        const line = d3.line()
+            .x((d, i) => chart.x(i))
+            .y(d => chart.y(d));
+
+        chart.curves.selectAll('path')
+            .data(frontierExplorer.curves)
+            .join('path')
+            .attr('fill', 'none')
+            .attr('stroke', d => FRONTIER_POLICIES[d.policy].color)
+            .attr('stroke-width', d => d.policy === selected ? 3 : 1.5)
+            .attr('stroke-opacity', d => d.policy === selected ? 1 : 0.5)
+            .attr('d', d => line(d.coverage));
+
+        chart.marker.attr('fill', FRONTIER_POLICIES[selected].color);
+        updateFrontierChart();
+    }
+
+    function updateFrontierChart() {
+        const chart = frontierExplorer.view && frontierExplorer.view.chart;
+        if (!chart) return;
+        const crawl = frontierExplorer.crawl;
+        chart.marker
+            .attr('cx', chart.x(crawl.crawled))
+            .attr('cy', chart.y(crawl.coverage[crawl.coverage.length - 1]));
+    }
+
+    function renderFrontierPanel() {
+        const panel = document.getElementById('frontierExplorer');
+        const { site, crawl } = frontierExplorer;
+        if (!panel || !crawl) return;
+
+        const format = d3.format(',');
+        const percent = d3.format('.0%');
+        const done = crawl.frontier.length === 0;
+
+        const stats = {
+            frontier: format(crawl.frontier.length),
+            seen: format(crawl.seen.size),
+            rejected: format(crawl.rejected),
+            skipped: format(crawl.skipped),
+            crawled: `${format(crawl.crawled)} / ${format(site.pages.length)}`,
+            coverage: percent(crawl.value / site.totalValue)
+        };
+        Object.entries(stats).forEach(([key, text]) => {
+            const el = panel.querySelector(`[data-stat="${key}"]`);
+            if (el) el.textContent = text;
+        });
+
+        // Next pages in the order this policy will fetch them
+        const upcoming = crawl.policy === 'priority'
+            ? crawl.frontier.slice().sort((a, b) => crawl.backlinks[b] - crawl.backlinks[a] || crawl.frontier.indexOf(a) - crawl.frontier.indexOf(b))
+            : crawl.frontier;
+        const queue = panel.querySelector('.frontier-queue');
+        queue.innerHTML = '';
+        upcoming.slice(0, FRONTIER_LIST_SIZE).forEach(id => {
+            const item = document.createElement('li');
+            item.textContent = site.pages[id].path;
+            if (crawl.policy === 'priority') item.dataset.score = crawl.backlinks[id];
+            queue.appendChild(item);
+        });
+        if (upcoming.length > FRONTIER_LIST_SIZE) {
+            const more = document.createElement('li');
+            more.className = 'frontier-more';
+            more.textContent = `+ ${format(upcoming.length - FRONTIER_LIST_SIZE)} more`;
+            queue.appendChild(more);
+        }
+
+        const log = panel.querySelector('.frontier-log');
+        log.innerHTML = '';
+        crawl.log.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = entry.accepted ? 'accepted' : 'rejected';
+            const call = document.createElement('code');
+            call.textContent = `put_if_absent("${entry.path}")`;
+            item.append(call, ` → ${entry.accepted ? 'True' : 'False'}`);
+            log.appendChild(item);
+        });
+
+        const toggle = panel.querySelector('[data-action="toggle"]');
+        toggle.textContent = frontierExplorer.running && !done ? 'Pause' : (done ? 'Run again' : 'Run');
+
+        const status = panel.querySelector('.frontier-status');
+        if (status) {
+            status.textContent = done
+                ? `Frontier empty after ${format(crawl.crawled)} fetches: ${percent(crawl.crawled / site.pages.length)} of pages, ` +
+                  `${percent(crawl.value / site.totalValue)} of link-weighted value.`
+                : '';
+        }
+
+        updateFrontierChart();
+    }
+
+    // ===========================================
+    // POLITENESS SHARDING
+    // ===========================================
+
+    // Worker pools sharded by domain, fed a synthetic URL mix. A worker slot that finishes a
+    // fetch waits out its shard's crawl delay before the next request, so a shard can never
+    // fetch faster than concurrency / (latency + crawl delay).
+    const POLITENESS_SHARDS = [
+        { domain: '*.github.io', concurrency: 5, delay: 1000, weight: 30 },
+        { domain: '*.readthedocs.io', concurrency: 10, delay: 500, weight: 20 },
+        { domain: 'General Web', concurrency: 100, delay: 0, weight: 50 }
+    ];
+    const POLITENESS_TICK_MS = 250;
+    const POLITENESS_CELL = 10;  // worker square size in px
+    const POLITENESS_COLORS = { fetching: '#10b981', throttled: '#f59e0b', idle: '#3f3f52' };
+
+    const politenessSim = {
+        params: { arrival: 40, latency: 250 },
+        shards: [],
+        nextId: 0,
+        time: 0,      // simulated seconds
+        running: true,
+        view: null
+    };
+
+    function createShard(config) {
+        const shard = {
+            id: politenessSim.nextId++,
+            domain: config.domain,
+            concurrency: config.concurrency,
+            delay: config.delay,    // ms
+            weight: config.weight   // relative share of the URL mix
+        };
+        resetShard(shard);
+        return shard;
+    }
+
+    function resetShard(shard) {
+        shard.queue = 0;
+        shard.workers = d3.range(shard.concurrency).map(() => ({ state: 'idle', until: 0 }));
+        shard.recent = [];  // fetches per tick over the last simulated second
+    }
+
+    function initPolitenessSimulation() {
+        const panel = document.getElementById('politenessSim');
+        if (!panel) return;
+
+        const params = politenessSim.params;
+        politenessSim.shards = POLITENESS_SHARDS.map(createShard);
+
+        const formats = {
+            arrival: value => `${value} URLs/s`,
+            latency: value => `${value} ms`
+        };
+
+        panel.querySelectorAll('.politeness-controls [name]').forEach(input => {
+            const output = panel.querySelector(`output[for="${input.id}"]`);
+            const update = () => {
+                params[input.name] = Number(input.value);
+                if (output) output.textContent = formats[input.name](params[input.name]);
+                renderPolitenessSim();
+            };
+            update();
+            input.addEventListener('input', update);
+        });
+
+        const tbody = panel.querySelector('.shard-table tbody');
+        renderShardTable();
+
+        tbody.addEventListener('input', (e) => {
+            const input = e.target;
+            const shard = politenessSim.shards.find(s => s.id === Number(input.closest('tr').dataset.shard));
+            if (!shard) return;
+
+            if (input.name === 'domain') {
+                shard.domain = input.value.trim() || 'unnamed';
+                drawPolitenessGraph();
+                return;
+            }
+
+            // Ignore half-typed numbers; the input keeps showing what the user typed
+            const value = Math.round(Number(input.value));
+            if (input.value === '' || !Number.isFinite(value)) return;
+            const clamped = Math.max(Number(input.min), Math.min(Number(input.max), value));
+
+            if (input.name === 'concurrency') {
+                setShardConcurrency(shard, clamped);
+                drawPolitenessGraph();
+            } else {
+                shard[input.name] = clamped;
+                renderPolitenessSim();
+            }
+        });
+
+        tbody.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action="remove"]');
+            if (!btn) return;
+            const id = Number(btn.closest('tr').dataset.shard);
+            politenessSim.shards = politenessSim.shards.filter(s => s.id !== id);
+            renderShardTable();
+            drawPolitenessGraph();
+        });
+
+        panel.querySelector('[data-action="add"]').addEventListener('click', () => {
+            politenessSim.shards.push(createShard({ domain: 'docs.example.com', concurrency: 2, delay: 2000, weight: 10 }));
+            renderShardTable();
+            drawPolitenessGraph();
+            tbody.querySelector('tr:last-child input').focus();
+        });
+
+        panel.querySelector('[data-action="toggle"]').addEventListener('click', (e) => {
+            politenessSim.running = !politenessSim.running;
+            e.target.textContent = politenessSim.running ? 'Pause' : 'Run';
+            if (politenessSim.running) startPolitenessSim();
+            else stopPolitenessSim();
+        });
+
+        panel.querySelector('[data-action="reset"]').addEventListener('click', () => {
+            politenessSim.time = 0;
+            politenessSim.shards.forEach(resetShard);
+            renderPolitenessSim();
+        });
+    }
+
+    function renderShardTable() {
+        const tbody = document.querySelector('#politenessSim .shard-table tbody');
+        if (!tbody) return;
+
+        tbody.innerHTML = '';
+        politenessSim.shards.forEach(shard => {
+            const row = document.createElement('tr');
+            row.dataset.shard = shard.id;
+
+            const addInput = (name, label, attrs) => {
+                const input = document.createElement('input');
+                input.name = name;
+                input.value = shard[name];
+                input.setAttribute('aria-label', label);
+                Object.entries(attrs).forEach(([key, value]) => input.setAttribute(key, value));
+                const cell = document.createElement('td');
+                cell.appendChild(input);
+                row.appendChild(cell);
+            };
+
+            addInput('domain', 'Domain pattern', { type: 'text', spellcheck: 'false' });
+            addInput('concurrency', 'Concurrent workers', { type: 'number', min: 1, max: 500 });
+            addInput('delay', 'Crawl delay in milliseconds', { type: 'number', min: 0, max: 10000, step: 100 });
+            addInput('weight', 'Share of the URL mix', { type: 'number', min: 0, max: 100 });
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'sim-btn';
+            remove.dataset.action = 'remove';
+            remove.setAttribute('aria-label', `Remove shard ${shard.domain}`);
+            remove.innerHTML = '&times;';
+            const cell = document.createElement('td');
+            cell.appendChild(remove);
+            row.appendChild(cell);
+
+            tbody.appendChild(row);
+        });
+    }
+
+    // Extra slots start idle; removed slots hand an in-flight URL back to the queue
+    function setShardConcurrency(shard, count) {
+        while (shard.workers.length < count) shard.workers.push({ state: 'idle', until: politenessSim.time });
+        shard.workers.splice(count).forEach(worker => {
+            if (worker.state === 'fetching') shard.queue++;
+        });
+        shard.concurrency = count;
+    }
+
+    function startPolitenessSim() {
+        if (!politenessSim.running || !politenessSim.view) return;
+        scheduleAnimation('politenessGraph', POLITENESS_TICK_MS, tickPolitenessSim);
+    }
+
+    function stopPolitenessSim() {
+        cancelAnimation('politenessGraph');
+    }
+
+    function tickPolitenessSim() {
+        advancePoliteness(politenessSim.time + POLITENESS_TICK_MS / 1000);
+        renderPolitenessSim();
+    }
+
+    // URLs arrive at the start of each step; every worker slot then runs its own
+    // fetch / crawl-delay / idle timeline up to `until`
+    function advancePoliteness(until) {
+        const from = politenessSim.time;
+        const { arrival, latency } = politenessSim.params;
+        const totalWeight = d3.sum(politenessSim.shards, s => s.weight);
+
+        politenessSim.shards.forEach(shard => {
+            const share = totalWeight ? shard.weight / totalWeight : 0;
+            shard.queue += sampleFanout(arrival * share * (until - from), 'poisson');
+
+            // Slots already idle take work first, so a slot freeing up later can't jump the line
+            shard.workers.forEach(worker => {
+                if (worker.state === 'idle' && shard.queue > 0) {
+                    shard.queue--;
+                    worker.state = 'fetching';
+                    worker.until = from + sampleLatency(latency);
+                }
+            });
+
+            let fetched = 0;
+            shard.workers.forEach(worker => {
+                while (worker.state !== 'idle' && worker.until <= until) {
+                    const now = worker.until;
+                    if (worker.state === 'fetching') {
+                        fetched++;
+                        worker.state = 'throttled';
+                        worker.until = now + shard.delay / 1000;
+                    } else if (shard.queue > 0) {
+                        shard.queue--;
+                        worker.state = 'fetching';
+                        worker.until = now + sampleLatency(latency);
+                    } else {
+                        worker.state = 'idle';
+                    }
+                }
+            });
+
+            shard.recent.push(fetched);
+            if (shard.recent.length > 1000 / POLITENESS_TICK_MS) shard.recent.shift();
+        });
+
+        politenessSim.time = until;
+    }
+
+    // Demand, capacity and worker states of every shard; the bottleneck is the most overloaded one
+    function politenessMetrics() {
+        const { arrival, latency } = politenessSim.params;
+        const totalWeight = d3.sum(politenessSim.shards, s => s.weight);
+
+        const shards = politenessSim.shards.map(shard => {
+            const counts = { fetching: 0, throttled: 0, idle: 0 };
+            shard.workers.forEach(worker => counts[worker.state]++);
+            const demand = totalWeight ? arrival * shard.weight / totalWeight : 0;
+            const capacity = shard.concurrency / ((latency + shard.delay) / 1000);
+            const rate = shard.recent.length ? d3.sum(shard.recent) / (shard.recent.length * POLITENESS_TICK_MS / 1000) : 0;
+            return { shard, counts, demand, capacity, load: demand / capacity, rate };
+        });
+
+        const busiest = d3.greatest(shards, m => m.load);
+        return { shards, busiest, bottleneck: busiest && busiest.load > 1 ? busiest : null };
+    }
+
+    function initPolitenessGraph() {
+        drawPolitenessGraph();
+        startPolitenessSim();
+    }
+
+    // One row per shard: label, queue bar, then a square per worker slot
+    function drawPolitenessGraph() {
+        const container = document.getElementById('politenessGraph');
+        if (!container) return;
+
+        container.innerHTML = '';
+        const width = container.clientWidth || 800;
+        const labelWidth = width < 560 ? 120 : 180;
+        const queueWidth = Math.min(220, width * 0.25);
+        const gridX = labelWidth + queueWidth + 32;
+        const columns = Math.max(5, Math.floor((width - gridX - 16) / (POLITENESS_CELL + 2)));
+
+        let y = 16;
+        const layout = politenessSim.shards.map(shard => {
+            const rows = Math.ceil(shard.concurrency / columns);
+            const height = Math.max(64, rows * (POLITENESS_CELL + 2) + 28);
+            const row = { shard, y, height };
+            y += height + 8;
+            return row;
+        });
+        const height = Math.max(80, y + 8);
+
+        const svg = d3.select(container)
+            .append('svg')
+            .attr('width', width)
+            .attr('height', height)
+            .attr('viewBox', `0 0 ${width} ${height}`)
+            .attr('role', 'img')
+            .attr('aria-label', 'Per-shard URL queues and worker slots: fetching, waiting out the crawl delay, or idle');
+
+        if (!layout.length) {
+            svg.append('text')
+                .text('No shards. Add one to start routing URLs.')
+                .attr('x', width / 2)
+                .attr('y', height / 2)
+                .attr('text-anchor', 'middle')
+                .attr('fill', '#6b6b7b')
+                .attr('font-size', '13px');
+        }
+
+        const rows = new Map();
+        layout.forEach(({ shard, y: rowY, height: rowHeight }) => {
+            const group = svg.append('g')
+                .attr('class', 'shard-row')
+                .attr('transform', `translate(0, ${rowY})`);
+
+            const frame = group.append('rect')
+                .attr('x', 8)
+                .attr('width', width - 16)
+                .attr('height', rowHeight)
+                .attr('rx', 8)
+                .attr('fill', 'rgba(255, 255, 255, 0.02)')
+                .attr('stroke', 'rgba(255, 255, 255, 0.08)');
+
+            group.append('text')
+                .text(shard.domain)
+                .attr('x', 20)
+                .attr('y', 24)
+                .attr('fill', '#f0f0f5')
+                .attr('font-size', '12px')
+                .attr('font-family', 'JetBrains Mono, monospace');
+
+            const limitText = group.append('text')
+                .attr('x', 20)
+                .attr('y', 42)
+                .attr('fill', '#6b6b7b')
+                .attr('font-size', '11px');
+
+            group.append('rect')
+                .attr('x', labelWidth)
+                .attr('y', 14)
+                .attr('width', queueWidth)
+                .attr('height', 14)
+                .attr('rx', 3)
+                .attr('fill', 'rgba(59, 130, 246, 0.12)');
+
+            const queueFill = group.append('rect')
+                .attr('x', labelWidth)
+                .attr('y', 14)
+                .attr('width', 0)
+                .attr('height', 14)
+                .attr('rx', 3)
+                .attr('fill', '#3b82f6');
+
+            const queueText = group.append('text')
+                .attr('x', labelWidth)
+                .attr('y', 44)
+                .attr('fill', '#a0a0b0')
+                .attr('font-size', '11px')
+                .attr('font-family', 'JetBrains Mono, monospace');
+
+            const cells = group.append('g')
+                .attr('transform', `translate(${gridX}, 14)`)
+                .selectAll('rect')
+                .data(shard.workers)
+                .join('rect')
+                .attr('x', (d, i) => (i % columns) * (POLITENESS_CELL + 2))
+                .attr('y', (d, i) => Math.floor(i / columns) * (POLITENESS_CELL + 2))
+                .attr('width', POLITENESS_CELL)
+                .attr('height', POLITENESS_CELL)
+                .attr('rx', 2);
+
+            const workerText = group.append('text')
+                .attr('x', gridX)
+                .attr('y', rowHeight - 8)
+                .attr('fill', '#6b6b7b')
+                .attr('font-size', '11px');
+
+            rows.set(shard.id, { frame, limitText, queueFill, queueText, cells, workerText });
+        });
+
+        politenessSim.view = { svg, rows, queueWidth };
+        renderPolitenessSim();
+    }
+
+    function renderPolitenessSim() {
+        const metrics = politenessMetrics();
+        const view = politenessSim.view;
+        const format = d3.format(',');
+        const rateFormat = d3.format(',.1f');
+
+        if (view) {
+            const queueScale = d3.scaleSymlog()
+                .domain([0, Math.max(50, d3.max(politenessSim.shards, s => s.queue) || 0)])
+                .range([0, view.queueWidth]);
+
+            metrics.shards.forEach(m => {
+                const row = view.rows.get(m.shard.id);
+                if (!row) return;
+                const isBottleneck = m === metrics.bottleneck;
+
+                row.frame
+                    .attr('stroke', isBottleneck ? '#ef4444' : 'rgba(255, 255, 255, 0.08)')
+                    .attr('fill', isBottleneck ? 'rgba(239, 68, 68, 0.06)' : 'rgba(255, 255, 255, 0.02)');
+                row.limitText.text(`${m.shard.concurrency} workers · ${m.shard.delay ? `${m.shard.delay} ms delay` : 'no delay'}`);
+                row.queueFill.transition()
+                    .duration(prefersReducedMotion() ? 0 : POLITENESS_TICK_MS)
+                    .attr('width', queueScale(m.shard.queue));
+                row.queueText.text(`${format(m.shard.queue)} queued · ${rateFormat(m.rate)} of ${rateFormat(m.capacity)}/s`);
+                row.cells
+                    .data(m.shard.workers)
+                    .attr('fill', d => POLITENESS_COLORS[d.state]);
+                row.workerText.text(`${m.counts.fetching} fetching · ${m.counts.throttled} in crawl delay · ${m.counts.idle} idle`);
+            });
+        }
+
+        const verdict = document.querySelector('#politenessSim .politeness-verdict');
+        if (verdict) verdict.textContent = describePoliteness(metrics);
+
+        document.querySelectorAll('#politenessSim .shard-table tr[data-shard]').forEach(tr => {
+            tr.classList.toggle('is-bottleneck', !!metrics.bottleneck && metrics.bottleneck.shard.id === Number(tr.dataset.shard));
+        });
+    }
+
+    function describePoliteness(metrics) {
+        const { busiest, bottleneck } = metrics;
+        if (!busiest) return 'No shards. Add one to start routing URLs.';
+
+        const rate = d3.format(',.1f');
+        const latency = politenessSim.params.latency;
+        let text;
+
+        if (bottleneck) {
+            const { shard, demand, capacity } = bottleneck;
+            const needed = Math.ceil(demand * (latency + shard.delay) / 1000);
+            text = `Bottleneck: ${shard.domain}. ${rate(demand)} URLs/s arrive, but ${shard.concurrency} workers ` +
+                `with a ${shard.delay} ms crawl delay fetch at most ${rate(capacity)}/s, so its queue grows by about ` +
+                `${rate(demand - capacity)}/s. Keeping up would take ${needed} concurrent workers.`;
+        } else {
+            text = `No shard is saturated. ${busiest.shard.domain} is the busiest at ` +
+                `${Math.round(busiest.load * 100)}% of its capacity.`;
+        }
+
+        // Point out the pool with the most capacity going to waste
+        const idlest = d3.greatest(metrics.shards.filter(m => m !== busiest), m => m.counts.idle / m.shard.concurrency);
+        if (idlest && idlest.counts.idle / idlest.shard.concurrency > 0.5) {
+            text += ` Meanwhile ${idlest.shard.domain} has ${idlest.counts.idle} of ${idlest.shard.concurrency} workers idle.`;
+        }
+        return text;
+    }
+
+    // ===========================================
+    // RAG PIPELINE GRAPH (D3.js)
+    // ===========================================
+
+    function initRAGGraph() {
+        const container = document.getElementById('ragGraph');
+        if (!container || typeof d3 === 'undefined' || !topology) return;
+
+        // Clear any existing content
+        container.innerHTML = '';
+
+        const width = container.clientWidth || 800;
+        const height = 380;
+
+        const svg = d3.select(container)
+            .append('svg')
+            .attr('width', width)
+            .attr('height', height);
+
+        // Stage colors
+        const stageColors = {
+            query: '#3b82f6',
+            retrieval: '#10b981',
+            ranking: '#f59e0b',
+            synthesis: '#8b5cf6'
+        };
+
+        // Nodes and links from the shared topology
+        const nodes = resolveViewNodes('rag');
+        const links = viewLinks('rag');
+
+        // Stage positions (horizontal layout)
+        const stageX = {
+            query: width * 0.1,
+            retrieval: width * 0.35,
+            ranking: width * 0.6,
+            synthesis: width * 0.85
+        };
+
+        // Position nodes by stage column and row fraction
+        nodes.forEach(n => {
+            n.x = stageX[n.stage];
+            n.y = height * n.y;
+        });
+
+        // Draw stage backgrounds
+        const stages = [
+            { id: 'query', label: '1. Query Processing', x: width * 0.02, width: width * 0.18 },
+            { id: 'retrieval', label: '2. Hybrid Retrieval', x: width * 0.22, width: width * 0.22 },
+            { id: 'ranking', label: '3. Re-Ranking', x: width * 0.46, width: width * 0.22 },
+            { id: 'synthesis', label: '4. Synthesis', x: width * 0.70, width: width * 0.28 }
+        ];
+
+        const stageGroups = svg.selectAll('.stage-bg')
+            .data(stages)
+            .enter()
+            .append('g')
+            .attr('class', 'stage-bg');
+
+        stageGroups.append('rect')
+            .attr('x', d => d.x)
+            .attr('y', 40)
+            .attr('width', d => d.width)
+            .attr('height', height - 60)
+            .attr('rx', 12)
+            .attr('fill', d => stageColors[d.id])
+            .attr('fill-opacity', 0.1)
+            .attr('stroke', d => stageColors[d.id])
+            .attr('stroke-opacity', 0.3);
+
+        stageGroups.append('text')
+            .attr('x', d => d.x + d.width / 2)
+            .attr('y', 25)
+            .attr('text-anchor', 'middle')
+            .attr('fill', d => stageColors[d.id])
+            .attr('font-size', '12px')
+            .attr('font-weight', '600')
+            .text(d => d.label);
+
+        // Create link generator
+        const linkGen = d3.linkHorizontal()
+            .x(d => d.x)
+            .y(d => d.y);
+
+        // Draw links
+        const linkGroup = svg.append('g').attr('class', 'links');
+
+        links.forEach(link => {
+            const sourceNode = nodes.find(n => n.id === link.source);
+            const targetNode = nodes.find(n => n.id === link.target);
+
+            // Calculate link path
+            const sourceX = sourceNode.x + 60;
+            const sourceY = sourceNode.y;
+            const targetX = targetNode.x - 60;
+            const targetY = targetNode.y;
+
+            // Draw curved path
+            const path = linkGroup.append('path')
+                .attr('d', `M${sourceX},${sourceY} C${sourceX + 40},${sourceY} ${targetX - 40},${targetY} ${targetX},${targetY}`)
+                .attr('fill', 'none')
+                .attr('stroke', '#64748b')
+                .attr('stroke-width', 2)
+                .attr('stroke-opacity', 0.6)
+                .attr('marker-end', 'url(#rag-arrow)');
+
+            // Link label; the demo fills in real counts once it has run
+            linkGroup.append('text')
+                .datum(link)
+                .attr('class', 'rag-link-label')
+                .attr('x', (sourceX + targetX) / 2)
+                .attr('y', (sourceY + targetY) / 2 - 12)
+                .attr('text-anchor', 'middle')
+                .attr('fill', '#94a3b8')
+                .attr('font-size', '10px')
+                .text(ragLinkLabel);
+        });
+
+        // Add arrow marker
+        svg.append('defs')
+            .append('marker')
+            .attr('id', 'rag-arrow')
+            .attr('viewBox', '0 -5 10 10')
+            .attr('refX', 8)
+            .attr('refY', 0)
+            .attr('markerWidth', 6)
+            .attr('markerHeight', 6)
+            .attr('orient', 'auto')
+            .append('path')
+            .attr('d', 'M0,-5L10,0L0,5')
+            .attr('fill', '#64748b');
+
+        // Draw nodes
+        const nodeGroup = svg.selectAll('.rag-node')
+            .data(nodes)
+            .enter()
+            .append('g')
+            .attr('class', 'rag-node')
+            .classed('selected', d => d.id === ragPipeline.selected)
+            .attr('transform', d => `translate(${d.x}, ${d.y})`)
+            .attr('role', 'button')
+            .on('click', (event, d) => selectRagStage(d.id))
+            .on('keydown', (event, d) => {
+                if (event.key === 'Enter' || event.key === ' ') {
+                    event.preventDefault();
+                    selectRagStage(d.id);
+                }
+            });
+
+        // Node rectangles
+        nodeGroup.append('rect')
+            .attr('x', -55)
+            .attr('y', -28)
+            .attr('width', 110)
+            .attr('height', 56)
+            .attr('rx', 8)
+            .attr('fill', d => {
+                const color = stageColors[d.stage];
+                return color + '20';
+            })
+            .attr('stroke', d => stageColors[d.stage])
+            .attr('stroke-width', 2);
+
+        // Node main labels
+        nodeGroup.append('text')
+            .attr('y', -5)
+            .attr('text-anchor', 'middle')
+            .attr('fill', d => stageColors[d.stage])
+            .attr('font-size', '12px')
+            .attr('font-weight', '600')
+            .text(d => d.label);
+
+        // Node sublabels
+        nodeGroup.append('text')
+            .attr('class', 'rag-node-sublabel')
+            .attr('y', 12)
+            .attr('text-anchor', 'middle')
+            .attr('fill', '#94a3b8')
+            .attr('font-size', '9px')
+            .text(ragNodeSublabel);
+
+        makeGraphAccessible(container, svg, {
+            label: 'RAG query pipeline',
+            nodes: nodeGroup,
+            links,
+            id: d => d.id,
+            name: d => d.label,
+            describe: d => [d.sublabel, `${d.stage} stage`, 'shows its results in the demo below']
+                .filter(Boolean).join(', ')
+        });
+
+        // Animate particles along the path
+        function animateRAGParticles() {
+            const particleData = links.map((link, i) => ({
+                from: link.source,
+                to: link.target,
+                delay: i * 400
+            }));
+
+            particleData.forEach(p => {
+                const source = nodes.find(n => n.id === p.from);
+                const target = nodes.find(n => n.id === p.to);
+
+                svg.append('circle')
+                    .attr('r', 4)
+                    .attr('fill', stageColors[source.stage])
+                    .attr('cx', source.x + 55)
+                    .attr('cy', source.y)
+                    .attr('opacity', 0)
+                    .transition()
+                    .delay(p.delay)
+                    .duration(800)
+                    .ease(d3.easeLinear)
+                    .attr('opacity', 1)
+                    .attr('cx', target.x - 55)
+                    .attr('cy', target.y)
+                    .remove();
+            });
+        }
+
+        // Run particle animation periodically
+        scheduleAnimation('ragGraph', 4000, animateRAGParticles, { decorative: true });
+    }
+
+    // ===========================================
+    // RAG PIPELINE DEMO
+    // ===========================================
+
+    // A small documentation corpus run through every stage of the RAG graph in the browser. The
+    // stand-ins are deliberately simple and deterministic: hashed word and character n-grams for the
+    // embedding model, BM25 for the sparse half of hybrid search, term overlap and proximity for the
+    // cross-encoder, in-links within the corpus for Matrix Link authority, and sentence extraction
+    // for the LLM. Nothing leaves the page.
+    const CORPUS_URL = 'data/corpus.json';
+    const RAG_DIMENSIONS = 256;
+    const RAG_CANDIDATES = 20;          // hybrid retrieval top-k
+    const RAG_RERANKED = 10;
+    const RAG_CONTEXT = 5;              // chunks handed to synthesis
+    const RAG_ALPHA = 0.7;              // 0.7 vector + 0.3 sparse, as on the Hybrid Retrieval card
+    const RAG_AUTHORITY_WEIGHT = 0.2;   // Final = (Sim * 0.8) + (Authority * 0.2)
+    const RAG_ANSWER_SENTENCES = 3;
+    const BM25_K1 = 1.2;
+    const BM25_B = 0.75;
+
+    const RAG_STOPWORDS = new Set(('a an and are as at be by can do does for from how i if in into is it its ' +
+        'me my of on or so that the then this to use using what when where which why with you your').split(' '));
+
+    // What the detail panel shows for each RAG graph node
+    const RAG_STAGE_CAPTIONS = {
+        user: 'the question and its terms',
+        queryembed: 'hashed n-gram embedding',
+        pinecone: 'dense + BM25 candidates',
+        filter: 'metadata filter on updated date',
+        reranker: 'pairwise re-ranking',
+        matrixboost: 'authority boost',
+        llm: 'extractive synthesis',
+        answer: 'cited answer'
+    };
+
+    // Words that mean the same thing to the stand-in embedding; this is what lets it match a
+    // question that shares no words with the page that answers it
+    const RAG_CONCEPTS = {
+        storage: 'volume storage disk file filesystem persist mount bucket save cache nfs directory',
+        sync: 'commit reload visible see sync refresh change missing',
+        gpu: 'gpu cuda a10g h100 a100 t4 l4 accelerator vram',
+        memory: 'memory oom ram leak gb fp16',
+        coldstart: 'cold start startup warm boot slow snapshot idle scaledown latency',
+        scale: 'scale scaling autoscale parallel concurrent concurrency fan map container fleet max min',
+        schedule: 'schedule cron periodic period daily nightly hourly timer',
+        secret: 'secret credential token password env environment',
+        web: 'web http https endpoint fastapi asgi url server request',
+        retry: 'retry failure fail error backoff timeout crash',
+        image: 'image docker pip install dependency package build registry',
+        model: 'model weight hugging transformer torch embedding'
+    };
+    const RAG_CONCEPT_INDEX = new Map();
+    Object.entries(RAG_CONCEPTS).forEach(([concept, words]) => words.split(' ').forEach(word => {
+        RAG_CONCEPT_INDEX.set(word, [...(RAG_CONCEPT_INDEX.get(word) || []), concept]);
+    }));
+
+    const RAG_MAX_AGE_LABELS = { 0: 'any age', 182: '6 months', 365: '1 year', 730: '2 years' };
+
+    const ragPipeline = {
+        corpusReady: null,  // promise for the indexed corpus
+        index: null,
+        query: 'How do I mount a volume?',
+        maxAge: 365,        // days; 0 turns the metadata filter off
+        result: null,
+        selected: 'answer'
+    };
+
+    function loadCorpus() {
+        if (!ragPipeline.corpusReady) {
+            ragPipeline.corpusReady = fetch(CORPUS_URL)
+                .then(response => {
+                    if (!response.ok) throw new Error(`Could not load ${CORPUS_URL} (HTTP ${response.status})`);
+                    return response.json();
+                })
+                .then(doc => {
+                    if (!doc || !Array.isArray(doc.documents) || !doc.asOf) {
+                        throw new Error(`${CORPUS_URL} needs an asOf date and a documents list`);
+                    }
+                    ragPipeline.index = buildRagIndex(doc);
+                    return ragPipeline.index;
+                });
+        }
+        return ragPipeline.corpusReady;
+    }
+
+    // Lowercased words without stopwords, with plurals folded so "volumes" matches "volume";
+    // identifiers such as min_containers are kept whole
+    function ragTerms(text) {
+        return (text.toLowerCase().match(/[a-z0-9_]+/g) || [])
+            .filter(word => !RAG_STOPWORDS.has(word))
+            .map(word => {
+                if (word.includes('_')) return word;
+                if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+                if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+                return word;
+            });
+    }
+
+    // FNV-1a
+    function hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Every word, its character trigrams and the concepts it belongs to, hashed into a fixed number
+    // of signed buckets and L2-normalised. Like a real embedding model it splits identifiers such as
+    // min_containers into pieces, so the exact name is never a feature of its own.
+    function embedRagText(terms) {
+        const vector = new Float32Array(RAG_DIMENSIONS);
+        const features = [];
+        terms.flatMap(term => term.split('_')).filter(Boolean).forEach(word => {
+            features.push({ feature: word, weight: 1 });
+            const padded = `#${word}#`;
+            for (let i = 0; i + 3 <= padded.length; i++) features.push({ feature: padded.slice(i, i + 3), weight: 0.3 });
+            (RAG_CONCEPT_INDEX.get(word) || []).forEach(concept => features.push({ feature: `~${concept}`, weight: 1.5 }));
+        });
+        features.forEach(f => {
+            const hash = hashString(f.feature);
+            f.dimension = hash % RAG_DIMENSIONS;
+            f.sign = hash & 0x80000000 ? -1 : 1;
+            vector[f.dimension] += f.sign * f.weight;
+        });
+        const norm = Math.hypot(...vector) || 1;
+        vector.forEach((value, i) => { vector[i] = value / norm; });
+        return { vector, features };
+    }
+
+    function cosine(a, b) {
+        let dot = 0;
+        for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+        return dot;
+    }
+
+    function buildRagIndex(corpus) {
+        const asOf = new Date(corpus.asOf);
+        const documents = new Map(corpus.documents.map(doc => [doc.id, doc]));
+
+        // Matrix Link authority: weighted in-links within the corpus, log-scaled to 0-1
+        const inLinks = new Map(corpus.documents.map(doc => [doc.id, 0]));
+        corpus.documents.forEach(doc => doc.links.forEach(target => {
+            if (inLinks.has(target)) inLinks.set(target, inLinks.get(target) + 1);
+        }));
+        const maxIn = d3.max([...inLinks.values()]) || 1;
+
+        const chunks = corpus.documents.flatMap(doc => doc.chunks.map((text, i) => {
+            const terms = ragTerms(`${doc.title} ${text}`);
+            return {
+                id: `${doc.id}#${i + 1}`,
+                doc,
+                text,
+                terms,
+                counts: d3.rollup(terms, v => v.length, t => t),
+                vector: embedRagText(terms).vector,
+                ageDays: Math.round((asOf - new Date(doc.updated)) / 86400000),
+                inLinks: inLinks.get(doc.id),
+                authority: Math.log1p(inLinks.get(doc.id)) / Math.log1p(maxIn)
+            };
+        }));
+
+        const documentFrequency = new Map();
+        chunks.forEach(chunk => chunk.counts.forEach((count, term) => {
+            documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+        }));
+
+        return {
+            asOf: corpus.asOf,
+            documents,
+            chunks,
+            documentFrequency,
+            averageLength: d3.mean(chunks, chunk => chunk.terms.length)
+        };
+    }
+
+    function bm25Idf(index, term) {
+        const df = index.documentFrequency.get(term) || 0;
+        return Math.log(1 + (index.chunks.length - df + 0.5) / (df + 0.5));
+    }
+
+    function bm25Score(index, queryTerms, chunk) {
+        return d3.sum(new Set(queryTerms), term => {
+            const tf = chunk.counts.get(term) || 0;
+            if (!tf) return 0;
+            const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * chunk.terms.length / index.averageLength);
+            return bm25Idf(index, term) * tf * (BM25_K1 + 1) / norm;
+        });
+    }
+
+    // Cross-encoder stand-in: reads the query and chunk together, scoring coverage of the query's
+    // terms, query bigrams found side by side, and how tightly the matches cluster
+    function rerankScore(queryTerms, chunk) {
+        const wanted = [...new Set(queryTerms)];
+        if (!wanted.length) return { score: 0, coverage: 0, phrases: 0, proximity: 0 };
+
+        const coverage = wanted.filter(term => chunk.counts.has(term)).length / wanted.length;
+
+        const bigrams = d3.pairs(queryTerms).map(pair => pair.join(' '));
+        const chunkBigrams = new Set(d3.pairs(chunk.terms).map(pair => pair.join(' ')));
+        const phrases = bigrams.length ? bigrams.filter(b => chunkBigrams.has(b)).length / bigrams.length : 0;
+
+        // Shortest window of the chunk containing every matched query term
+        const matched = wanted.filter(term => chunk.counts.has(term));
+        let proximity = 0;
+        if (matched.length > 1) {
+            const last = new Map();
+            let best = Infinity;
+            chunk.terms.forEach((term, position) => {
+                if (!matched.includes(term)) return;
+                last.set(term, position);
+                if (last.size === matched.length) best = Math.min(best, position - d3.min([...last.values()]) + 1);
+            });
+            proximity = matched.length / best;
+        } else if (matched.length === 1) {
+            proximity = 1;
+        }
+
+        const score = 1 / (1 + Math.exp(-(5 * coverage + 2 * phrases + 1.5 * proximity - 4)));
+        return { score, coverage, phrases, proximity };
+    }
+
+    // Sentence ends are punctuation then a capital, so dotted code such as modal.Volume stays whole
+    function splitSentences(text) {
+        return text.split(/(?<=[.!?])\s+(?=[A-Z])/).map(s => s.trim()).filter(Boolean);
+    }
+
+    // Hybrid retrieval: cosine on the embedding plus BM25 scaled by the best BM25 score, weighted by alpha
+    function scoreHybrid(index, queryTerms, embedding, alpha) {
+        const scored = index.chunks.map(chunk => ({
+            chunk,
+            dense: cosine(embedding.vector, chunk.vector),
+            bm25: bm25Score(index, queryTerms, chunk)
+        }));
+        const maxBm25 = d3.max(scored, s => s.bm25) || 1;
+        scored.forEach(s => {
+            s.sparse = s.bm25 / maxBm25;
+            s.hybrid = alpha * s.dense + (1 - alpha) * s.sparse;
+        });
+        return scored;
+    }
+
+    // Runs every stage and returns their intermediate results keyed by RAG graph node id
+    function runRagPipeline(index, query, maxAge) {
+        const queryTerms = ragTerms(query);
+        const embedding = embedRagText(queryTerms);
+
+        const candidates = scoreHybrid(index, queryTerms, embedding, RAG_ALPHA)
+            .filter(s => s.dense > 0 || s.bm25 > 0)
+            .sort((a, b) => b.hybrid - a.hybrid)
+            .slice(0, RAG_CANDIDATES);
+        candidates.forEach((s, i) => { s.retrievalRank = i + 1; });
+
+        const kept = candidates.filter(s => !maxAge || s.chunk.ageDays <= maxAge);
+        const dropped = candidates.filter(s => !kept.includes(s));
+
+        const reranked = kept
+            .map(s => Object.assign(s, { rerank: rerankScore(queryTerms, s.chunk) }))
+            .sort((a, b) => b.rerank.score - a.rerank.score)
+            .slice(0, RAG_RERANKED);
+        reranked.forEach((s, i) => { s.rerankRank = i + 1; });
+
+        const boosted = reranked
+            .map(s => Object.assign(s, {
+                final: (1 - RAG_AUTHORITY_WEIGHT) * s.rerank.score + RAG_AUTHORITY_WEIGHT * s.chunk.authority
+            }))
+            .sort((a, b) => b.final - a.final);
+        boosted.forEach((s, i) => { s.finalRank = i + 1; });
+        const context = boosted.slice(0, RAG_CONTEXT);
+
+        // Extractive synthesis: statements from the context that carry the most query weight, favouring
+        // better-ranked chunks; questions quoted in forum posts are never answers
+        const sentences = context.flatMap((s, source) => splitSentences(s.chunk.text).map((text, position) => {
+            const terms = new Set(ragTerms(text));
+            const weight = d3.sum(new Set(queryTerms), term => terms.has(term) ? bm25Idf(index, term) : 0);
+            return { text, source, position, weight, score: weight * (0.5 + s.final) };
+        }));
+        const picked = sentences
+            .filter(s => s.weight > 0 && !s.text.endsWith('?'))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, RAG_ANSWER_SENTENCES)
+            .sort((a, b) => a.source - b.source || a.position - b.position);
+        picked.forEach(s => { s.picked = true; });
+
+        return {
+            query,
+            queryTerms,
+            embedding,
+            candidates,
+            kept,
+            dropped,
+            maxAge,
+            reranked,
+            boosted,
+            context,
+            sentences,
+            answer: picked
+        };
+    }
+
+    function initRagDemo() {
+        const form = document.getElementById('ragDemo');
+        if (!form) return;
+
+        const { query, maxAge } = form.elements;
+        query.value = ragPipeline.query;
+        maxAge.value = ragPipeline.maxAge;
+
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            ragPipeline.query = query.value.trim() || ragPipeline.query;
+            ragPipeline.maxAge = Number(maxAge.value);
+            runRagDemo();
+        });
+
+        maxAge.addEventListener('change', () => form.requestSubmit());
+
+        form.querySelectorAll('[data-query]').forEach(button => {
+            button.addEventListener('click', () => {
+                query.value = button.dataset.query;
+                form.requestSubmit();
+            });
+        });
+
+        runRagDemo();
+    }
+
+    function runRagDemo() {
+        const output = document.getElementById('ragDemoOutput');
+        loadCorpus()
+            .then(index => {
+                ragPipeline.result = runRagPipeline(index, ragPipeline.query, ragPipeline.maxAge);
+                updateRagGraphLabels();
+                renderRagStage();
+            })
+            .catch(err => {
+                if (output) output.textContent = `The demo corpus is unavailable: ${err.message}`;
+            });
+    }
+
+    // Labels the RAG graph takes from the last run instead of the topology's example
+    function ragNodeSublabel(d) {
+        const result = ragPipeline.result;
+        if (!result || d.id !== 'user') return d.sublabel;
+        return `"${truncateText(result.query, 26)}"`;
+    }
+
+    function ragLinkLabel(link) {
+        const result = ragPipeline.result;
+        if (!result) return link.label;
+        switch (`${link.source}>${link.target}`) {
+            case 'pinecone>filter': return `Top ${result.candidates.length}`;
+            case 'filter>reranker': return `${result.kept.length} kept`;
+            case 'reranker>matrixboost': return `Top ${result.reranked.length}`;
+            case 'matrixboost>llm': return `Top ${result.context.length} chunks`;
+            default: return link.label;
+        }
+    }
+
+    function truncateText(text, length) {
+        return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+    }
 
-        links.forEach(link => {
-            const source = nodeMap[link.source];
-            const target = nodeMap[link.target];
-            const color = markerColors[link.type];
+    function updateRagGraphLabels() {
+        const container = document.getElementById('ragGraph');
+        if (!container) return;
+        d3.select(container).selectAll('.rag-node-sublabel').text(ragNodeSublabel);
+        d3.select(container).selectAll('.rag-link-label').text(ragLinkLabel);
+        d3.select(container).selectAll('.rag-node').classed('selected', d => d.id === ragPipeline.selected);
+    }
 
-            linkGroup.append('line')
-                .attr('class', 'batch-link')
-                .attr('x1', source.x + 50)
-                .attr('y1', source.y)
-                .attr('x2', target.x - 50)
-                .attr('y2', target.y)
-                .attr('stroke', color)
-                .attr('stroke-width', 2)
-                .attr('opacity', 0.7)
-                .attr('marker-end', `url(#arrow-batch-${link.type})`);
+    function selectRagStage(stage) {
+        ragPipeline.selected = stage;
+        updateRagGraphLabels();
+        renderRagStage();
+    }
 
-            // Add link label
-            if (link.label) {
-                const labelX = (source.x + target.x) / 2;
-                const labelY = (source.y + target.y) / 2 - 10;
+    // Intermediate results of the selected graph node
+    function renderRagStage() {
+        const output = document.getElementById('ragDemoOutput');
+        const result = ragPipeline.result;
+        if (!output || !result) return;
+
+        const component = topology && topology.components.find(c => c.id === ragPipeline.selected);
+        const title = component ? component.label : ragPipeline.selected;
+        const root = d3.select(output).html('');
+        const format = d3.format('.3f');
+        const chunkName = chunk => `${chunk.doc.title} §${chunk.id.split('#')[1]}`;
+
+        root.append('h4')
+            .attr('class', 'rag-stage-title')
+            .text(`${title}: ${RAG_STAGE_CAPTIONS[ragPipeline.selected]}`);
+
+        const table = (columns, rows, rowClass) => {
+            const tableEl = root.append('table').attr('class', 'rag-stage-table');
+            tableEl.append('thead').append('tr')
+                .selectAll('th')
+                .data(columns)
+                .join('th')
+                .text(c => c.label);
+            tableEl.append('tbody')
+                .selectAll('tr')
+                .data(rows)
+                .join('tr')
+                .attr('class', rowClass || null)
+                .selectAll('td')
+                .data(row => columns.map(c => c.value(row)))
+                .join('td')
+                .text(value => value);
+        };
 
-                linkGroup.append('text')
-                    .attr('x', labelX)
-                    .attr('y', labelY)
-                    .attr('text-anchor', 'middle')
-                    .attr('font-size', '10px')
-                    .attr('font-weight', '600')
-                    .attr('fill', color)
-                    .text(link.label);
+        switch (ragPipeline.selected) {
+            case 'user': {
+                root.append('p').text(`"${result.query}"`);
+                const terms = root.append('p').attr('class', 'rag-terms');
+                terms.append('span').text('Terms after stopwords and plural folding: ');
+                terms.selectAll('code')
+                    .data(result.queryTerms.length ? result.queryTerms : ['(none)'])
+                    .join('code')
+                    .text(term => term);
+                break;
             }
+            case 'queryembed': {
+                const { vector, features } = result.embedding;
+                const nonZero = vector.filter(value => value !== 0).length;
+                root.append('p').text(`${features.length} features (words, their character trigrams and concepts) hashed into ` +
+                    `${RAG_DIMENSIONS} signed dimensions; ${nonZero} are non-zero after normalisation.`);
+                const width = Math.min(output.clientWidth || 512, 512);
+                const x = d3.scaleBand().domain(d3.range(RAG_DIMENSIONS)).range([0, width]);
+                const y = d3.scaleLinear().domain([-1, 1]).range([60, 0]);
+                root.append('svg')
+                    .attr('class', 'rag-vector')
+                    .attr('width', width)
+                    .attr('height', 60)
+                    .attr('role', 'img')
+                    .attr('aria-label', `Query vector, ${nonZero} of ${RAG_DIMENSIONS} dimensions non-zero`)
+                    .selectAll('rect')
+                    .data(Array.from(vector))
+                    .join('rect')
+                    .attr('x', (value, i) => x(i))
+                    .attr('width', Math.max(1, x.bandwidth()))
+                    .attr('y', value => Math.min(y(value), y(0)))
+                    .attr('height', value => Math.abs(y(value) - y(0)))
+                    .attr('fill', value => value > 0 ? '#3b82f6' : '#f59e0b');
+                table([
+                    { label: 'Feature', value: f => f.feature },
+                    { label: 'Dimension', value: f => f.dimension },
+                    { label: 'Sign × weight', value: f => `${f.sign > 0 ? '+' : '−'}${f.weight}` }
+                ], features.slice(0, 12));
+                break;
+            }
+            case 'pinecone':
+                root.append('p').text(`Hybrid score = ${RAG_ALPHA} × cosine + ${d3.format('.1f')(1 - RAG_ALPHA)} × BM25 ` +
+                    `(scaled to the best match), over ${ragPipeline.index.chunks.length} chunks.`);
+                table([
+                    { label: '#', value: s => s.retrievalRank },
+                    { label: 'Chunk', value: s => chunkName(s.chunk) },
+                    { label: 'Cosine', value: s => format(s.dense) },
+                    { label: 'BM25', value: s => d3.format('.2f')(s.bm25) },
+                    { label: 'Hybrid', value: s => format(s.hybrid) }
+                ], result.candidates);
+                break;
+            case 'filter':
+                root.append('p').text(result.maxAge
+                    ? `Keeps chunks updated within ${RAG_MAX_AGE_LABELS[result.maxAge]} of ${ragPipeline.index.asOf}: ` +
+                        `${result.kept.length} kept, ${result.dropped.length} dropped.`
+                    : 'No age limit: every candidate passes.');
+                table([
+                    { label: '#', value: s => s.retrievalRank },
+                    { label: 'Chunk', value: s => chunkName(s.chunk) },
+                    { label: 'Updated', value: s => s.chunk.doc.updated },
+                    { label: 'Age', value: s => `${s.chunk.ageDays} d` },
+                    { label: 'Result', value: s => result.kept.includes(s) ? 'kept' : 'dropped' }
+                ], result.candidates, s => result.kept.includes(s) ? null : 'rag-dropped');
+                break;
+            case 'reranker':
+                root.append('p').text('Scores each (query, chunk) pair together: share of query terms present, ' +
+                    'query bigrams found side by side, and how closely the matches cluster.');
+                table([
+                    { label: '#', value: s => s.rerankRank },
+                    { label: 'Was', value: s => s.retrievalRank },
+                    { label: 'Chunk', value: s => chunkName(s.chunk) },
+                    { label: 'Coverage', value: s => d3.format('.0%')(s.rerank.coverage) },
+                    { label: 'Phrases', value: s => d3.format('.0%')(s.rerank.phrases) },
+                    { label: 'Score', value: s => format(s.rerank.score) }
+                ], result.reranked);
+                break;
+            case 'matrixboost':
+                root.append('p').text(`Final = ${1 - RAG_AUTHORITY_WEIGHT} × re-rank + ${RAG_AUTHORITY_WEIGHT} × authority; ` +
+                    'authority comes from how many corpus pages link to the chunk\'s page.');
+                table([
+                    { label: '#', value: s => s.finalRank },
+                    { label: 'Chunk', value: s => chunkName(s.chunk) },
+                    { label: 'Source', value: s => s.chunk.doc.source },
+                    { label: 'In-links', value: s => s.chunk.inLinks },
+                    { label: 'Authority', value: s => d3.format('.2f')(s.chunk.authority) },
+                    { label: 'Final', value: s => format(s.final) }
+                ], result.boosted, s => s.finalRank <= RAG_CONTEXT ? null : 'rag-dropped');
+                break;
+            case 'llm':
+                root.append('p').text('Offline stand-in for the LLM: sentences from the top chunks, scored by the ' +
+                    `BM25 weight of the query terms they contain; the best ${RAG_ANSWER_SENTENCES} form the answer.`);
+                table([
+                    { label: 'Source', value: s => `[${s.source + 1}]` },
+                    { label: 'Sentence', value: s => s.text },
+                    { label: 'Score', value: s => d3.format('.2f')(s.score) }
+                ], [...result.sentences].sort((a, b) => b.score - a.score), s => s.picked ? 'rag-picked' : null);
+                break;
+            default:
+                renderRagAnswer(root, result, chunkName);
+        }
+    }
+
+    function renderRagAnswer(root, result, chunkName) {
+        if (!result.answer.length) {
+            root.append('p').text('No passage in the corpus matches this question. Try widening the date filter or rephrasing.');
+            return;
+        }
+        const answer = root.append('p').attr('class', 'rag-answer');
+        result.answer.forEach(sentence => {
+            answer.append('span').text(`${sentence.text} `);
+            answer.append('sup').text(`[${sentence.source + 1}]`);
+            answer.append('span').text(' ');
         });
+        root.append('ol')
+            .attr('class', 'rag-sources')
+            .selectAll('li')
+            .data(result.context)
+            .join('li')
+            .text(s => `${chunkName(s.chunk)} (${s.chunk.doc.source}, updated ${s.chunk.doc.updated})`);
+    }
 
-        // Draw nodes
-        const nodeGroup = svg.append('g').attr('class', 'batch-nodes');
+    // ===========================================
+    // HYBRID SEARCH EXPLORER
+    // ===========================================
 
-        nodes.forEach(node => {
-            const g = nodeGroup.append('g')
-                .attr('class', 'batch-node')
-                .attr('transform', `translate(${node.x}, ${node.y})`)
-                .style('cursor', 'pointer');
+    // BM25, the dense embedding and their alpha-weighted blend over the RAG demo's corpus, side by
+    // side, with a verdict on whether the lexical and semantic rankings agree
+    const HYBRID_TOP = 5;
+    const HYBRID_MIN_SHARED = 3;    // fewer shared top-5 results than this counts as disagreement
+    const HYBRID_MIN_DENSE = 0.15;  // cosine below this is hash noise, not similarity
 
-            // Node background
-            g.append('rect')
-                .attr('x', -50)
-                .attr('y', -28)
-                .attr('width', 100)
-                .attr('height', 56)
-                .attr('rx', 10)
-                .attr('fill', markerColors[node.type])
-                .attr('opacity', 0.2)
-                .attr('stroke', markerColors[node.type])
-                .attr('stroke-width', 2);
+    const HYBRID_EMPTY = {
+        sparse: 'No page contains any of the query words.',
+        dense: 'Nothing is close in meaning.',
+        hybrid: 'No results.'
+    };
 
-            // Node label
-            g.append('text')
-                .attr('y', -5)
-                .attr('text-anchor', 'middle')
-                .attr('font-size', '12px')
-                .attr('font-weight', '600')
-                .attr('fill', markerColors[node.type])
-                .text(node.label);
+    const hybridExplorer = {
+        query: 'min_containers',
+        alpha: 0.7
+    };
 
-            // Node sublabel
-            g.append('text')
-                .attr('y', 12)
-                .attr('text-anchor', 'middle')
-                .attr('font-size', '9px')
-                .attr('fill', 'var(--text-muted)')
-                .text(node.sublabel);
+    function initHybridExplorer() {
+        const form = document.getElementById('hybridForm');
+        if (!form) return;
 
-            // Hover effects
-            g.on('mouseover', function() {
-                d3.select(this).select('rect')
-                    .transition()
-                    .duration(200)
-                    .attr('opacity', 0.4)
-                    .attr('stroke-width', 3);
-            })
-            .on('mouseout', function() {
-                d3.select(this).select('rect')
-                    .transition()
-                    .duration(200)
-                    .attr('opacity', 0.2)
-                    .attr('stroke-width', 2);
+        const { query, alpha } = form.elements;
+        const alphaOutput = form.querySelector(`output[for="${alpha.id}"]`);
+        query.value = hybridExplorer.query;
+        alpha.value = hybridExplorer.alpha;
+
+        const update = () => {
+            hybridExplorer.query = query.value.trim();
+            hybridExplorer.alpha = Number(alpha.value);
+            alphaOutput.textContent = `${d3.format('.2f')(hybridExplorer.alpha)} dense / ${d3.format('.2f')(1 - hybridExplorer.alpha)} BM25`;
+            renderHybridExplorer();
+        };
+
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            update();
+        });
+        query.addEventListener('input', debounce(update, 200));
+        alpha.addEventListener('input', update);
+        form.querySelectorAll('[data-query]').forEach(button => {
+            button.addEventListener('click', () => {
+                query.value = button.dataset.query;
+                update();
             });
         });
 
-        // Animate data flow particles
-        function animateBatchParticles() {
-            links.forEach((link, i) => {
-                const source = nodeMap[link.source];
-                const target = nodeMap[link.target];
-                const color = markerColors[link.type];
+        update();
+    }
+
+    function renderHybridExplorer() {
+        const panel = document.getElementById('hybridExplorer');
+        if (!panel) return;
+
+        loadCorpus()
+            .then(index => {
+                const { query, alpha } = hybridExplorer;
+                const queryTerms = ragTerms(query);
+                const scored = queryTerms.length ? scoreHybrid(index, queryTerms, embedRagText(queryTerms), alpha) : [];
+
+                const ranked = (key, min) => d3.sort(scored.filter(s => s[key] > min), (a, b) => b[key] - a[key]);
+                const sparse = ranked('bm25', 0);
+                const dense = ranked('dense', HYBRID_MIN_DENSE);
+                const hybrid = ranked('hybrid', 0).filter(s => s.bm25 > 0 || s.dense > HYBRID_MIN_DENSE);
+                const sparseTop = new Set(sparse.slice(0, HYBRID_TOP));
+                const denseTop = new Set(dense.slice(0, HYBRID_TOP));
+
+                const queryConcepts = new Set(queryTerms.flatMap(term => term.split('_'))
+                    .flatMap(word => RAG_CONCEPT_INDEX.get(word) || []));
+                const why = {
+                    sparse: s => {
+                        const matched = [...new Set(queryTerms)].filter(term => s.chunk.counts.has(term));
+                        return `matches ${matched.join(', ')}`;
+                    },
+                    dense: s => {
+                        const shared = [...new Set(s.chunk.terms.flatMap(term => term.split('_'))
+                            .flatMap(word => RAG_CONCEPT_INDEX.get(word) || []))]
+                            .filter(concept => queryConcepts.has(concept));
+                        return shared.length ? `related: ${shared.join(', ')}` : 'similar spelling';
+                    },
+                    hybrid: s => {
+                        if (sparseTop.has(s) && denseTop.has(s)) return 'in both top 5';
+                        if (sparseTop.has(s)) return 'from BM25';
+                        if (denseTop.has(s)) return 'from dense';
+                        return 'lifted by the blend';
+                    }
+                };
+                const columns = {
+                    sparse: { list: sparse, score: s => s.bm25, format: d3.format('.2f') },
+                    dense: { list: dense, score: s => s.dense, format: d3.format('.3f') },
+                    hybrid: { list: hybrid, score: s => s.hybrid, format: d3.format('.3f') }
+                };
 
-                setTimeout(() => {
-                    const particle = svg.append('circle')
-                        .attr('r', link.type === 'gpu' ? 6 : 4)
-                        .attr('fill', color)
-                        .attr('cx', source.x + 50)
-                        .attr('cy', source.y);
+                Object.entries(columns).forEach(([key, column]) => {
+                    const top = column.list.slice(0, HYBRID_TOP);
+                    const max = column.list.length ? column.score(column.list[0]) : 1;
+                    const items = d3.select(panel)
+                        .select(`[data-column="${key}"] ol`)
+                        .selectAll('li')
+                        .data(top)
+                        .join(enter => {
+                            const li = enter.append('li');
+                            const head = li.append('div').attr('class', 'hybrid-result');
+                            head.append('span').attr('class', 'hybrid-title');
+                            head.append('span').attr('class', 'hybrid-score');
+                            li.append('div').attr('class', 'hybrid-bar').append('span');
+                            li.append('div').attr('class', 'hybrid-why');
+                            return li;
+                        });
+                    items.classed('hybrid-only', s => key !== 'hybrid' && !(key === 'sparse' ? denseTop : sparseTop).has(s));
+                    items.select('.hybrid-title').text(s => `${s.chunk.doc.title} §${s.chunk.id.split('#')[1]}`);
+                    items.select('.hybrid-score').text(s => column.format(column.score(s)));
+                    items.select('.hybrid-bar span').style('width', s => `${Math.max(0, column.score(s) / max) * 100}%`);
+                    items.select('.hybrid-why').text(why[key]);
+
+                    d3.select(panel)
+                        .select(`[data-column="${key}"] .hybrid-empty`)
+                        .text(top.length ? '' : HYBRID_EMPTY[key]);
+                });
 
-                    particle.transition()
-                        .duration(1200)
-                        .ease(d3.easeLinear)
-                        .attr('cx', target.x - 50)
-                        .attr('cy', target.y)
-                        .remove();
-                }, i * 200);
+                panel.querySelector('[data-alpha]').textContent = `α = ${d3.format('.2f')(alpha)}`;
+                const verdict = panel.querySelector('.hybrid-verdict');
+                const text = describeHybridAgreement(queryTerms, sparse, dense, hybrid);
+                verdict.textContent = text.message;
+                verdict.classList.toggle('disagree', text.disagree);
+            })
+            .catch(err => {
+                panel.querySelector('.hybrid-verdict').textContent = `The demo corpus is unavailable: ${err.message}`;
             });
+    }
+
+    // Do BM25 and the embedding agree, and if not, which signal found what the other missed
+    function describeHybridAgreement(queryTerms, sparse, dense, hybrid) {
+        if (!queryTerms.length) return { message: 'Type a question or an API name.', disagree: false };
+
+        const name = s => `${s.chunk.doc.title} §${s.chunk.id.split('#')[1]}`;
+        const denseRank = s => dense.indexOf(s) + 1 || dense.length + 1;
+        // A blended score of zero or less drops the chunk from the hybrid results altogether
+        const blendPlacement = s => hybrid.includes(s)
+            ? `the blend puts it at #${hybrid.indexOf(s) + 1}`
+            : 'the blend leaves it out of the results';
+
+        if (!sparse.length && !dense.length) {
+            return { message: 'Neither signal finds anything: no page shares a word with the query or is close in meaning.', disagree: false };
+        }
+        if (!sparse.length) {
+            return {
+                message: `No page shares a word with this query, so BM25 returns nothing; only the dense signal ` +
+                    `finds ${name(dense[0])}.`,
+                disagree: true
+            };
+        }
+        if (!dense.length) {
+            return { message: `Only BM25 finds anything, led by ${name(sparse[0])}; nothing is close in meaning.`, disagree: true };
         }
 
-        // Run particle animation periodically
-        animateBatchParticles();
-        setInterval(animateBatchParticles, 3500);
+        const sparseTop = sparse.slice(0, HYBRID_TOP);
+        const denseTop = dense.slice(0, HYBRID_TOP);
+        const shared = sparseTop.filter(s => denseTop.includes(s)).length;
+
+        // Identifiers (underscores, or letters mixed with digits) are where the sparse signal earns its keep
+        const identifiers = [...new Set(queryTerms)].filter(term => /_/.test(term) || (/\d/.test(term) && /[a-z]/.test(term)));
+        const exact = identifiers.find(term => sparse[0].chunk.counts.has(term));
+        if (exact && dense[0] !== sparse[0]) {
+            return {
+                message: `BM25 matches the exact name ${exact} in ${name(sparse[0])}. The embedding only sees its pieces ` +
+                    `(${exact.split('_').join(' + ')}), ranks it #${denseRank(sparse[0])} behind ${name(dense[0])}, ` +
+                    `and ${blendPlacement(sparse[0])}.`,
+                disagree: true
+            };
+        }
+
+        if (shared >= Math.min(HYBRID_MIN_SHARED, sparseTop.length) && sparse[0] === dense[0]) {
+            const overlap = shared === sparseTop.length && sparseTop.length < HYBRID_TOP
+                ? `all ${shared} BM25 hits are in the embedding's top ${HYBRID_TOP}`
+                : `${shared} of their top ${HYBRID_TOP} are the same`;
+            return { message: `BM25 and the embedding agree: ${overlap}, led by ${name(sparse[0])}.`, disagree: false };
+        }
+
+        let message = `Lexical and semantic retrieval disagree: only ${shared} of their top ${HYBRID_TOP} overlap.`;
+        if (sparse[0] === dense[0]) {
+            message += ` Both put ${name(sparse[0])} first, then part ways.`;
+        } else if (!sparse.includes(dense[0])) {
+            message += ` The embedding's best match, ${name(dense[0])}, shares no rare words with the query, ` +
+                `so BM25 misses it; ${blendPlacement(dense[0])}.`;
+        } else if (!sparseTop.includes(dense[0])) {
+            message += ` The embedding's best match, ${name(dense[0])}, is only #${sparse.indexOf(dense[0]) + 1} ` +
+                `for BM25; ${blendPlacement(dense[0])}.`;
+        } else {
+            message += ` BM25 prefers ${name(sparse[0])}, the embedding ${name(dense[0])}.`;
+        }
+        return { message, disagree: true };
     }
 
     // ===========================================
-    // RAG PIPELINE GRAPH (D3.js)
+    // METADATA FILTER BUILDER
     // ===========================================
 
-    function initRAGGraph() {
-        const container = document.getElementById('ragGraph');
-        if (!container || typeof d3 === 'undefined') return;
-
-        // Clear any existing content
-        container.innerHTML = '';
+    // Nested AND / OR / NOT conditions over a small metadata sample, written out as a Pinecone
+    // filter and a Qdrant models.Filter. Each dialect is evaluated from its own emitted form, so a
+    // translation that drifts shows up as a document the two disagree on.
+    const METADATA_URL = 'data/metadata-sample.json';
+
+    const FILTER_OPERATORS = {
+        keyword: ['$eq', '$ne', '$in', '$nin'],
+        tags: ['$in', '$nin'],
+        number: ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte'],
+        date: ['$gt', '$gte', '$lt', '$lte'],
+        boolean: ['$eq', '$ne']
+    };
+    const FILTER_OPERATOR_LABELS = {
+        $eq: '=', $ne: '≠', $in: 'any of', $nin: 'none of', $gt: '>', $gte: '≥', $lt: '<', $lte: '≤'
+    };
+    const FILTER_RANGE_OPERATORS = new Set(['$gt', '$gte', '$lt', '$lte']);
+    const FILTER_LIST_OPERATORS = new Set(['$in', '$nin']);
 
-        const width = container.clientWidth || 800;
-        const height = 380;
+    // Pinecone has no $not, so NOT groups are pushed down to the leaves (De Morgan)
+    const FILTER_NEGATIONS = {
+        $eq: '$ne', $ne: '$eq', $in: '$nin', $nin: '$in', $gt: '$lte', $gte: '$lt', $lt: '$gte', $lte: '$gt'
+    };
+    const FILTER_GROUP_LABELS = { and: 'All of (AND)', or: 'Any of (OR)', not: 'None of (NOT)' };
 
-        const svg = d3.select(container)
-            .append('svg')
-            .attr('width', width)
-            .attr('height', height);
+    const metadataFilter = {
+        dataReady: null,    // promise for the sample's fields and documents
+        fields: null,       // name -> { name, type, label, values }
+        documents: [],
+        root: null
+    };
 
-        // Stage colors
-        const stageColors = {
-            query: '#3b82f6',
-            retrieval: '#10b981',
-            ranking: '#f59e0b',
-            synthesis: '#8b5cf6'
+    function defaultMetadataFilter() {
+        return {
+            group: 'and',
+            children: [
+                { field: 'project', op: '$eq', value: 'modal' },
+                { field: 'updated_at', op: '$gte', value: '2025-09-30' },
+                { group: 'not', children: [{ field: 'deprecated', op: '$eq', value: true }] },
+                {
+                    group: 'or',
+                    children: [
+                        { field: 'source', op: '$in', value: ['official', 'api'] },
+                        { field: 'tags', op: '$in', value: ['gpu'] }
+                    ]
+                }
+            ]
         };
+    }
 
-        // Define nodes for RAG pipeline
-        const nodes = [
-            { id: 'user', label: 'User Query', sublabel: '"How do I mount a volume?"', stage: 'query' },
-            { id: 'queryEmbed', label: 'Query Embedder', sublabel: 'e5-large model', stage: 'query' },
-            { id: 'pinecone', label: 'Pinecone', sublabel: 'Vector + BM25', stage: 'retrieval' },
-            { id: 'filter', label: 'Filter', sublabel: 'metadata.updated > 1yr', stage: 'retrieval' },
-            { id: 'crossEncoder', label: 'Cross-Encoder', sublabel: 'Precision boost', stage: 'ranking' },
-            { id: 'matrixBoost', label: 'Matrix Boost', sublabel: 'Authority score', stage: 'ranking' },
-            { id: 'llm', label: 'GPT-4', sublabel: 'Generate answer', stage: 'synthesis' },
-            { id: 'answer', label: 'Answer', sublabel: 'Final response', stage: 'synthesis' }
-        ];
+    function loadMetadataSample() {
+        if (!metadataFilter.dataReady) {
+            metadataFilter.dataReady = fetch(METADATA_URL)
+                .then(response => {
+                    if (!response.ok) throw new Error(`Could not load ${METADATA_URL} (HTTP ${response.status})`);
+                    return response.json();
+                })
+                .then(doc => {
+                    if (!doc || !Array.isArray(doc.fields) || !Array.isArray(doc.documents)) {
+                        throw new Error(`${METADATA_URL} needs a fields list and a documents list`);
+                    }
+                    metadataFilter.fields = new Map(doc.fields.map(field => [field.name, field]));
+                    metadataFilter.documents = doc.documents;
+                });
+        }
+        return metadataFilter.dataReady;
+    }
 
-        // Define links with flow labels
-        const links = [
-            { source: 'user', target: 'queryEmbed', label: '' },
-            { source: 'queryEmbed', target: 'pinecone', label: 'Query vector' },
-            { source: 'pinecone', target: 'filter', label: 'Top 50' },
-            { source: 'filter', target: 'crossEncoder', label: '' },
-            { source: 'crossEncoder', target: 'matrixBoost', label: '' },
-            { source: 'matrixBoost', target: 'llm', label: 'Top 5 chunks' },
-            { source: 'llm', target: 'answer', label: '' }
-        ];
+    function initFilterBuilder() {
+        const panel = document.getElementById('filterBuilder');
+        if (!panel) return;
 
-        // Stage positions (horizontal layout)
-        const stageX = {
-            query: width * 0.1,
-            retrieval: width * 0.35,
-            ranking: width * 0.6,
-            synthesis: width * 0.85
-        };
+        panel.querySelector('[data-action="reset"]').addEventListener('click', () => {
+            metadataFilter.root = defaultMetadataFilter();
+            renderFilterTree();
+        });
+
+        loadMetadataSample()
+            .then(() => {
+                metadataFilter.root = defaultMetadataFilter();
+                renderFilterTree();
+            })
+            .catch(err => {
+                panel.querySelector('.filter-verdict').textContent = `The metadata sample is unavailable: ${err.message}`;
+            });
+    }
+
+    // Dates are indexed as Unix seconds: Pinecone's range operators only accept numbers
+    function filterValue(field, value) {
+        if (field.type === 'date') return Date.parse(`${value}T00:00:00Z`) / 1000;
+        if (field.type === 'number') return Number(value);
+        return value;
+    }
+
+    function metadataValue(name, doc) {
+        return filterValue(metadataFilter.fields.get(name), doc[name]);
+    }
+
+    function isEmptyGroup(node) {
+        return Boolean(node.group) && node.children.every(isEmptyGroup);
+    }
 
-        // Position nodes
-        const nodePositions = {
-            user: { x: stageX.query, y: height * 0.35 },
-            queryEmbed: { x: stageX.query, y: height * 0.65 },
-            pinecone: { x: stageX.retrieval, y: height * 0.35 },
-            filter: { x: stageX.retrieval, y: height * 0.65 },
-            crossEncoder: { x: stageX.ranking, y: height * 0.35 },
-            matrixBoost: { x: stageX.ranking, y: height * 0.65 },
-            llm: { x: stageX.synthesis, y: height * 0.35 },
-            answer: { x: stageX.synthesis, y: height * 0.65 }
+    function newFilterCondition(name) {
+        const field = metadataFilter.fields.get(name);
+        const op = FILTER_OPERATORS[field.type][0];
+        const defaults = {
+            keyword: field.values && field.values[0],
+            tags: field.values ? field.values.slice(0, 1) : [],
+            number: 0,
+            date: new Date().toISOString().slice(0, 10),
+            boolean: true
         };
+        return { field: name, op, value: defaults[field.type] };
+    }
 
-        // Add node positions to data
-        nodes.forEach(n => {
-            n.x = nodePositions[n.id].x;
-            n.y = nodePositions[n.id].y;
+    // Lists for $in / $nin, a single value otherwise
+    function setFilterOperator(condition, op) {
+        const field = metadataFilter.fields.get(condition.field);
+        const wasList = FILTER_LIST_OPERATORS.has(condition.op);
+        const isList = FILTER_LIST_OPERATORS.has(op);
+        if (isList && !wasList) condition.value = [condition.value];
+        if (!isList && wasList) condition.value = condition.value[0] || field.values[0];
+        condition.op = op;
+    }
+
+    // ----- Pinecone -----
+
+    // Empty groups add no constraint and are dropped; single-child groups collapse to the child
+    function toPineconeFilter(node, negated = false) {
+        if (!node.group) {
+            const field = metadataFilter.fields.get(node.field);
+            const op = negated ? FILTER_NEGATIONS[node.op] : node.op;
+            return { [node.field]: { [op]: filterValue(field, node.value) } };
+        }
+
+        // NOT is "none of": the AND of its negated children. Negating a group swaps AND and OR.
+        const childNegated = (node.group === 'not') !== negated;
+        const key = (node.group === 'or') !== negated ? '$or' : '$and';
+        const parts = node.children
+            .map(child => toPineconeFilter(child, childNegated))
+            .filter(part => Object.keys(part).length);
+        if (parts.length < 2) return parts[0] || {};
+        return { [key]: parts };
+    }
+
+    // JSON with anything short enough kept on one line, so each condition reads as a unit
+    function formatPineconeFilter(value, depth = 0) {
+        const inline = JSON.stringify(value, null, 1).replace(/\n\s*/g, ' ').replace(/([[{]) /g, '$1').replace(/ ([\]}])/g, '$1');
+        if (inline.length + depth * 4 <= 72 || value === null || typeof value !== 'object') return inline;
+
+        const pad = '    '.repeat(depth + 1);
+        const items = Array.isArray(value)
+            ? value.map(item => pad + formatPineconeFilter(item, depth + 1))
+            : Object.entries(value).map(([key, item]) => `${pad}${JSON.stringify(key)}: ${formatPineconeFilter(item, depth + 1)}`);
+        const [open, close] = Array.isArray(value) ? ['[', ']'] : ['{', '}'];
+        return `${open}\n${items.join(',\n')}\n${'    '.repeat(depth)}${close}`;
+    }
+
+    function compareMetadata(op, value, operand) {
+        const has = candidate => (Array.isArray(value) ? value.includes(candidate) : value === candidate);
+        switch (op) {
+            case '$eq': return has(operand);
+            case '$ne': return !has(operand);
+            case '$in': return operand.some(has);
+            case '$nin': return !operand.some(has);
+            case '$gt': return value > operand;
+            case '$gte': return value >= operand;
+            case '$lt': return value < operand;
+            case '$lte': return value <= operand;
+            default: throw new Error(`Unknown operator ${op}`);
+        }
+    }
+
+    function matchesPinecone(filter, doc) {
+        return Object.entries(filter).every(([key, clause]) => {
+            if (key === '$and') return clause.every(part => matchesPinecone(part, doc));
+            if (key === '$or') return clause.some(part => matchesPinecone(part, doc));
+            const value = metadataValue(key, doc);
+            return Object.entries(clause).every(([op, operand]) => compareMetadata(op, value, operand));
         });
+    }
 
-        // Draw stage backgrounds
-        const stages = [
-            { id: 'query', label: '1. Query Processing', x: width * 0.02, width: width * 0.18 },
-            { id: 'retrieval', label: '2. Hybrid Retrieval', x: width * 0.22, width: width * 0.22 },
-            { id: 'ranking', label: '3. Re-Ranking', x: width * 0.46, width: width * 0.22 },
-            { id: 'synthesis', label: '4. Synthesis', x: width * 0.70, width: width * 0.28 }
-        ];
+    // ----- Qdrant -----
+
+    // A Qdrant clause holds FieldConditions and nested Filters. $ne and $nin have no direct match,
+    // so they become must_not on the positive condition; MatchExcept would not do, because on a list
+    // field it passes when any element is outside the list, where $nin needs every element to be.
+    function qdrantCondition(condition) {
+        const field = metadataFilter.fields.get(condition.field);
+        const value = filterValue(field, condition.value);
+        const result = { key: condition.field };
+        if (field.type === 'date') result.note = condition.value;
+
+        if (FILTER_RANGE_OPERATORS.has(condition.op)) {
+            result.range = { [condition.op.slice(1)]: value };
+        } else if (FILTER_LIST_OPERATORS.has(condition.op)) {
+            result.match = { any: value };
+        } else {
+            result.match = { value };
+        }
+        return { condition: result, negated: condition.op === '$ne' || condition.op === '$nin' };
+    }
 
-        const stageGroups = svg.selectAll('.stage-bg')
-            .data(stages)
-            .enter()
-            .append('g')
-            .attr('class', 'stage-bg');
+    function toQdrantFilter(node) {
+        const filter = { must: [], should: [], must_not: [] };
+        const clause = { and: 'must', or: 'should', not: 'must_not' }[node.group];
 
-        stageGroups.append('rect')
-            .attr('x', d => d.x)
-            .attr('y', 40)
-            .attr('width', d => d.width)
-            .attr('height', height - 60)
-            .attr('rx', 12)
-            .attr('fill', d => stageColors[d.id])
-            .attr('fill-opacity', 0.1)
-            .attr('stroke', d => stageColors[d.id])
-            .attr('stroke-opacity', 0.3);
+        node.children.forEach(child => {
+            if (child.group) {
+                const nested = toQdrantFilter(child);
+                if (nested) filter[clause].push(nested);
+                return;
+            }
+            const { condition, negated } = qdrantCondition(child);
+            if (!negated) {
+                filter[clause].push(condition);
+            } else if (node.group === 'and') {
+                filter.must_not.push(condition);
+            } else if (node.group === 'not') {
+                // None of (not X) is X
+                filter.must.push(condition);
+            } else {
+                filter.should.push({ must: [], should: [], must_not: [condition] });
+            }
+        });
 
-        stageGroups.append('text')
-            .attr('x', d => d.x + d.width / 2)
-            .attr('y', 25)
-            .attr('text-anchor', 'middle')
-            .attr('fill', d => stageColors[d.id])
-            .attr('font-size', '12px')
-            .attr('font-weight', '600')
-            .text(d => d.label);
+        const empty = !filter.must.length && !filter.should.length && !filter.must_not.length;
+        return empty ? null : filter;
+    }
 
-        // Create link generator
-        const linkGen = d3.linkHorizontal()
-            .x(d => d.x)
-            .y(d => d.y);
+    function matchesQdrant(filter, doc) {
+        if (!filter) return true;
+        const test = item => (item.key ? matchesQdrantCondition(item, doc) : matchesQdrant(item, doc));
+        return filter.must.every(test) &&
+            (!filter.should.length || filter.should.some(test)) &&
+            !filter.must_not.some(test);
+    }
 
-        // Draw links
-        const linkGroup = svg.append('g').attr('class', 'links');
+    // Conditions on a list field match when any element does
+    function matchesQdrantCondition(condition, doc) {
+        const value = metadataValue(condition.key, doc);
+        const values = Array.isArray(value) ? value : [value];
+        if (condition.range) {
+            const bounds = {
+                gt: v => v > condition.range.gt,
+                gte: v => v >= condition.range.gte,
+                lt: v => v < condition.range.lt,
+                lte: v => v <= condition.range.lte
+            };
+            return values.some(v => Object.keys(condition.range).every(bound => bounds[bound](v)));
+        }
+        if ('any' in condition.match) return values.some(v => condition.match.any.includes(v));
+        return values.includes(condition.match.value);
+    }
 
-        links.forEach(link => {
-            const sourceNode = nodes.find(n => n.id === link.source);
-            const targetNode = nodes.find(n => n.id === link.target);
+    function pythonLiteral(value) {
+        if (Array.isArray(value)) return `[${value.map(pythonLiteral).join(', ')}]`;
+        if (typeof value === 'boolean') return value ? 'True' : 'False';
+        return typeof value === 'string' ? JSON.stringify(value) : String(value);
+    }
 
-            // Calculate link path
-            const sourceX = sourceNode.x + 60;
-            const sourceY = sourceNode.y;
-            const targetX = targetNode.x - 60;
-            const targetY = targetNode.y;
+    function formatQdrantCondition(condition) {
+        let test;
+        if (condition.range) {
+            const bounds = Object.entries(condition.range).map(([bound, value]) => `${bound}=${value}`);
+            test = `range=models.Range(${bounds.join(', ')})`;
+        } else if ('any' in condition.match) {
+            test = `match=models.MatchAny(any=${pythonLiteral(condition.match.any)})`;
+        } else {
+            test = `match=models.MatchValue(value=${pythonLiteral(condition.match.value)})`;
+        }
+        return `models.FieldCondition(key=${JSON.stringify(condition.key)}, ${test})`;
+    }
 
-            // Draw curved path
-            const path = linkGroup.append('path')
-                .attr('d', `M${sourceX},${sourceY} C${sourceX + 40},${sourceY} ${targetX - 40},${targetY} ${targetX},${targetY}`)
-                .attr('fill', 'none')
-                .attr('stroke', '#64748b')
-                .attr('stroke-width', 2)
-                .attr('stroke-opacity', 0.6)
-                .attr('marker-end', 'url(#rag-arrow)');
+    function formatQdrantFilter(filter, depth = 0) {
+        const pad = '    '.repeat(depth + 1);
+        const clauses = ['must', 'should', 'must_not']
+            .filter(key => filter[key].length)
+            .map(key => {
+                const items = filter[key].map(item => {
+                    const code = item.key ? formatQdrantCondition(item) : formatQdrantFilter(item, depth + 2);
+                    return `${pad}    ${code},${item.note ? `  # ${item.note}` : ''}`;
+                });
+                return `${pad}${key}=[\n${items.join('\n')}\n${pad}],`;
+            });
+        return `models.Filter(\n${clauses.join('\n')}\n${'    '.repeat(depth)})`;
+    }
 
-            // Add link label if exists
-            if (link.label) {
-                const midX = (sourceX + targetX) / 2;
-                const midY = (sourceY + targetY) / 2 - 12;
+    // ----- Builder -----
 
-                linkGroup.append('text')
-                    .attr('x', midX)
-                    .attr('y', midY)
-                    .attr('text-anchor', 'middle')
-                    .attr('fill', '#94a3b8')
-                    .attr('font-size', '10px')
-                    .text(link.label);
-            }
-        });
+    // The builder's own reading of the tree, which both dialects should reproduce
+    function matchesFilterTree(node, doc) {
+        if (!node.group) {
+            const field = metadataFilter.fields.get(node.field);
+            return compareMetadata(node.op, metadataValue(node.field, doc), filterValue(field, node.value));
+        }
+        const children = node.children.filter(child => !isEmptyGroup(child));
+        if (!children.length) return true;
+        if (node.group === 'and') return children.every(child => matchesFilterTree(child, doc));
+        if (node.group === 'or') return children.some(child => matchesFilterTree(child, doc));
+        return !children.some(child => matchesFilterTree(child, doc));
+    }
 
-        // Add arrow marker
-        svg.append('defs')
-            .append('marker')
-            .attr('id', 'rag-arrow')
-            .attr('viewBox', '0 -5 10 10')
-            .attr('refX', 8)
-            .attr('refY', 0)
-            .attr('markerWidth', 6)
-            .attr('markerHeight', 6)
-            .attr('orient', 'auto')
-            .append('path')
-            .attr('d', 'M0,-5L10,0L0,5')
-            .attr('fill', '#64748b');
+    function renderFilterTree() {
+        const panel = document.getElementById('filterBuilder');
+        if (!panel || !metadataFilter.root) return;
 
-        // Draw nodes
-        const nodeGroup = svg.selectAll('.rag-node')
-            .data(nodes)
-            .enter()
-            .append('g')
-            .attr('class', 'rag-node')
-            .attr('transform', d => `translate(${d.x}, ${d.y})`);
+        const container = panel.querySelector('.filter-tree');
+        container.innerHTML = '';
+        container.appendChild(renderFilterGroup(metadataFilter.root, null));
+        updateFilterOutput();
+    }
 
-        // Node rectangles
-        nodeGroup.append('rect')
-            .attr('x', -55)
-            .attr('y', -28)
-            .attr('width', 110)
-            .attr('height', 56)
-            .attr('rx', 8)
-            .attr('fill', d => {
-                const color = stageColors[d.stage];
-                return color + '20';
-            })
-            .attr('stroke', d => stageColors[d.stage])
-            .attr('stroke-width', 2);
+    function makeFilterSelect(label, options, value, onChange) {
+        const select = document.createElement('select');
+        select.setAttribute('aria-label', label);
+        options.forEach(([optionValue, text]) => {
+            const option = document.createElement('option');
+            option.value = optionValue;
+            option.textContent = text;
+            select.appendChild(option);
+        });
+        select.value = value;
+        select.addEventListener('change', () => onChange(select.value));
+        return select;
+    }
 
-        // Node main labels
-        nodeGroup.append('text')
-            .attr('y', -5)
-            .attr('text-anchor', 'middle')
-            .attr('fill', d => stageColors[d.stage])
-            .attr('font-size', '12px')
-            .attr('font-weight', '600')
-            .text(d => d.label);
+    function makeFilterButton(text, label, onClick) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'sim-btn';
+        btn.textContent = text;
+        if (label) btn.setAttribute('aria-label', label);
+        btn.addEventListener('click', onClick);
+        return btn;
+    }
 
-        // Node sublabels
-        nodeGroup.append('text')
-            .attr('y', 12)
-            .attr('text-anchor', 'middle')
-            .attr('fill', '#94a3b8')
-            .attr('font-size', '9px')
-            .text(d => d.sublabel);
+    function renderFilterGroup(node, parent) {
+        const group = document.createElement('fieldset');
+        group.className = `filter-group filter-group-${node.group}`;
+
+        const legend = document.createElement('legend');
+        legend.appendChild(makeFilterSelect('Combine conditions', Object.entries(FILTER_GROUP_LABELS), node.group, value => {
+            node.group = value;
+            renderFilterTree();
+        }));
+        if (parent) {
+            legend.appendChild(makeFilterButton('×', 'Remove group', () => {
+                parent.children.splice(parent.children.indexOf(node), 1);
+                renderFilterTree();
+            }));
+        }
+        group.appendChild(legend);
 
-        // Animate particles along the path
-        function animateRAGParticles() {
-            const particleData = [
-                { from: 'user', to: 'queryEmbed', delay: 0 },
-                { from: 'queryEmbed', to: 'pinecone', delay: 400 },
-                { from: 'pinecone', to: 'filter', delay: 800 },
-                { from: 'filter', to: 'crossEncoder', delay: 1200 },
-                { from: 'crossEncoder', to: 'matrixBoost', delay: 1600 },
-                { from: 'matrixBoost', to: 'llm', delay: 2000 },
-                { from: 'llm', to: 'answer', delay: 2400 }
-            ];
+        node.children.forEach(child => {
+            group.appendChild(child.group ? renderFilterGroup(child, node) : renderFilterCondition(child, node));
+        });
+        if (!node.children.length) {
+            const empty = document.createElement('p');
+            empty.className = 'filter-empty';
+            empty.textContent = 'Empty groups add no constraint.';
+            group.appendChild(empty);
+        }
 
-            particleData.forEach((p, i) => {
-                setTimeout(() => {
-                    const source = nodes.find(n => n.id === p.from);
-                    const target = nodes.find(n => n.id === p.to);
+        const actions = document.createElement('div');
+        actions.className = 'filter-actions';
+        actions.appendChild(makeFilterButton('+ Condition', null, () => {
+            node.children.push(newFilterCondition('project'));
+            renderFilterTree();
+        }));
+        actions.appendChild(makeFilterButton('+ Group', null, () => {
+            node.children.push({ group: 'or', children: [newFilterCondition('source')] });
+            renderFilterTree();
+        }));
+        group.appendChild(actions);
+        return group;
+    }
 
-                    const particle = svg.append('circle')
-                        .attr('r', 4)
-                        .attr('fill', stageColors[source.stage])
-                        .attr('cx', source.x + 55)
-                        .attr('cy', source.y);
+    function renderFilterCondition(condition, parent) {
+        const field = metadataFilter.fields.get(condition.field);
+        const row = document.createElement('div');
+        row.className = 'filter-condition';
+
+        const fieldOptions = [...metadataFilter.fields.values()].map(f => [f.name, f.label]);
+        row.appendChild(makeFilterSelect('Field', fieldOptions, condition.field, name => {
+            parent.children[parent.children.indexOf(condition)] = newFilterCondition(name);
+            renderFilterTree();
+        }));
+
+        const opOptions = FILTER_OPERATORS[field.type].map(op => [op, FILTER_OPERATOR_LABELS[op]]);
+        row.appendChild(makeFilterSelect('Operator', opOptions, condition.op, op => {
+            setFilterOperator(condition, op);
+            renderFilterTree();
+        }));
+
+        row.appendChild(renderFilterValue(condition, field));
+        row.appendChild(makeFilterButton('×', `Remove ${field.label} condition`, () => {
+            parent.children.splice(parent.children.indexOf(condition), 1);
+            renderFilterTree();
+        }));
+        return row;
+    }
 
-                    particle.transition()
-                        .duration(800)
-                        .ease(d3.easeLinear)
-                        .attr('cx', target.x - 55)
-                        .attr('cy', target.y)
-                        .remove();
-                }, p.delay);
+    // Value edits only re-emit the code; the tree is rebuilt for structural changes
+    function renderFilterValue(condition, field) {
+        if (FILTER_LIST_OPERATORS.has(condition.op)) {
+            const chips = document.createElement('span');
+            chips.className = 'filter-chips';
+            chips.setAttribute('role', 'group');
+            chips.setAttribute('aria-label', `${field.label} values`);
+            field.values.forEach(value => {
+                const label = document.createElement('label');
+                label.className = 'filter-chip';
+                const box = document.createElement('input');
+                box.type = 'checkbox';
+                box.checked = condition.value.includes(value);
+                box.addEventListener('change', () => {
+                    condition.value = field.values.filter(v => (v === value ? box.checked : condition.value.includes(v)));
+                    updateFilterOutput();
+                });
+                label.append(box, value);
+                chips.appendChild(label);
             });
+            return chips;
         }
 
-        // Run particle animation periodically
-        animateRAGParticles();
-        setInterval(animateRAGParticles, 4000);
+        if (field.type === 'keyword' || field.type === 'boolean') {
+            const options = field.type === 'boolean'
+                ? [['true', 'true'], ['false', 'false']]
+                : field.values.map(value => [value, value]);
+            return makeFilterSelect(`${field.label} value`, options, String(condition.value), value => {
+                condition.value = field.type === 'boolean' ? value === 'true' : value;
+                updateFilterOutput();
+            });
+        }
+
+        const input = document.createElement('input');
+        input.type = field.type === 'date' ? 'date' : 'number';
+        input.value = condition.value;
+        input.required = true;
+        input.setAttribute('aria-label', `${field.label} value`);
+        input.addEventListener('input', () => {
+            if (!input.value || !input.checkValidity()) return;
+            condition.value = field.type === 'date' ? input.value : Number(input.value);
+            updateFilterOutput();
+        });
+        return input;
+    }
+
+    function setFilterCode(block, code) {
+        block.textContent = code;
+        if (typeof hljs !== 'undefined') {
+            delete block.dataset.highlighted;
+            hljs.highlightElement(block);
+        }
+    }
+
+    function updateFilterOutput() {
+        const panel = document.getElementById('filterBuilder');
+        const root = metadataFilter.root;
+        if (!panel || !root) return;
+
+        const pinecone = toPineconeFilter(root);
+        const qdrant = toQdrantFilter(root);
+        setFilterCode(panel.querySelector('[data-dialect="pinecone"]'), formatPineconeFilter(pinecone));
+        setFilterCode(panel.querySelector('[data-dialect="qdrant"]'),
+            `query_filter = ${qdrant ? formatQdrantFilter(qdrant) : 'None  # no conditions'}`);
+
+        const rows = metadataFilter.documents.map(doc => {
+            const expected = matchesFilterTree(root, doc);
+            const pineconePass = matchesPinecone(pinecone, doc);
+            const qdrantPass = matchesQdrant(qdrant, doc);
+            return { doc, expected, pineconePass, qdrantPass, diverged: pineconePass !== expected || qdrantPass !== expected };
+        });
+
+        const mark = pass => (pass ? '✓' : '✗');
+        const columns = [
+            { label: 'Document', value: row => row.doc.title },
+            { label: 'Project', value: row => row.doc.project },
+            { label: 'Source', value: row => row.doc.source },
+            { label: 'Updated', value: row => row.doc.updated_at },
+            { label: 'Tokens', value: row => row.doc.tokens },
+            { label: 'Deprecated', value: row => (row.doc.deprecated ? 'yes' : 'no') },
+            { label: 'Tags', value: row => row.doc.tags.join(', ') },
+            { label: 'Pinecone', value: row => mark(row.pineconePass) },
+            { label: 'Qdrant', value: row => mark(row.qdrantPass) }
+        ];
+        const table = d3.select(panel).select('.filter-results');
+        table.select('thead tr')
+            .selectAll('th')
+            .data(columns)
+            .join('th')
+            .attr('scope', 'col')
+            .text(c => c.label);
+        table.select('tbody')
+            .selectAll('tr')
+            .data(rows)
+            .join('tr')
+            .classed('filter-pass', row => row.expected)
+            .classed('filter-diverged', row => row.diverged)
+            .selectAll('td')
+            .data(row => columns.map(c => c.value(row)))
+            .join('td')
+            .text(value => value);
+
+        const passing = rows.filter(row => row.expected).length;
+        const diverged = rows.filter(row => row.diverged);
+        const verdict = panel.querySelector('.filter-verdict');
+        verdict.textContent = `${passing} of ${rows.length} documents pass. ` + (diverged.length
+            ? `The dialects disagree on ${diverged.length}: ${diverged.map(row => row.doc.title).join(', ')}.`
+            : 'Pinecone and Qdrant select the same documents.');
+        verdict.classList.toggle('disagree', diverged.length > 0);
     }
 
     // ===========================================
@@ -1287,7 +7015,7 @@
 
     function initMindmapGraph() {
         const container = document.getElementById('mindmapGraph');
-        if (!container || typeof d3 === 'undefined') return;
+        if (!container || typeof d3 === 'undefined' || !topology) return;
 
         container.innerHTML = '';
 
@@ -1299,61 +7027,29 @@
             .attr('width', width)
             .attr('height', height);
 
-        // Category colors
-        const categoryColors = {
-            root: '#6366f1',
-            Ingestion: '#3b82f6',
-            Processing: '#8b5cf6',
-            Memory: '#10b981',
-            Interaction: '#f59e0b'
-        };
+        const rootColor = '#6366f1';
+
+        // Mind map data structure: one branch per layer, components as leaves
+        const view = topology.views.mindmap;
+        const components = new Map(topology.components.map(c => [c.id, c]));
+        const layers = new Map(topology.layers.map(l => [l.id, l]));
 
-        // Mind map data structure
         const mindmapData = {
-            name: 'DocuVerse Engine',
-            category: 'root',
-            children: [
-                {
-                    name: 'Ingestion',
-                    category: 'Ingestion',
-                    children: [
-                        { name: 'Crawler Swarm', sublabels: ['Politeness Sharding', 'Per-domain limits', 'robots.txt respect'] },
-                        { name: 'Deduplication', sublabels: ['modal.Dict', 'URL normalization', 'Content hashing'] },
-                        { name: 'Frontier Queue', sublabels: ['modal.Queue', 'Dynamic expansion', 'Priority scoring'] },
-                        { name: 'Seed Injector', sublabels: ['Cron scheduled', 'Root URL mgmt', 'Budget guards'] }
-                    ]
-                },
-                {
-                    name: 'Processing',
-                    category: 'Processing',
-                    children: [
-                        { name: 'HTML Parser', sublabels: ['BeautifulSoup', 'Content extraction', 'Metadata capture'] },
-                        { name: 'Graph Builder', sublabels: ['Matrix Link', 'Adjacency matrix', 'Authority scores'] },
-                        { name: 'Batcher', sublabels: ['Batch size: 128', 'Timeout: 500ms', 'Queue coordination'] },
-                        { name: 'Embedder', sublabels: ['e5-large', 'GPU: A10G x50', '8-bit quant'] }
-                    ]
-                },
-                {
-                    name: 'Memory',
-                    category: 'Memory',
-                    children: [
-                        { name: 'Pinecone', sublabels: ['Hybrid search', 'S3 bulk import', 'Auto-scaling'] },
-                        { name: 'S3 Bucket', sublabels: ['Parquet storage', 'Async ingestion', 'Cost-effective'] },
-                        { name: 'Graph Store', sublabels: ['PageRank scores', 'Link relationships', 'Authority'] },
-                        { name: 'DLQ Handler', sublabels: ['Error capture', 'Retry logic', 'Alerting'] }
-                    ]
-                },
-                {
-                    name: 'Interaction',
-                    category: 'Interaction',
-                    children: [
-                        { name: 'API Endpoint', sublabels: ['Query validation', 'Rate limiting', 'Caching'] },
-                        { name: 'LangChain', sublabels: ['Chain composition', 'Memory mgmt', 'Tool integration'] },
-                        { name: 'RAG Pipeline', sublabels: ['Retrieval', 'Re-ranking', 'Synthesis'] },
-                        { name: 'Cross-Encoder', sublabels: ['Precision boost', 'GPU inference', 'Top-K selection'] }
-                    ]
-                }
-            ]
+            name: view.root,
+            color: rootColor,
+            children: view.branches.map(branch => {
+                const layer = layers.get(branch.layer);
+                return {
+                    name: branch.label || layer.label,
+                    color: layer.color,
+                    children: branch.children.map(id => ({
+                        id,
+                        name: components.get(id).label,
+                        sublabels: components.get(id).details,
+                        color: layer.color
+                    }))
+                };
+            })
         };
 
         // Create hierarchy
@@ -1368,8 +7064,24 @@
 
         tree(root);
 
+        // Pan/zoom viewport so the outer labels can be read up close
+        const { content } = addZoomControls(container, svg, {
+            id: 'mindmapGraph',
+            width,
+            height,
+            items: root.leaves().filter(d => d.data.id).map(d => ({ id: d.data.id, label: d.data.name })),
+            locate: id => {
+                const d = root.leaves().find(n => n.data.id === id);
+                if (!d) return null;
+                return {
+                    x: width / 2 + d.y * Math.cos(d.x - Math.PI / 2),
+                    y: height / 2 + d.y * Math.sin(d.x - Math.PI / 2)
+                };
+            }
+        });
+
         // Center the visualization
-        const g = svg.append('g')
+        const g = content.append('g')
             .attr('transform', `translate(${width / 2}, ${height / 2})`);
 
         // Draw links
@@ -1379,10 +7091,7 @@
             .append('path')
             .attr('class', 'mindmap-link')
             .attr('fill', 'none')
-            .attr('stroke', d => {
-                const category = d.target.data.category || d.source.data.category || d.source.data.name;
-                return categoryColors[category] || '#64748b';
-            })
+            .attr('stroke', d => d.target.data.color || '#64748b')
             .attr('stroke-opacity', 0.5)
             .attr('stroke-width', d => Math.max(1, 3 - d.target.depth))
             .attr('d', d3.linkRadial()
@@ -1405,10 +7114,13 @@
         nodes.filter(d => d.depth === 0)
             .append('circle')
             .attr('r', 55)
-            .attr('fill', categoryColors.root)
+            .attr('fill', rootColor)
             .attr('stroke', '#fff')
             .attr('stroke-width', 2);
 
+        // Root label: first word as the title, the rest underneath
+        const [rootTitle, ...rootRest] = view.root.split(' ');
+
         nodes.filter(d => d.depth === 0)
             .append('text')
             .attr('text-anchor', 'middle')
@@ -1416,7 +7128,7 @@
             .attr('fill', '#fff')
             .attr('font-size', '11px')
             .attr('font-weight', '600')
-            .text('DocuVerse');
+            .text(rootTitle);
 
         nodes.filter(d => d.depth === 0)
             .append('text')
@@ -1424,21 +7136,21 @@
             .attr('dy', '1em')
             .attr('fill', '#fff')
             .attr('font-size', '10px')
-            .text('Engine');
+            .text(rootRest.join(' '));
 
         // Category nodes (level 1)
         nodes.filter(d => d.depth === 1)
             .append('circle')
             .attr('r', 38)
-            .attr('fill', d => categoryColors[d.data.name] + '30')
-            .attr('stroke', d => categoryColors[d.data.name])
+            .attr('fill', d => d.data.color + '30')
+            .attr('stroke', d => d.data.color)
             .attr('stroke-width', 2);
 
         nodes.filter(d => d.depth === 1)
             .append('text')
             .attr('text-anchor', 'middle')
             .attr('dy', '0.35em')
-            .attr('fill', d => categoryColors[d.data.name])
+            .attr('fill', d => d.data.color)
             .attr('font-size', '11px')
             .attr('font-weight', '600')
             .attr('transform', d => d.x >= Math.PI ? 'rotate(180)' : null)
@@ -1448,24 +7160,15 @@
         nodes.filter(d => d.depth === 2)
             .append('circle')
             .attr('r', 32)
-            .attr('fill', d => {
-                const category = d.parent.data.name;
-                return categoryColors[category] + '20';
-            })
-            .attr('stroke', d => {
-                const category = d.parent.data.name;
-                return categoryColors[category];
-            })
+            .attr('fill', d => d.data.color + '20')
+            .attr('stroke', d => d.data.color)
             .attr('stroke-width', 1.5);
 
         nodes.filter(d => d.depth === 2)
             .append('text')
             .attr('text-anchor', 'middle')
             .attr('dy', '0.35em')
-            .attr('fill', d => {
-                const category = d.parent.data.name;
-                return categoryColors[category];
-            })
+            .attr('fill', d => d.data.color)
             .attr('font-size', '9px')
             .attr('font-weight', '500')
             .attr('transform', d => d.x >= Math.PI ? 'rotate(180)' : null)
@@ -1544,6 +7247,19 @@
                 .attr('stroke-opacity', 0.5);
         });
 
+        makeGraphAccessible(container, svg, {
+            label: 'System mind map: pipeline layers and their components',
+            nodes,
+            links: root.links(),
+            id: d => d.data.id || d.data.name,
+            name: d => d.data.name,
+            describe: d => {
+                if (d.depth === 2) return (d.data.sublabels || []).join(', ');
+                if (d.depth === 1) return `${d.children.length} components`;
+                return '';
+            }
+        });
+
         // Add subtle pulse animation to root
         svg.select('.mindmap-node circle')
             .style('animation', 'pulse 2s ease-in-out infinite');
@@ -1559,6 +7275,9 @@
                 controls.forEach(b => b.classList.remove('active'));
                 btn.classList.add('active');
 
+                // A layer view replaces any running trace
+                if (traceState.active) stopTrace();
+
                 // Filter the D3 architecture graph
                 filterArchitectureGraph(view);
 
@@ -1582,19 +7301,578 @@
         });
     }
 
+    // ===========================================
+    // URL STATE
+    // ===========================================
+
+    // Shareable view state lives in the query string, e.g. ?view=storage&code=embedder#code
+    // (the hash keeps its usual job of picking the section)
+    const URL_STATE_KEYS = ['view', 'code', 'op', 'node'];
+
+    // Selections present in the markup; these are left out of the URL
+    const urlStateDefaults = { view: 'full', code: [], op: null };
+
+    // True while a URL is being applied, so the clicks it replays are not pushed again
+    let restoringUrlState = false;
+
+    function initUrlState() {
+        urlStateDefaults.view = activeDiagramView();
+        urlStateDefaults.code = [...document.querySelectorAll('.code-tab.active')].map(t => t.getAttribute('data-file'));
+        urlStateDefaults.op = document.querySelector('.algo-flow-tab.active')?.getAttribute('data-op') || null;
+
+        // Record user selections (these listeners run after the tab handlers have updated the page)
+        document.querySelectorAll('.diagram-btn, .code-tab, .algo-flow-tab').forEach(el => {
+            el.addEventListener('click', pushUrlState);
+        });
+
+        window.addEventListener('popstate', () => applyUrlState(readUrlState()));
+
+        applyUrlState(readUrlState());
+    }
+
+    function readUrlState() {
+        const params = new URLSearchParams(window.location.search);
+        const state = {};
+        URL_STATE_KEYS.forEach(key => {
+            if (params.get(key)) state[key] = params.get(key);
+        });
+        return state;
+    }
+
+    function currentUrlState() {
+        const state = {};
+
+        const view = activeDiagramView();
+        if (view !== urlStateDefaults.view) state.view = view;
+
+        const code = [...document.querySelectorAll('.code-tab.active')]
+            .map(t => t.getAttribute('data-file'))
+            .filter(file => !urlStateDefaults.code.includes(file));
+        if (code.length > 0) state.code = code.join(',');
+
+        const op = document.querySelector('.algo-flow-tab.active')?.getAttribute('data-op');
+        if (op && op !== urlStateDefaults.op) state.op = op;
+
+        if (drawerComponentId) state.node = drawerComponentId;
+
+        return state;
+    }
+
+    function pushUrlState() {
+        if (restoringUrlState) return;
+
+        const params = new URLSearchParams(window.location.search);
+        const state = currentUrlState();
+        URL_STATE_KEYS.forEach(key => {
+            if (state[key]) params.set(key, state[key]);
+            else params.delete(key);
+        });
+
+        // Keep list separators readable in shared links
+        const query = params.toString().replace(/%2C/g, ',');
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+        if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+            history.pushState(null, '', url);
+        }
+    }
+
+    // Replay a state by clicking the same controls a visitor would
+    function applyUrlState(state) {
+        restoringUrlState = true;
+
+        const clickIfInactive = el => {
+            if (el && !el.classList.contains('active')) el.click();
+        };
+
+        clickIfInactive(document.querySelector(`.diagram-btn[data-view="${state.view || urlStateDefaults.view}"]`));
+
+        // One selection per group of code tabs; unlisted groups go back to their default
+        const code = state.code ? state.code.split(',') : [];
+        document.querySelectorAll('.code-tabs').forEach(group => {
+            const tabs = [...group.querySelectorAll('.code-tab')];
+            clickIfInactive(tabs.find(t => code.includes(t.getAttribute('data-file'))) ||
+                tabs.find(t => urlStateDefaults.code.includes(t.getAttribute('data-file'))));
+        });
+
+        const op = state.op || urlStateDefaults.op;
+        if (op) clickIfInactive(document.querySelector(`.algo-flow-tab[data-op="${op}"]`));
+
+        restoringUrlState = false;
+
+        // The drawer needs the topology; this part runs again once it has loaded
+        if (topology) applyTopologyUrlState(state);
+    }
+
+    function applyTopologyUrlState(state) {
+        restoringUrlState = true;
+
+        if (state.node && state.node !== drawerComponentId) {
+            openNodeDrawer(state.node);
+            focusArchitectureNode(state.node);
+        } else if (!state.node && drawerComponentId) {
+            closeNodeDrawer();
+        }
+
+        restoringUrlState = false;
+    }
+
     // ===========================================
     // MATRIX LINK GRAPH (D3.js)
     // ===========================================
 
+    // Power-iteration PageRank over the graph's weighted links, replayed an iteration at a time:
+    // node sizes and the ranked table follow the step on screen. The same playback runs the other
+    // authority signals: PageRank personalised to official docs and HITS hub and authority scores.
+    const PAGERANK_TOLERANCE = 1e-6;    // L1 change between iterations that counts as converged
+    const PAGERANK_MAX_ITERATIONS = 100;
+    const PAGERANK_TICK_MS = 600;
+    const PAGERANK_RADIUS = [8, 30];
+    const PAGERANK_TABLE_ROWS = 12;
+    const AUTHORITY_OVERLAP_TOP = 5;
+
+    const AUTHORITY_ALGORITHMS = {
+        pagerank: {
+            label: 'PageRank',
+            column: 'PageRank',
+            note: 'A random reader follows links with probability d and otherwise jumps to any page.'
+        },
+        personalized: {
+            label: 'Personalised PageRank (official docs)',
+            column: 'Personalised',
+            note: 'Jumps land only on official docs, so authority flows out from them; community pages ' +
+                'that no official page links to score nothing.'
+        },
+        authority: {
+            label: 'HITS authority',
+            column: 'HITS authority',
+            note: 'A good authority is linked to by good hubs. Like in-link counting, but a link from an ' +
+                'index page counts for more than one from a leaf.'
+        },
+        hub: {
+            label: 'HITS hub',
+            column: 'HITS hub',
+            note: 'A good hub links to good authorities: indexes and "see also" lists. Hubs help navigation ' +
+                'but are rarely the page that answers a question.'
+        }
+    };
+
+    const pagerank = {
+        algorithm: 'pagerank',
+        damping: 0.85,
+        result: null,
+        comparison: null,   // converged scores of every algorithm, for the comparison table
+        step: 0,
+        running: true,
+        view: null          // circles and labels of the drawn graph
+    };
+
+    // Each iteration a page gets (1 - d) / N plus d times the rank of every page linking to it,
+    // shared out by link weight; pages with no outgoing links share theirs with every page. With a
+    // teleport vector, both the (1 - d) jump and dangling rank go to those pages instead.
+    function computePageRank(ids, links, damping, teleport = null) {
+        const n = ids.length;
+        const index = new Map(ids.map((id, i) => [id, i]));
+        const outWeight = new Float64Array(n);
+        links.forEach(link => {
+            outWeight[index.get(link.source)] += link.weight;
+        });
+        const jump = teleport || new Float64Array(n).fill(1 / n);
+
+        let rank = new Float64Array(n).fill(1 / n);
+        const iterations = [{ rank, delta: null }];
+        while (iterations.length <= PAGERANK_MAX_ITERATIONS) {
+            const dangling = d3.sum(rank, (value, i) => (outWeight[i] ? 0 : value));
+            const next = jump.map(share => (1 - damping + damping * dangling) * share);
+            links.forEach(link => {
+                const from = index.get(link.source);
+                next[index.get(link.target)] += damping * rank[from] * link.weight / outWeight[from];
+            });
+            const delta = d3.sum(next, (value, i) => Math.abs(value - rank[i]));
+            rank = next;
+            iterations.push({ rank, delta });
+            if (delta < PAGERANK_TOLERANCE) break;
+        }
+
+        return {
+            ids,
+            iterations,
+            converged: iterations[iterations.length - 1].delta < PAGERANK_TOLERANCE
+        };
+    }
+
+    // Weighted HITS: authority sums the hub scores linking in, hub sums the authority scores linked
+    // to. Both are normalised to sum to 1 each iteration so they compare with PageRank.
+    function computeHits(ids, links, side) {
+        const n = ids.length;
+        const index = new Map(ids.map((id, i) => [id, i]));
+        const edges = links.map(link => [index.get(link.source), index.get(link.target), link.weight]);
+        const normalise = values => {
+            const total = d3.sum(values);
+            values.forEach((value, i) => {
+                values[i] = total ? value / total : 1 / n;
+            });
+        };
+
+        let hub = new Float64Array(n).fill(1 / n);
+        let authority = new Float64Array(n).fill(1 / n);
+        const iterations = [{ rank: authority, delta: null }];
+        while (iterations.length <= PAGERANK_MAX_ITERATIONS) {
+            const nextAuthority = new Float64Array(n);
+            edges.forEach(([from, to, weight]) => {
+                nextAuthority[to] += weight * hub[from];
+            });
+            normalise(nextAuthority);
+            const nextHub = new Float64Array(n);
+            edges.forEach(([from, to, weight]) => {
+                nextHub[from] += weight * nextAuthority[to];
+            });
+            normalise(nextHub);
+
+            const delta = d3.sum(nextAuthority, (value, i) => Math.abs(value - authority[i])) +
+                d3.sum(nextHub, (value, i) => Math.abs(value - hub[i]));
+            hub = nextHub;
+            authority = nextAuthority;
+            iterations.push({ rank: side === 'hub' ? hub : authority, delta });
+            if (delta < PAGERANK_TOLERANCE) break;
+        }
+
+        return {
+            ids,
+            iterations,
+            converged: iterations[iterations.length - 1].delta < PAGERANK_TOLERANCE
+        };
+    }
+
+    // Personalised PageRank teleports to official docs, or everywhere if the graph has none
+    function computeAuthority(graph, algorithm, damping) {
+        const ids = graph.nodes.map(n => n.id);
+        if (algorithm === 'authority' || algorithm === 'hub') return computeHits(ids, graph.links, algorithm);
+
+        let teleport = null;
+        const seeds = graph.nodes.filter(n => n.group === 'official').length;
+        if (algorithm === 'personalized' && seeds) {
+            teleport = Float64Array.from(graph.nodes, n => (n.group === 'official' ? 1 / seeds : 0));
+        }
+        return computePageRank(ids, graph.links, damping, teleport);
+    }
+
+    function initPageRank() {
+        const panel = document.getElementById('pagerankPanel');
+        if (!panel) return;
+
+        const damping = panel.querySelector('[name="damping"]');
+        const algorithm = panel.querySelector('[name="algorithm"]');
+        const output = panel.querySelector(`output[for="${damping.id}"]`);
+        const update = () => {
+            pagerank.damping = Number(damping.value);
+            pagerank.algorithm = algorithm.value;
+            output.textContent = d3.format('.2f')(pagerank.damping);
+            // HITS has no random jump
+            damping.disabled = pagerank.algorithm === 'authority' || pagerank.algorithm === 'hub';
+            panel.querySelector('.pagerank-algorithm-note').textContent = AUTHORITY_ALGORITHMS[pagerank.algorithm].note;
+        };
+        update();
+        damping.addEventListener('input', () => {
+            update();
+            runPageRank();
+            renderPageRank();
+        });
+
+        algorithm.addEventListener('change', () => {
+            update();
+            restartPageRank();
+        });
+
+        panel.querySelector('[data-action="toggle"]').addEventListener('click', () => {
+            if (!pagerank.result) return;
+            if (pagerank.step >= pagerank.result.iterations.length - 1) pagerank.step = 0;
+            pagerank.running = !pagerank.running;
+            if (pagerank.running) startPageRank();
+            else stopPageRank();
+            renderPageRank();
+        });
+
+        panel.querySelector('[data-action="step"]').addEventListener('click', () => {
+            if (!pagerank.result) return;
+            pagerank.running = false;
+            stopPageRank();
+            pagerank.step = Math.min(pagerank.step + 1, pagerank.result.iterations.length - 1);
+            renderPageRank();
+        });
+
+        panel.querySelector('[data-action="reset"]').addEventListener('click', () => {
+            pagerank.running = false;
+            stopPageRank();
+            pagerank.step = 0;
+            renderPageRank();
+        });
+    }
+
+    // A new graph or signal replays from the uniform start, redrawing the graph if it is on screen
+    function restartPageRank() {
+        stopPageRank();
+        pagerank.result = null;
+        pagerank.step = 0;
+        pagerank.running = true;
+        runPageRank();
+
+        const container = document.getElementById('matrixLinkGraph');
+        if (container && container.querySelector('svg, canvas')) {
+            initMatrixLinkGraph();
+        } else {
+            renderPageRank();
+        }
+    }
+
+    // A new damping factor keeps the replay position, or the end if the replay had finished
+    function runPageRank() {
+        const graph = matrixGraph();
+        if (!graph) return;
+        const previous = pagerank.result;
+        const atEnd = previous && pagerank.step >= previous.iterations.length - 1;
+        pagerank.result = computeAuthority(graph, pagerank.algorithm, pagerank.damping);
+        pagerank.comparison = Object.keys(AUTHORITY_ALGORITHMS).map(key => {
+            const { iterations } = key === pagerank.algorithm
+                ? pagerank.result
+                : computeAuthority(graph, key, pagerank.damping);
+            return { key, scores: iterations[iterations.length - 1].rank };
+        });
+
+        const last = pagerank.result.iterations.length - 1;
+        pagerank.step = atEnd ? last : Math.min(pagerank.step, last);
+    }
+
+    function startPageRank() {
+        if (!pagerank.running || !pagerank.view) return;
+        // Without motion the replay jumps straight to the converged scores
+        if (prefersReducedMotion()) {
+            pagerank.step = pagerank.result.iterations.length - 1;
+            pagerank.running = false;
+            renderPageRank();
+            return;
+        }
+        scheduleAnimation('matrixLinkGraph', PAGERANK_TICK_MS, tickPageRank);
+    }
+
+    function stopPageRank() {
+        cancelAnimation('matrixLinkGraph');
+    }
+
+    function tickPageRank() {
+        const last = pagerank.result.iterations.length - 1;
+        pagerank.step = Math.min(pagerank.step + 1, last);
+        if (pagerank.step >= last) {
+            pagerank.running = false;
+            stopPageRank();
+        }
+        renderPageRank();
+    }
+
+    // One radius scale for the whole run, so nodes visibly grow and shrink between iterations
+    function pagerankRadius(result, range = PAGERANK_RADIUS) {
+        const max = d3.max(result.iterations, iteration => d3.max(iteration.rank));
+        return d3.scaleSqrt().domain([0, max]).range(range);
+    }
+
+    function renderPageRank() {
+        const result = pagerank.result;
+        const panel = document.getElementById('pagerankPanel');
+        if (!result || !panel) return;
+
+        const last = result.iterations.length - 1;
+        const { rank, delta } = result.iterations[pagerank.step];
+        const final = result.iterations[last].rank;
+        const scoreOf = new Map(result.ids.map((id, i) => [id, rank[i]]));
+        const finalOf = new Map(result.ids.map((id, i) => [id, final[i]]));
+        const graph = matrixGraph();
+        const groups = new Map(graph.groups.map(g => [g.id, g]));
+        const format = d3.format('.4f');
+
+        if (pagerank.view) pagerank.view.update(scoreOf, prefersReducedMotion() ? 0 : PAGERANK_TICK_MS * 0.8);
+
+        const ranked = d3.sort(graph.nodes, (a, b) => scoreOf.get(b.id) - scoreOf.get(a.id));
+        const stats = {
+            iteration: `${pagerank.step} of ${last}`,
+            delta: delta === null ? 'uniform start (1/N each)' : d3.format('.2e')(delta),
+            status: result.converged
+                ? `converged after ${last} iterations`
+                : `not converged after ${PAGERANK_MAX_ITERATIONS} iterations`,
+            top: `${ranked[0].label} (${format(scoreOf.get(ranked[0].id))})`
+        };
+        Object.entries(stats).forEach(([key, text]) => {
+            const el = panel.querySelector(`[data-stat="${key}"]`);
+            if (el) el.textContent = text;
+        });
+
+        const toggle = panel.querySelector('[data-action="toggle"]');
+        toggle.textContent = pagerank.running ? 'Pause' : (pagerank.step >= last ? 'Replay' : 'Play');
+
+        const rows = d3.select(panel)
+            .select('.pagerank-table tbody')
+            .selectAll('tr')
+            .data(ranked.slice(0, PAGERANK_TABLE_ROWS), d => d.id)
+            .join(enter => {
+                const tr = enter.append('tr');
+                tr.append('td').attr('class', 'pagerank-position');
+                const page = tr.append('td');
+                page.append('span').attr('class', 'legend-dot');
+                page.append('span').attr('class', 'pagerank-page');
+                tr.append('td').attr('class', 'pagerank-score');
+                tr.append('td').attr('class', 'pagerank-final');
+                return tr;
+            })
+            .order();
+        rows.select('.pagerank-position').text((d, i) => i + 1);
+        rows.select('.legend-dot').style('background', d => groups.get(d.group).color);
+        rows.select('.pagerank-page').text(d => d.label);
+        rows.select('.pagerank-score').text(d => format(scoreOf.get(d.id)));
+        rows.select('.pagerank-final').text(d => format(finalOf.get(d.id)));
+        panel.querySelector('.pagerank-table-note').textContent = ranked.length > PAGERANK_TABLE_ROWS
+            ? `Top ${PAGERANK_TABLE_ROWS} of ${d3.format(',')(ranked.length)} pages`
+            : '';
+
+        renderPageRankConvergence(panel, result);
+        renderAuthorityComparison(panel, graph);
+    }
+
+    // Every signal's converged ranking side by side, ordered by the selected one, with each page's
+    // move relative to plain PageRank
+    function renderAuthorityComparison(panel, graph) {
+        const table = panel.querySelector('.authority-compare');
+        if (!table || !pagerank.comparison) return;
+
+        const columns = pagerank.comparison.map(({ key, scores }) => ({
+            key,
+            scores,
+            positions: d3.rank(scores, d3.descending)
+        }));
+        const baseline = columns.find(c => c.key === 'pagerank');
+        const selected = columns.find(c => c.key === pagerank.algorithm);
+        const order = d3.sort(d3.range(graph.nodes.length), i => -selected.scores[i]).slice(0, PAGERANK_TABLE_ROWS);
+        const format = d3.format('.3f');
+        const topOf = column => new Set(d3.sort(d3.range(graph.nodes.length), i => -column.scores[i]).slice(0, AUTHORITY_OVERLAP_TOP));
+        const baselineTop = topOf(baseline);
+        const move = d => baseline.positions[d.i] - d.column.positions[d.i];
+
+        d3.select(table).select('thead tr')
+            .selectAll('th')
+            .data([{ label: 'Page' }, ...columns.map(c => ({ label: AUTHORITY_ALGORITHMS[c.key].column, key: c.key }))])
+            .join('th')
+            .attr('scope', 'col')
+            .classed('selected', d => d.key === pagerank.algorithm)
+            .text(d => d.label);
+
+        const rows = d3.select(table).select('tbody')
+            .selectAll('tr')
+            .data(order)
+            .join('tr');
+        rows.selectAll('th')
+            .data(i => [graph.nodes[i].label])
+            .join('th')
+            .attr('scope', 'row')
+            .text(label => label);
+        rows.selectAll('td')
+            .data(i => columns.map(column => ({ column, i })))
+            .join('td')
+            .classed('selected', d => d.column.key === pagerank.algorithm)
+            .classed('authority-up', d => move(d) > 0)
+            .classed('authority-down', d => move(d) < 0)
+            .text(d => {
+                const arrow = move(d) > 0 ? ` ▲${move(d)}` : move(d) < 0 ? ` ▼${-move(d)}` : '';
+                return `#${d.column.positions[d.i] + 1}${arrow} · ${format(d.column.scores[d.i])}`;
+            });
+
+        d3.select(table).select('tfoot tr')
+            .selectAll('td')
+            .data(columns)
+            .join('td')
+            .text(column => {
+                const shared = [...topOf(column)].filter(i => baselineTop.has(i)).length;
+                return column === baseline ? '–' : `${shared} of ${AUTHORITY_OVERLAP_TOP}`;
+            });
+    }
+
+    // L1 change per iteration on a log scale, down to the convergence threshold
+    function renderPageRankConvergence(panel, result) {
+        const container = panel.querySelector('.pagerank-convergence');
+        if (!container) return;
+
+        const width = container.clientWidth || 320;
+        const height = 110;
+        const margin = { top: 8, right: 12, bottom: 22, left: 44 };
+        // A log scale has no zero: a graph that starts at its fixed point plots on the floor instead
+        const floor = PAGERANK_TOLERANCE / 100;
+        const deltas = result.iterations.slice(1)
+            .map((iteration, i) => ({ step: i + 1, delta: Math.max(iteration.delta, floor) }));
+        const x = d3.scaleLinear()
+            .domain([1, Math.max(2, deltas.length)])
+            .range([margin.left, width - margin.right]);
+        const y = d3.scaleLog()
+            .domain([
+                Math.min(PAGERANK_TOLERANCE, d3.min(deltas, d => d.delta)),
+                Math.max(PAGERANK_TOLERANCE, d3.max(deltas, d => d.delta))
+            ])
+            .range([height - margin.bottom, margin.top])
+            .nice();
+
+        const svg = d3.select(container).html('')
+            .append('svg')
+            .attr('width', width)
+            .attr('height', height)
+            .attr('role', 'img')
+            .attr('aria-label', `Change between PageRank iterations, falling below ${PAGERANK_TOLERANCE} ` +
+                `after ${deltas.length} iterations`);
+
+        svg.append('g')
+            .attr('class', 'sim-axis')
+            .attr('transform', `translate(0,${height - margin.bottom})`)
+            .call(d3.axisBottom(x).ticks(Math.min(deltas.length, 8)).tickFormat(d3.format('d')));
+        svg.append('g')
+            .attr('class', 'sim-axis')
+            .attr('transform', `translate(${margin.left},0)`)
+            .call(d3.axisLeft(y).ticks(4, '.0e'));
+
+        svg.append('line')
+            .attr('x1', margin.left)
+            .attr('x2', width - margin.right)
+            .attr('y1', y(PAGERANK_TOLERANCE))
+            .attr('y2', y(PAGERANK_TOLERANCE))
+            .attr('stroke', '#10b981')
+            .attr('stroke-dasharray', '4 3');
+
+        svg.append('path')
+            .datum(deltas)
+            .attr('fill', 'none')
+            .attr('stroke', '#6366f1')
+            .attr('stroke-width', 2)
+            .attr('d', d3.line().x(d => x(d.step)).y(d => y(d.delta)));
+
+        svg.selectAll('circle')
+            .data(deltas)
+            .join('circle')
+            .attr('cx', d => x(d.step))
+            .attr('cy', d => y(d.delta))
+            .attr('r', d => (d.step === pagerank.step ? 5 : 2.5))
+            .attr('fill', d => (d.step <= pagerank.step ? '#6366f1' : '#475569'));
+    }
+
     function initMatrixLinkGraph() {
         const container = document.getElementById('matrixLinkGraph');
-        if (!container || typeof d3 === 'undefined') return;
+        if (!container || typeof d3 === 'undefined' || !topology) return;
 
         const width = container.clientWidth || 500;
         const height = 350;
 
         // Clear any existing content
         container.innerHTML = '';
+        if (pagerank.view) pagerank.view.simulation.stop();
+
+        const graph = matrixGraph();
+        if (!pagerank.result) runPageRank();
+        if (graph.nodes.length > MATRIX_SVG_LIMIT) {
+            initMatrixLinkCanvas(container, graph, width, height);
+            return;
+        }
 
         const svg = d3.select('#matrixLinkGraph')
             .append('svg')
@@ -1602,37 +7880,17 @@
             .attr('height', height)
             .attr('viewBox', `0 0 ${width} ${height}`);
 
-        // Node data representing documentation pages
-        const nodes = [
-            { id: 'react-docs', label: 'React Docs', group: 'official', size: 28 },
-            { id: 'useEffect', label: 'useEffect', group: 'api', size: 24 },
-            { id: 'useState', label: 'useState', group: 'api', size: 22 },
-            { id: 'blog-1', label: 'Blog Post 1', group: 'community', size: 14 },
-            { id: 'blog-2', label: 'Blog Post 2', group: 'community', size: 12 },
-            { id: 'so-answer', label: 'SO Answer', group: 'community', size: 18 },
-            { id: 'tutorial', label: 'Tutorial', group: 'community', size: 16 },
-            { id: 'hooks-intro', label: 'Hooks Intro', group: 'official', size: 20 }
-        ];
-
-        // Links representing references between pages
-        const links = [
-            { source: 'react-docs', target: 'useEffect', weight: 5 },
-            { source: 'react-docs', target: 'useState', weight: 5 },
-            { source: 'react-docs', target: 'hooks-intro', weight: 4 },
-            { source: 'hooks-intro', target: 'useEffect', weight: 3 },
-            { source: 'hooks-intro', target: 'useState', weight: 3 },
-            { source: 'blog-1', target: 'useEffect', weight: 2 },
-            { source: 'blog-2', target: 'useEffect', weight: 2 },
-            { source: 'so-answer', target: 'useEffect', weight: 3 },
-            { source: 'tutorial', target: 'useState', weight: 2 },
-            { source: 'tutorial', target: 'useEffect', weight: 2 },
-            { source: 'blog-1', target: 'hooks-intro', weight: 1 }
-        ];
+        // Documentation pages and the references between them, sized by their converged PageRank
+        const links = graph.links.map(link => ({ ...link }));
+        const radius = pagerankRadius(pagerank.result);
+        const finalRank = pagerank.result.iterations[pagerank.result.iterations.length - 1].rank;
+        const currentRank = pagerank.result.iterations[pagerank.step].rank;
+        const nodes = graph.nodes.map((n, i) => ({ ...n, size: radius(finalRank[i]), r: radius(currentRank[i]) }));
 
         // Color scale for node groups
         const colorScale = d3.scaleOrdinal()
-            .domain(['official', 'api', 'community'])
-            .range(['#10b981', '#6366f1', '#f59e0b']);
+            .domain(graph.groups.map(g => g.id))
+            .range(graph.groups.map(g => g.color));
 
         // Create force simulation
         const simulation = d3.forceSimulation(nodes)
@@ -1660,8 +7918,8 @@
             .call(drag(simulation));
 
         // Node circles
-        node.append('circle')
-            .attr('r', d => d.size)
+        const circles = node.append('circle')
+            .attr('r', d => d.r)
             .attr('fill', d => colorScale(d.group))
             .attr('stroke', '#fff')
             .attr('stroke-width', 2)
@@ -1680,15 +7938,37 @@
             });
 
         // Node labels
-        node.append('text')
+        const labels = node.append('text')
             .text(d => d.label)
             .attr('x', 0)
-            .attr('y', d => d.size + 14)
+            .attr('y', d => d.r + 14)
             .attr('text-anchor', 'middle')
             .attr('fill', '#94a3b8')
             .attr('font-size', '11px')
             .attr('font-family', 'Inter, sans-serif');
 
+        const groupLabels = new Map(graph.groups.map(g => [g.id, g.label]));
+        makeGraphAccessible(container, svg, {
+            label: matrixImport.graph
+                ? `Matrix Link graph imported from ${graph.name}: pages and the links between them`
+                : 'Matrix Link graph: documentation pages and the references between them',
+            nodes: node,
+            links,
+            id: d => d.id,
+            name: d => d.label,
+            describe: d => `${groupLabels.get(d.group)}, PageRank ${d3.format('.3f')(finalRank[nodes.indexOf(d)])}`
+        });
+
+        pagerank.view = {
+            simulation,
+            update: (scoreOf, duration) => {
+                circles.transition('pagerank').duration(duration).attr('r', d => radius(scoreOf.get(d.id)));
+                labels.transition('pagerank').duration(duration).attr('y', d => radius(scoreOf.get(d.id)) + 14);
+            }
+        };
+        renderPageRank();
+        startPageRank();
+
         // Update positions on tick
         simulation.on('tick', () => {
             link
@@ -1705,11 +7985,7 @@
             .attr('class', 'legend')
             .attr('transform', `translate(20, 20)`);
 
-        const legendData = [
-            { label: 'Official Docs', color: '#10b981' },
-            { label: 'API Reference', color: '#6366f1' },
-            { label: 'Community', color: '#f59e0b' }
-        ];
+        const legendData = graph.groups;
 
         legendData.forEach((item, i) => {
             const g = legend.append('g')
@@ -1728,246 +8004,1653 @@
         });
     }
 
-    // ===========================================
-    // HNSW VISUALIZATION (D3.js)
-    // ===========================================
+    // ===========================================
+    // MATRIX LINK IMPORT
+    // ===========================================
+
+    // Replace the sample graph with your own: a CSV or JSON edge list, or HTML pages whose anchors
+    // are read in the browser. Pages are grouped by URL pattern, and imports too large for SVG are
+    // drawn on a canvas with only the top pages labelled.
+    const MATRIX_SVG_LIMIT = 150;
+    const MATRIX_IMPORT_MAX_PAGES = 5000;
+    const MATRIX_CANVAS_LABELS = 10;
+    const MATRIX_CANVAS_RADIUS = [1.5, 14];
+    const IMPORT_ORIGIN = 'https://import.invalid';    // base for pages known only by their file path
+
+    const matrixImport = {
+        raw: null,      // pages and links as parsed, before grouping
+        graph: null,    // what the Matrix Link graph and PageRank use instead of the sample
+        patterns: {
+            api: '/api/|/reference/|/sdk/',
+            community: 'blog|forum|community|stackoverflow|discord|github\\.com'
+        }
+    };
+
+    // The imported link graph if there is one, otherwise the sample in the topology
+    function matrixGraph() {
+        return matrixImport.graph || (topology && topology.views.matrixLink);
+    }
+
+    function initMatrixImport() {
+        const form = document.getElementById('matrixImport');
+        if (!form) return;
+
+        const { source, files, folder, api, community } = form.elements;
+        api.value = matrixImport.patterns.api;
+        community.value = matrixImport.patterns.community;
+
+        const run = load => {
+            setImportStatus(form, 'Reading…');
+            Promise.resolve()
+                .then(load)
+                .then(raw => {
+                    matrixImport.raw = raw;
+                    regroupMatrixImport(form);
+                })
+                .catch(err => setImportStatus(form, err.message, true));
+        };
+
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            if (!source.value.trim()) {
+                setImportStatus(form, 'Paste an edge list or HTML pages, or choose files', true);
+                return;
+            }
+            run(() => parseLinkSource(source.value));
+        });
+
+        [files, folder].forEach(input => {
+            input.addEventListener('change', () => {
+                const chosen = [...input.files].map(file => ({ file, path: file.webkitRelativePath || file.name }));
+                input.value = '';
+                if (chosen.length) run(() => readImportFiles(chosen));
+            });
+        });
+
+        const dropZone = form.querySelector('.matrix-import-drop');
+        dropZone.addEventListener('dragover', event => {
+            event.preventDefault();
+            dropZone.classList.add('dragging');
+        });
+        dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragging'));
+        dropZone.addEventListener('drop', event => {
+            event.preventDefault();
+            dropZone.classList.remove('dragging');
+            run(() => readDroppedFiles(event.dataTransfer).then(readImportFiles));
+        });
+
+        [api, community].forEach(input => {
+            input.addEventListener('change', () => {
+                matrixImport.patterns[input.name] = input.value.trim();
+                if (matrixImport.raw) regroupMatrixImport(form);
+            });
+        });
+
+        form.querySelector('[data-action="restore"]').addEventListener('click', () => {
+            matrixImport.raw = null;
+            source.value = '';
+            applyMatrixGraph(null);
+            setImportStatus(form, 'Showing the sample React graph');
+        });
+    }
+
+    function setImportStatus(form, message, isError) {
+        const status = form.querySelector('.matrix-import-status');
+        status.textContent = message;
+        status.classList.toggle('error', Boolean(isError));
+    }
+
+    function regroupMatrixImport(form) {
+        const raw = matrixImport.raw;
+        let graph;
+        try {
+            graph = groupImportedPages(raw, matrixImport.patterns);
+        } catch (err) {
+            setImportStatus(form, err.message, true);
+            return;
+        }
+        applyMatrixGraph(graph);
+
+        const format = d3.format(',');
+        const counts = d3.rollup(graph.nodes, pages => pages.length, page => page.group);
+        const groups = graph.groups.map(g => `${g.label}: ${format(counts.get(g.id) || 0)}`).join(', ');
+        const ignored = raw.external
+            ? ` Left out ${format(raw.external)} link${raw.external === 1 ? '' : 's'} to pages outside the import.`
+            : '';
+        setImportStatus(form, `Imported ${format(graph.nodes.length)} pages and ${format(graph.links.length)} links ` +
+            `from ${raw.name} (${groups}).${ignored}`);
+    }
+
+    function applyMatrixGraph(graph) {
+        matrixImport.graph = graph;
+        restartPageRank();
+    }
+
+    // Pasted text: HTML pages, a JSON edge list or CSV
+    function parseLinkSource(text, name = 'pasted text') {
+        const trimmed = text.trim();
+        if (trimmed.startsWith('<')) return parseHtmlPages(splitHtmlDocuments(trimmed), name);
+        if (trimmed.startsWith('{') || trimmed.startsWith('[')) return parseJsonEdges(trimmed, name);
+        return parseCsvEdges(trimmed, name);
+    }
+
+    // source,target[,weight] per line; a header row and # comments are skipped
+    function parseCsvEdges(text, name) {
+        const edges = [];
+        text.split(/\r?\n/).forEach((line, i) => {
+            const row = line.trim();
+            if (!row || row.startsWith('#')) return;
+            const cells = row.split(/\s*[,\t]\s*/).map(cell => cell.replace(/^"|"$/g, ''));
+            if (i === 0 && /^(source|from)$/i.test(cells[0])) return;
+            if (cells.length < 2 || !cells[0] || !cells[1]) {
+                throw new Error(`${name}, line ${i + 1}: expected source,target[,weight]`);
+            }
+            const weight = cells[2] === undefined || cells[2] === '' ? 1 : Number(cells[2]);
+            if (!(weight > 0)) throw new Error(`${name}, line ${i + 1}: weight must be a positive number`);
+            edges.push({ source: cells[0], target: cells[1], weight });
+        });
+        return collectEdges(edges, name);
+    }
+
+    // An array of links, or { nodes, links } (edges also accepted); links are objects with
+    // source, target and an optional weight, or [source, target, weight] arrays
+    function parseJsonEdges(text, name) {
+        let doc;
+        try {
+            doc = JSON.parse(text);
+        } catch (err) {
+            throw new Error(`${name} is not valid JSON: ${err.message}`);
+        }
+        const list = Array.isArray(doc) ? doc : doc.links || doc.edges;
+        if (!Array.isArray(list)) throw new Error(`${name} needs a links (or edges) array`);
+
+        const edges = list.map((item, i) => {
+            const [source, target, weight = 1] = Array.isArray(item) ? item : [item.source, item.target, item.weight];
+            if (typeof source !== 'string' || typeof target !== 'string' || !(weight > 0)) {
+                throw new Error(`${name}: link ${i} needs string source and target and a positive weight`);
+            }
+            return { source, target, weight };
+        });
+        const labels = new Map((Array.isArray(doc.nodes) ? doc.nodes : [])
+            .filter(node => node && node.id && node.label)
+            .map(node => [String(node.id), String(node.label)]));
+        return collectEdges(edges, name, labels);
+    }
+
+    // Repeated links add their weights; self-links carry no authority and are dropped
+    function collectEdges(edges, name, labels = new Map(), pages = []) {
+        const ids = new Set(pages);
+        const weights = new Map();
+        edges.forEach(({ source, target, weight }) => {
+            ids.add(source);
+            ids.add(target);
+            if (source === target) return;
+            const key = JSON.stringify([source, target]);
+            weights.set(key, (weights.get(key) || 0) + weight);
+        });
+        if (!ids.size) throw new Error(`${name} contains no links`);
+        if (ids.size > MATRIX_IMPORT_MAX_PAGES) {
+            throw new Error(`${name} has ${d3.format(',')(ids.size)} pages; the limit is ${d3.format(',')(MATRIX_IMPORT_MAX_PAGES)}`);
+        }
+
+        const links = [...weights].map(([key, weight]) => {
+            const [source, target] = JSON.parse(key);
+            return { source, target, weight };
+        });
+        return { name, pages: [...ids], labels, links, external: 0 };
+    }
+
+    // Several pasted pages are told apart by their <html> elements
+    function splitHtmlDocuments(text) {
+        const documents = text.match(/(?:<!doctype html[^>]*>\s*)?<html[\s>][\s\S]*?<\/html>/gi) || [text];
+        return documents.map((html, i) => ({ html, path: null, index: i + 1 }));
+    }
+
+    // Anchors between the given pages, counted per pair. A page's URL is its canonical link, or
+    // for files its path, so relative hrefs resolve the way the site would serve them.
+    function parseHtmlPages(documents, name) {
+        const parser = new DOMParser();
+        const parsed = documents.map(({ html, path, index }) => {
+            const doc = parser.parseFromString(html, 'text/html');
+            const canonical = doc.querySelector('link[rel="canonical"][href], meta[property="og:url"][content]');
+            return {
+                doc,
+                path,
+                index,
+                canonical: canonical && (canonical.getAttribute('href') || canonical.getAttribute('content')),
+                title: doc.title.trim()
+            };
+        });
+
+        // Canonical URLs only if every page has one; otherwise file paths for all of them
+        const useCanonical = parsed.every(page => page.canonical);
+        parsed.forEach(page => {
+            if (!useCanonical && !page.path) {
+                throw new Error(`Pasted page ${page.index} has no <link rel="canonical">; ` +
+                    'drop the files instead so their paths can be used');
+            }
+            page.url = useCanonical
+                ? new URL(page.canonical, IMPORT_ORIGIN).href
+                : new URL(page.path.split('/').map(encodeURIComponent).join('/'), `${IMPORT_ORIGIN}/`).href;
+            page.id = pageKey(page.url);
+        });
+
+        const pages = new Set(parsed.map(page => page.id));
+        const labels = new Map(parsed.filter(page => page.title).map(page => [page.id, page.title]));
+        const edges = [];
+        let external = 0;
+        parsed.forEach(page => {
+            page.doc.querySelectorAll('a[href]').forEach(anchor => {
+                let url;
+                try {
+                    url = new URL(anchor.getAttribute('href'), page.url);
+                } catch (err) {
+                    return;
+                }
+                if (url.protocol !== 'http:' && url.protocol !== 'https:') return;
+                const target = pageKey(url.href);
+                if (pages.has(target)) edges.push({ source: page.id, target, weight: 1 });
+                else external++;
+            });
+        });
+
+        const result = collectEdges(edges, name, labels, [...pages]);
+        result.external = external;
+        return result;
+    }
+
+    // One id per page however it is linked: no fragment or query, no index.html, no trailing slash
+    // or .html, and paths from a dropped folder shown relative to it
+    function pageKey(url) {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        parsed.search = '';
+        const path = parsed.pathname.replace(/\/index\.html?$/i, '/').replace(/\.html?$/i, '').replace(/\/+$/, '');
+        if (parsed.origin === IMPORT_ORIGIN) return decodeURIComponent(path.slice(1)) || '/';
+        return `${parsed.origin}${path}`;
+    }
+
+    // Edge list files are merged; if any HTML pages are among the files, only those are used
+    function readImportFiles(entries) {
+        const html = entries.filter(entry => /\.html?$/i.test(entry.path));
+        const lists = entries.filter(entry => /\.(csv|tsv|txt|json)$/i.test(entry.path));
+        if (!html.length && !lists.length) {
+            return Promise.reject(new Error('No .html, .csv or .json files among the ones chosen'));
+        }
+
+        const name = entries.length === 1 ? entries[0].path : `${d3.format(',')(entries.length)} files`;
+        if (html.length) {
+            return Promise.all(html.map(entry => entry.file.text().then(text => ({ html: text, path: entry.path }))))
+                .then(documents => parseHtmlPages(documents, name));
+        }
+        return Promise.all(lists.map(entry => entry.file.text().then(text => parseLinkSource(text, entry.path))))
+            .then(parts => {
+                const edges = parts.flatMap(part => part.links);
+                const labels = new Map(parts.flatMap(part => [...part.labels]));
+                return collectEdges(edges, name, labels, parts.flatMap(part => part.pages));
+            });
+    }
+
+    // Dropped folders are walked for their files, keeping each file's path within the drop
+    function readDroppedFiles(dataTransfer) {
+        const entries = [...dataTransfer.items]
+            .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+            .filter(Boolean);
+        if (!entries.length) {
+            return Promise.resolve([...dataTransfer.files].map(file => ({ file, path: file.name })));
+        }
+
+        function walk(entry) {
+            if (entry.isFile) {
+                return new Promise((resolve, reject) => entry.file(file => resolve([{ file, path: entry.fullPath.replace(/^\//, '') }]), reject));
+            }
+            const reader = entry.createReader();
+            const read = collected => new Promise((resolve, reject) => reader.readEntries(batch => {
+                // readEntries returns at most 100 entries per call
+                if (!batch.length) resolve(collected);
+                else resolve(read([...collected, ...batch]));
+            }, reject));
+            return read([]).then(children => Promise.all(children.map(walk))).then(lists => lists.flat());
+        }
+
+        return Promise.all(entries.map(walk)).then(lists => lists.flat());
+    }
+
+    // API and community pages by URL pattern (case-insensitive regular expressions, API first);
+    // everything else counts as official docs
+    function groupImportedPages(raw, patterns) {
+        const tests = ['api', 'community'].map(group => {
+            if (!patterns[group]) return null;
+            try {
+                return { group, pattern: new RegExp(patterns[group], 'i') };
+            } catch (err) {
+                throw new Error(`The ${group} pattern is not a valid regular expression: ${err.message}`);
+            }
+        }).filter(Boolean);
+
+        const nodes = raw.pages.map(id => {
+            const match = tests.find(test => test.pattern.test(id));
+            return { id, label: raw.labels.get(id) || pageLabel(id), group: match ? match.group : 'official' };
+        });
+        return { name: raw.name, groups: topology.views.matrixLink.groups, nodes, links: raw.links };
+    }
+
+    function pageLabel(id) {
+        const segments = id.replace(/^[a-z]+:\/\//i, '').split('/').filter(Boolean);
+        return truncateText(segments[segments.length - 1] || id, 28);
+    }
+
+    // Imports past MATRIX_SVG_LIMIT pages: links and nodes on a canvas, labels for the top
+    // pages by PageRank, and a tooltip for the page under the pointer
+    function initMatrixLinkCanvas(container, graph, width, height) {
+        const result = pagerank.result;
+        const radius = pagerankRadius(result, MATRIX_CANVAS_RADIUS);
+        const finalRank = result.iterations[result.iterations.length - 1].rank;
+        const currentRank = result.iterations[pagerank.step].rank;
+        const colors = new Map(graph.groups.map(g => [g.id, g.color]));
+        const nodes = graph.nodes.map((n, i) => ({ ...n, r: radius(currentRank[i]) }));
+        const links = graph.links.map(link => ({ ...link }));
+        const finalOf = new Map(graph.nodes.map((n, i) => [n.id, finalRank[i]]));
+        const labelled = new Set(d3.sort(d3.range(nodes.length), i => -finalRank[i]).slice(0, MATRIX_CANVAS_LABELS).map(i => nodes[i]));
+
+        const ratio = window.devicePixelRatio || 1;
+        const canvas = d3.select(container)
+            .append('canvas')
+            .attr('class', 'graph-canvas')
+            .attr('width', width * ratio)
+            .attr('height', height * ratio)
+            .style('width', `${width}px`)
+            .style('height', `${height}px`)
+            .attr('role', 'img')
+            .attr('aria-label', `Matrix Link graph of ${graph.name}: ${d3.format(',')(nodes.length)} pages and ` +
+                `${d3.format(',')(links.length)} links; the table below ranks them by PageRank`)
+            .node();
+        const tooltip = d3.select(container)
+            .append('div')
+            .attr('class', 'matrix-canvas-tooltip')
+            .attr('hidden', true);
+        const context = canvas.getContext && canvas.getContext('2d');
+
+        const simulation = d3.forceSimulation(nodes)
+            .force('link', d3.forceLink(links).id(d => d.id).distance(24).strength(0.3))
+            .force('charge', d3.forceManyBody().strength(-12).distanceMax(120))
+            .force('x', d3.forceX(width / 2).strength(0.06))
+            .force('y', d3.forceY(height / 2).strength(0.1))
+            .on('tick', draw);
+
+        function draw() {
+            if (!context) return;
+            context.save();
+            context.setTransform(ratio, 0, 0, ratio, 0, 0);
+            context.clearRect(0, 0, width, height);
+
+            context.strokeStyle = 'rgba(100, 116, 139, 0.18)';
+            context.lineWidth = 0.6;
+            context.beginPath();
+            links.forEach(link => {
+                context.moveTo(link.source.x, link.source.y);
+                context.lineTo(link.target.x, link.target.y);
+            });
+            context.stroke();
+
+            nodes.forEach(node => {
+                context.beginPath();
+                context.arc(node.x, node.y, node.r, 0, 2 * Math.PI);
+                context.fillStyle = colors.get(node.group);
+                context.fill();
+            });
+
+            context.font = '11px Inter, sans-serif';
+            context.textAlign = 'center';
+            context.fillStyle = '#94a3b8';
+            labelled.forEach(node => context.fillText(node.label, node.x, node.y + node.r + 12));
+            context.restore();
+        }
+
+        canvas.addEventListener('mousemove', event => {
+            const [x, y] = d3.pointer(event, canvas);
+            const node = simulation.find(x, y, 12);
+            tooltip.attr('hidden', node ? null : true);
+            if (!node) return;
+            tooltip.text(`${node.label} · ${node.id} · PageRank ${d3.format('.4f')(finalOf.get(node.id))}`)
+                .style('left', `${x + 12}px`)
+                .style('top', `${y + 12}px`);
+        });
+        canvas.addEventListener('mouseleave', () => tooltip.attr('hidden', true));
+
+        pagerank.view = {
+            simulation,
+            update: scoreOf => {
+                nodes.forEach(node => {
+                    node.r = radius(scoreOf.get(node.id));
+                });
+                draw();
+            }
+        };
+        renderPageRank();
+        startPageRank();
+    }
+
+    // ===========================================
+    // SCORE FUSION EXPLORER
+    // ===========================================
+
+    // A sample result set for "how do I clean up a subscription in useEffect", with each page's
+    // vector similarity, Matrix Link PageRank and a graded relevance judgement (0-3) to score
+    // rankings against. Each fusion function blends similarity and authority by one weight.
+    const FUSION_RESULTS = [
+        { id: 'effect-ref', title: 'useEffect reference: cleanup function', source: 'api', similarity: 0.86, pagerank: 0.92, relevance: 3 },
+        { id: 'blog-pitfalls', title: 'Blog: useEffect cleanup pitfalls', source: 'community', similarity: 0.89, pagerank: 0.18, relevance: 2 },
+        { id: 'so-unmounted', title: 'SO: state update on an unmounted component', source: 'community', similarity: 0.88, pagerank: 0.35, relevance: 2 },
+        { id: 'sync-effects', title: 'Synchronizing with Effects', source: 'official', similarity: 0.84, pagerank: 0.81, relevance: 3 },
+        { id: 'tutorial-subs', title: 'Tutorial: subscriptions in hooks', source: 'community', similarity: 0.85, pagerank: 0.22, relevance: 1 },
+        { id: 'no-effect', title: 'You Might Not Need an Effect', source: 'official', similarity: 0.78, pagerank: 0.74, relevance: 2 },
+        { id: 'blog-layout', title: 'Blog: useEffect vs useLayoutEffect', source: 'community', similarity: 0.83, pagerank: 0.12, relevance: 0 },
+        { id: 'hooks-intro', title: 'Hooks Intro', source: 'official', similarity: 0.74, pagerank: 0.88, relevance: 1 },
+        { id: 'state-ref', title: 'useState reference', source: 'api', similarity: 0.70, pagerank: 0.90, relevance: 0 },
+        { id: 'forum-leak', title: 'Forum: memory leak warning in React 17', source: 'community', similarity: 0.82, pagerank: 0.08, relevance: 1 },
+        { id: 'effect-lifecycle', title: 'Lifecycle of Reactive Effects', source: 'official', similarity: 0.80, pagerank: 0.69, relevance: 3 },
+        { id: 'gist-hook', title: 'Gist: custom useSubscription hook', source: 'community', similarity: 0.81, pagerank: 0.05, relevance: 1 }
+    ];
+    const FUSION_CUTOFF = 5;    // the RAG pipeline's "Top 5 chunks"
+    const FUSION_RRF_K = 60;
+    const FUSION_ROW_HEIGHT = 36;
+    const FUSION_SOURCE_COLORS = { official: '#10b981', api: '#6366f1', community: '#f59e0b' };
+
+    // Each takes the authority weight w and returns a scorer over a result with its ranks by
+    // similarity alone and by PageRank alone
+    const FUSION_FUNCTIONS = {
+        linear: {
+            label: 'Linear',
+            formula: w => `Final = Sim × ${fusionWeight(1 - w)} + PageRank × ${fusionWeight(w)}`,
+            score: w => r => (1 - w) * r.similarity + w * r.pagerank
+        },
+        rrf: {
+            label: 'Reciprocal rank fusion',
+            formula: w => `Final = ${fusionWeight(1 - w)} / (${FUSION_RRF_K} + rank_sim) + ${fusionWeight(w)} / (${FUSION_RRF_K} + rank_pr)`,
+            score: w => r => (1 - w) / (FUSION_RRF_K + r.similarityRank) + w / (FUSION_RRF_K + r.pagerankRank)
+        },
+        multiplicative: {
+            label: 'Multiplicative',
+            formula: w => `Final = Sim × PageRank^${fusionWeight(w)}`,
+            score: w => r => r.similarity * Math.pow(r.pagerank, w)
+        }
+    };
+
+    const fusionExplorer = {
+        weight: 0.2,
+        method: 'linear',
+        results: null,
+        view: null,
+        chart: null
+    };
+
+    function fusionWeight(value) {
+        return d3.format('.2f')(value);
+    }
+
+    function initFusionExplorer() {
+        const panel = document.getElementById('fusionExplorer');
+        if (!panel) return;
+
+        // Ranks by each signal alone, used by reciprocal rank fusion and the rank-change column
+        const results = FUSION_RESULTS.map(r => ({ ...r }));
+        d3.sort(results, r => -r.similarity).forEach((r, i) => { r.similarityRank = i + 1; });
+        d3.sort(results, r => -r.pagerank).forEach((r, i) => { r.pagerankRank = i + 1; });
+        fusionExplorer.results = results;
+
+        const table = d3.select(panel).select('.fusion-table');
+        const header = table.append('div').attr('class', 'fusion-row fusion-header').attr('role', 'row');
+        ['Rank', 'Page', 'Similarity', 'PageRank', 'Judged', 'Final'].forEach(label => {
+            header.append('span').attr('role', 'columnheader').text(label);
+        });
+        const body = table.append('div')
+            .attr('class', 'fusion-body')
+            .attr('role', 'rowgroup')
+            .style('height', `${results.length * FUSION_ROW_HEIGHT}px`);
+        body.append('div')
+            .attr('class', 'fusion-cutoff')
+            .style('top', `${FUSION_CUTOFF * FUSION_ROW_HEIGHT}px`)
+            .append('span')
+            .text(`Top ${FUSION_CUTOFF} cutoff`);
+
+        const rows = body.selectAll('.fusion-result')
+            .data(results, r => r.id)
+            .join('div')
+            .attr('class', 'fusion-row fusion-result')
+            .attr('role', 'row');
+        rows.append('span').attr('class', 'fusion-rank').attr('role', 'cell');
+        const page = rows.append('span').attr('class', 'fusion-page').attr('role', 'cell');
+        page.append('span')
+            .attr('class', 'fusion-source')
+            .style('background', r => FUSION_SOURCE_COLORS[r.source])
+            .attr('title', r => r.source);
+        page.append('span').text(r => r.title);
+        rows.append('span').attr('role', 'cell').text(r => d3.format('.2f')(r.similarity));
+        rows.append('span').attr('role', 'cell').text(r => d3.format('.2f')(r.pagerank));
+        rows.append('span').attr('role', 'cell').text(r => r.relevance);
+        rows.append('span').attr('class', 'fusion-score').attr('role', 'cell');
+        fusionExplorer.view = { body, rows };
+
+        const weight = panel.querySelector('[name="fusionWeight"]');
+        const weightOutput = panel.querySelector(`output[for="${weight.id}"]`);
+        const update = animate => {
+            fusionExplorer.weight = Number(weight.value);
+            fusionExplorer.method = panel.querySelector('[name="fusionMethod"]:checked').value;
+            weightOutput.textContent = `${fusionWeight(1 - fusionExplorer.weight)} / ${fusionWeight(fusionExplorer.weight)}`;
+            renderFusion(animate);
+        };
+        weight.addEventListener('input', () => update(true));
+        panel.querySelectorAll('[name="fusionMethod"]').forEach(input => {
+            input.addEventListener('change', () => update(true));
+        });
+        update(false);
+    }
+
+    // Results in fused order; ties keep the similarity order
+    function rankFusion(method, weight) {
+        const score = FUSION_FUNCTIONS[method].score(weight);
+        return d3.sort(fusionExplorer.results, (a, b) => score(b) - score(a) || a.similarityRank - b.similarityRank)
+            .map((r, i) => ({ result: r, rank: i + 1, score: score(r) }));
+    }
+
+    // NDCG@5 against the relevance judgements
+    function fusionNdcg(ranking) {
+        const dcg = grades => d3.sum(grades.slice(0, FUSION_CUTOFF), (grade, i) => (2 ** grade - 1) / Math.log2(i + 2));
+        const ideal = dcg(d3.sort(fusionExplorer.results.map(r => r.relevance), (a, b) => b - a));
+        return dcg(ranking.map(entry => entry.result.relevance)) / ideal;
+    }
+
+    function renderFusion(animate) {
+        const panel = document.getElementById('fusionExplorer');
+        const { view, method, weight } = fusionExplorer;
+        if (!panel || !view) return;
+
+        const ranking = rankFusion(method, weight);
+        const byId = new Map(ranking.map(entry => [entry.result.id, entry]));
+        const scoreFormat = method === 'rrf' ? d3.format('.5f') : d3.format('.3f');
+
+        // Screen readers read the rows in ranked order; the transition moves them there visually
+        view.rows = view.rows.sort((a, b) => byId.get(a.id).rank - byId.get(b.id).rank);
+        view.rows
+            .classed('fusion-entered', r => byId.get(r.id).rank <= FUSION_CUTOFF && r.similarityRank > FUSION_CUTOFF)
+            .classed('fusion-left', r => byId.get(r.id).rank > FUSION_CUTOFF && r.similarityRank <= FUSION_CUTOFF);
+        view.rows.select('.fusion-rank').text(r => {
+            const move = r.similarityRank - byId.get(r.id).rank;
+            return `${byId.get(r.id).rank}${move > 0 ? ` ▲${move}` : move < 0 ? ` ▼${-move}` : ''}`;
+        });
+        view.rows.select('.fusion-score').text(r => scoreFormat(byId.get(r.id).score));
+        view.rows.transition()
+            .duration(animate && !prefersReducedMotion() ? 600 : 0)
+            .ease(d3.easeCubicInOut)
+            .style('top', r => `${(byId.get(r.id).rank - 1) * FUSION_ROW_HEIGHT}px`);
+
+        panel.querySelector('.fusion-formula').textContent = FUSION_FUNCTIONS[method].formula(weight);
+
+        const baseline = rankFusion('linear', 0);
+        const top = ranking.slice(0, FUSION_CUTOFF);
+        // Every weight that reaches the best NDCG, since a plateau argues for a split better than a peak
+        const sweep = fusionSweep(method);
+        const bestNdcg = d3.max(sweep, d => d.ndcg);
+        const bestWeights = d3.extent(sweep.filter(d => d.ndcg >= bestNdcg - 1e-9), d => d.weight);
+        const stats = {
+            ndcg: d3.format('.3f')(fusionNdcg(ranking)),
+            baseline: d3.format('.3f')(fusionNdcg(baseline)),
+            best: `${d3.format('.3f')(bestNdcg)} at authority ${fusionWeight(bestWeights[0])}` +
+                (bestWeights[1] > bestWeights[0] ? `-${fusionWeight(bestWeights[1])}` : ''),
+            authoritative: `${top.filter(entry => entry.result.source !== 'community').length} of ${FUSION_CUTOFF}`,
+            crossed: `${top.filter(entry => entry.result.similarityRank > FUSION_CUTOFF).length} of ${FUSION_CUTOFF}`
+        };
+        Object.entries(stats).forEach(([key, text]) => {
+            const el = panel.querySelector(`[data-stat="${key}"]`);
+            if (el) el.textContent = text;
+        });
+
+        updateFusionChart();
+    }
+
+    // NDCG@5 across the weight range for one fusion function
+    function fusionSweep(method) {
+        return d3.range(0, 1.0001, 0.05).map(weight => ({ weight, ndcg: fusionNdcg(rankFusion(method, weight)) }));
+    }
+
+    function initFusionChart() {
+        const container = document.getElementById('fusionChart');
+        if (!container || !fusionExplorer.results) return;
+
+        container.innerHTML = '';
+        const width = container.clientWidth || 600;
+        const height = 200;
+        const margin = { top: 28, right: 16, bottom: 32, left: 48 };
+
+        const svg = d3.select(container)
+            .append('svg')
+            .attr('width', width)
+            .attr('height', height)
+            .attr('role', 'img')
+            .attr('aria-label', `NDCG at ${FUSION_CUTOFF} against the authority weight for each fusion function`);
+
+        const x = d3.scaleLinear().domain([0, 1]).range([margin.left, width - margin.right]);
+        const y = d3.scaleLinear()
+            .domain([d3.min(Object.keys(FUSION_FUNCTIONS), method => d3.min(fusionSweep(method), d => d.ndcg)) - 0.02, 1])
+            .range([height - margin.bottom, margin.top]);
+
+        svg.append('g')
+            .attr('class', 'sim-axis')
+            .attr('transform', `translate(0, ${height - margin.bottom})`)
+            .call(d3.axisBottom(x).ticks(10).tickFormat(d3.format('.1f')));
+        svg.append('g')
+            .attr('class', 'sim-axis')
+            .attr('transform', `translate(${margin.left}, 0)`)
+            .call(d3.axisLeft(y).ticks(5).tickFormat(d3.format('.2f')));
+        svg.append('text')
+            .attr('x', width - margin.right)
+            .attr('y', height - 4)
+            .attr('text-anchor', 'end')
+            .attr('fill', '#94a3b8')
+            .attr('font-size', '10px')
+            .text('authority weight');
+        svg.append('text')
+            .attr('x', 4)
+            .attr('y', 12)
+            .attr('fill', '#94a3b8')
+            .attr('font-size', '10px')
+            .text(`NDCG@${FUSION_CUTOFF}`);
+
+        const colors = { linear: '#6366f1', rrf: '#10b981', multiplicative: '#f59e0b' };
+        const lines = svg.selectAll('.fusion-line')
+            .data(Object.keys(FUSION_FUNCTIONS))
+            .join('path')
+            .attr('class', 'fusion-line')
+            .attr('fill', 'none')
+            .attr('stroke', method => colors[method])
+            .attr('d', method => d3.line().x(d => x(d.weight)).y(d => y(d.ndcg))(fusionSweep(method)));
+
+        const legend = svg.append('g')
+            .attr('transform', `translate(${margin.left + 24}, 12)`);
+        Object.keys(FUSION_FUNCTIONS).forEach((method, i) => {
+            legend.append('text')
+                .attr('x', i * 140)
+                .attr('fill', colors[method])
+                .attr('font-size', '10px')
+                .text(FUSION_FUNCTIONS[method].label);
+        });
+
+        const marker = svg.append('g').attr('class', 'fusion-marker');
+        marker.append('line')
+            .attr('y1', margin.top)
+            .attr('y2', height - margin.bottom)
+            .attr('stroke', '#f0f0f5')
+            .attr('stroke-dasharray', '3,3');
+        marker.append('circle').attr('r', 4).attr('fill', '#f0f0f5');
+
+        fusionExplorer.chart = { x, y, lines, marker };
+        updateFusionChart();
+    }
+
+    function updateFusionChart() {
+        const chart = fusionExplorer.chart;
+        if (!chart) return;
+        const { method, weight } = fusionExplorer;
+        chart.lines
+            .attr('stroke-width', m => m === method ? 2.5 : 1.5)
+            .attr('stroke-opacity', m => m === method ? 1 : 0.4);
+        chart.marker.select('line').attr('x1', chart.x(weight)).attr('x2', chart.x(weight));
+        chart.marker.select('circle')
+            .attr('cx', chart.x(weight))
+            .attr('cy', chart.y(fusionNdcg(rankFusion(method, weight))));
+    }
+
+    // ===========================================
+    // HNSW VISUALIZATION (D3.js)
+    // ===========================================
+
+    // A real HNSW index over random 2D points, built one insertion at a time as in Malkov &
+    // Yashunin: each point draws its top layer from an exponential distribution, descends greedily
+    // through the layers above it, then searches efConstruction wide on every layer it joins and
+    // links to the neighbours the selection heuristic keeps. Lists over M (2M on layer 0) are pruned.
+    // A query descends the same way and searches the base layer efSearch wide.
+    const HNSW_HEIGHT = 420;
+    const HNSW_LAYER_HEIGHT = 100;  // minimum per upper layer, so tall indexes grow the graph
+    const HNSW_TICK_MS = 500;
+    const HNSW_SEARCH_TICK_MS = 350;  // one expanded candidate per tick
+    const HNSW_SWEEP_QUERIES = 40;    // random queries averaged for the efSearch chart
+    const HNSW_SWEEP_MAX_EF = 64;
+    const HNSW_MAX_POINTS = 150;    // including points added by clicking
+    const HNSW_LAYER_COLORS = ['#6366f1', '#f59e0b', '#ef4444', '#ec4899', '#8b5cf6', '#14b8a6'];
+    const HNSW_COLORS = {
+        visited: '#94a3b8',
+        candidate: '#22d3ee',
+        linked: '#10b981',
+        pruned: '#f87171',
+        query: '#22d3ee',
+        result: '#10b981',
+        missed: '#f87171'
+    };
+
+    const hnsw = {
+        params: { points: 40, M: 4, efConstruction: 16, efSearch: 8, k: 5 },
+        seed: 1,
+        random: null,
+        points: [],     // { id, x, y, u } in the unit square; u draws the point's top layer
+        index: null,
+        step: 0,        // points inserted so far in the replay
+        mode: 'search', // the graph highlights either the latest insert or the query's search
+        query: { x: 0.62, y: 0.38 },
+        search: null,   // the query's search, one frame per expanded candidate, and the exact answer
+        frame: 0,
+        sweep: null,    // mean recall and distance computations for every efSearch
+        sweepChart: null,
+        running: false,
+        view: null
+    };
+
+    function generateHnswPoints(count, seed) {
+        hnsw.random = d3.randomLcg(seed);
+        return d3.range(count).map(id => createHnswPoint(id, 0.04 + hnsw.random() * 0.92, 0.04 + hnsw.random() * 0.92));
+    }
+
+    function createHnswPoint(id, x, y) {
+        return { id, x, y, u: 1 - hnsw.random() };
+    }
+
+    // Best-first search of one layer from the entry points, keeping the ef closest points found.
+    // distanceTo counts as one distance computation per call; onExpand sees every expanded candidate.
+    function searchHnswLayer(distanceTo, neighboursOf, entryPoints, ef, onExpand) {
+        const visited = new Set(entryPoints);
+        const candidates = entryPoints.map(id => ({ id, d: distanceTo(id) }));
+        const found = d3.sort(candidates, c => c.d);
+
+        while (candidates.length) {
+            candidates.sort((a, b) => a.d - b.d);
+            const nearest = candidates.shift();
+            if (nearest.d > found[found.length - 1].d) break;
+
+            neighboursOf(nearest.id).forEach(id => {
+                if (visited.has(id)) return;
+                visited.add(id);
+                const d = distanceTo(id);
+                if (found.length < ef || d < found[found.length - 1].d) {
+                    candidates.push({ id, d });
+                    found.push({ id, d });
+                    found.sort((a, b) => a.d - b.d);
+                    if (found.length > ef) found.pop();
+                }
+            });
+            if (onExpand) onExpand({ current: nearest.id, visited: [...visited], candidates: found.map(c => c.id) });
+        }
+        return { found, visited: [...visited] };
+    }
+
+    // The paper's neighbour heuristic: nearest candidates first, each kept only if it is closer to
+    // the base point than to every neighbour already kept, so links fan out instead of clustering
+    function selectHnswNeighbours(candidates, count, distance) {
+        const kept = [];
+        for (const candidate of candidates) {
+            if (kept.length >= count) break;
+            if (kept.every(k => candidate.d < distance(candidate.id, k.id))) kept.push(candidate);
+        }
+        return kept;
+    }
+
+    // Inserts every point in order. Links are directed, as in hnswlib: each point owns one list per
+    // layer. Every link records the step it was added and the step it was pruned, so the replay can
+    // show the graph after any number of insertions.
+    function buildHnsw(points, { M, efConstruction }) {
+        const mL = 1 / Math.log(M);
+        const maxLinks = layer => (layer === 0 ? 2 * M : M);
+        const neighbours = [];
+        const links = new Map();
+        const traces = [];
+        let entry = null;
+        let top = -1;
+        let distances = 0;
+        const distance = (a, b) => {
+            distances++;
+            return Math.hypot(points[a].x - points[b].x, points[a].y - points[b].y);
+        };
+
+        points.forEach((point, id) => {
+            const step = id + 1;
+            const level = Math.floor(-Math.log(point.u) * mL);
+            const trace = { id, level, first: entry === null, descent: [], layers: [], promoted: level > top };
+            const before = distances;
+            neighbours[id] = d3.range(level + 1).map(() => []);
+
+            if (entry !== null) {
+                const distanceTo = other => distance(id, other);
+                let entryPoints = [entry];
+                for (let layer = top; layer > level; layer--) {
+                    const { found, visited } = searchHnswLayer(distanceTo, n => neighbours[n][layer], entryPoints, 1);
+                    trace.descent.push({ layer, from: entryPoints[0], to: found[0].id, visited });
+                    entryPoints = [found[0].id];
+                }
+
+                for (let layer = Math.min(top, level); layer >= 0; layer--) {
+                    const { found, visited } = searchHnswLayer(distanceTo, n => neighbours[n][layer], entryPoints, efConstruction);
+                    const chosen = selectHnswNeighbours(found, M, distance).map(c => c.id);
+                    const pruned = [];
+
+                    chosen.forEach(other => {
+                        [[id, other], [other, id]].forEach(([from, to]) => {
+                            neighbours[from][layer].push(to);
+                            links.set(`${layer}:${from}:${to}`, { layer, from, to, added: step, removed: Infinity });
+                        });
+
+                        // An overfull list is re-selected with the same heuristic
+                        const list = neighbours[other][layer];
+                        if (list.length <= maxLinks(layer)) return;
+                        const ranked = d3.sort(list.map(n => ({ id: n, d: distance(other, n) })), c => c.d);
+                        const keep = new Set(selectHnswNeighbours(ranked, maxLinks(layer), distance).map(c => c.id));
+                        neighbours[other][layer] = list.filter(n => keep.has(n));
+                        list.filter(n => !keep.has(n)).forEach(n => {
+                            links.get(`${layer}:${other}:${n}`).removed = step;
+                            pruned.push({ from: other, to: n });
+                        });
+                    });
+
+                    trace.layers.push({ layer, visited, candidates: found.map(c => c.id), chosen, pruned });
+                    entryPoints = found.map(c => c.id);
+                }
+            }
+
+            if (level > top) {
+                entry = id;
+                top = level;
+            }
+            trace.entry = entry;
+            trace.top = top;
+            trace.distances = distances - before;
+            traces.push(trace);
+        });
+
+        return { M, efConstruction, mL, maxLinks, links: [...links.values()], neighbours, traces, entry, top };
+    }
+
+    // Greedy descent to layer 1 with a one-wide search, then the base layer efSearch wide. Like
+    // hnswlib, the base-layer width is never below k.
+    function searchHnsw(index, points, query, { efSearch, k }, record = false) {
+        let distances = 0;
+        const distanceTo = id => {
+            distances++;
+            return Math.hypot(points[id].x - query.x, points[id].y - query.y);
+        };
+        const frames = [];
+        let entryPoints = [index.entry];
+        let found = [];
+
+        for (let layer = index.top; layer >= 0; layer--) {
+            const onExpand = record ? expansion => frames.push({ layer, ...expansion, distances }) : null;
+            found = searchHnswLayer(distanceTo, id => index.neighbours[id][layer], entryPoints,
+                layer === 0 ? Math.max(efSearch, k) : 1, onExpand).found;
+            entryPoints = layer === 0 ? found.map(c => c.id) : [found[0].id];
+        }
+
+        const results = found.slice(0, k).map(c => c.id);
+        return { results, distances, frames };
+    }
+
+    function exactHnswNeighbours(points, query, k) {
+        return d3.sort(points, p => Math.hypot(p.x - query.x, p.y - query.y)).slice(0, k).map(p => p.id);
+    }
+
+    function hnswRecall(results, exact) {
+        const truth = new Set(exact);
+        return results.filter(id => truth.has(id)).length / exact.length;
+    }
+
+    function runHnswSearch() {
+        const { index, points, query, params } = hnsw;
+        if (!index) return;
+        const k = Math.min(params.k, points.length);
+        const search = searchHnsw(index, points, query, { efSearch: params.efSearch, k }, true);
+        const exact = exactHnswNeighbours(points, query, k);
+        const final = search.frames[search.frames.length - 1];
+        search.frames.push({ ...final, current: null, done: true });
+        hnsw.search = { ...search, exact, k, recall: hnswRecall(search.results, exact) };
+        hnsw.frame = search.frames.length - 1;
+    }
+
+    // The same random queries at every efSearch: mean recall@k rises while the distance
+    // computations (the latency) keep climbing
+    function computeHnswSweep() {
+        const { index, points, params } = hnsw;
+        const k = Math.min(params.k, points.length);
+        const random = d3.randomLcg(hnsw.seed);
+        const queries = d3.range(HNSW_SWEEP_QUERIES).map(() => {
+            const query = { x: random(), y: random() };
+            return { query, exact: exactHnswNeighbours(points, query, k) };
+        });
+        hnsw.sweep = d3.range(1, HNSW_SWEEP_MAX_EF + 1).map(efSearch => {
+            const runs = queries.map(({ query, exact }) => {
+                const { results, distances } = searchHnsw(index, points, query, { efSearch, k });
+                return { recall: hnswRecall(results, exact), distances };
+            });
+            return { efSearch, recall: d3.mean(runs, r => r.recall), distances: d3.mean(runs, r => r.distances) };
+        });
+    }
+
+    function initHnsw() {
+        const panel = document.getElementById('hnswPanel');
+        if (!panel) return;
+
+        const params = hnsw.params;
+        panel.querySelectorAll('.hnsw-controls [name]').forEach(input => {
+            const name = input.name;
+            const output = panel.querySelector(`output[for="${input.id}"]`);
+            params[name] = Number(input.value);
+            if (output) output.textContent = params[name];
+
+            input.addEventListener('input', () => {
+                params[name] = Number(input.value);
+                if (output) output.textContent = params[name];
+                if (name === 'points') {
+                    regenerateHnsw();
+                } else if (name === 'efSearch') {
+                    showHnswSearch();
+                } else if (name === 'k') {
+                    computeHnswSweep();
+                    drawHnswSweep();
+                    showHnswSearch();
+                } else {
+                    rebuildHnsw();
+                }
+            });
+        });
+
+        // The build replay and the query search share the graph; each set of buttons takes it over
+        const buildMode = () => {
+            if (hnsw.mode === 'build') return;
+            hnsw.mode = 'build';
+            hnsw.running = false;
+            stopHnsw();
+        };
+        const searchMode = () => {
+            if (hnsw.mode === 'search') return;
+            hnsw.mode = 'search';
+            hnsw.running = false;
+            stopHnsw();
+            hnsw.step = hnsw.points.length;
+        };
+
+        panel.querySelector('[data-action="toggle"]').addEventListener('click', () => {
+            buildMode();
+            if (hnsw.step >= hnsw.points.length) hnsw.step = 0;
+            hnsw.running = !hnsw.running;
+            if (hnsw.running) startHnsw();
+            else stopHnsw();
+            renderHnsw();
+        });
+
+        panel.querySelector('[data-action="step"]').addEventListener('click', () => {
+            buildMode();
+            hnsw.running = false;
+            stopHnsw();
+            if (hnsw.step >= hnsw.points.length) hnsw.step = 0;
+            hnsw.step++;
+            renderHnsw();
+        });
+
+        panel.querySelector('[data-action="reset"]').addEventListener('click', () => {
+            buildMode();
+            hnsw.running = false;
+            stopHnsw();
+            hnsw.step = 0;
+            renderHnsw();
+        });
+
+        panel.querySelector('[data-action="generate"]').addEventListener('click', () => {
+            hnsw.seed++;
+            regenerateHnsw();
+        });
+
+        panel.querySelector('[data-action="search"]').addEventListener('click', () => {
+            searchMode();
+            if (hnsw.frame >= hnsw.search.frames.length - 1) hnsw.frame = 0;
+            hnsw.running = !hnsw.running;
+            if (hnsw.running) startHnsw();
+            else stopHnsw();
+            renderHnsw();
+        });
+
+        panel.querySelector('[data-action="search-step"]').addEventListener('click', () => {
+            searchMode();
+            hnsw.running = false;
+            stopHnsw();
+            if (hnsw.frame >= hnsw.search.frames.length - 1) hnsw.frame = -1;
+            hnsw.frame++;
+            renderHnsw();
+        });
+
+        hnsw.points = generateHnswPoints(params.points, hnsw.seed);
+        hnsw.index = buildHnsw(hnsw.points, params);
+        hnsw.step = hnsw.points.length;
+        runHnswSearch();
+        computeHnswSweep();
+        drawHnswSweep();
+        renderHnsw();
+    }
+
+    function regenerateHnsw() {
+        hnsw.points = generateHnswPoints(hnsw.params.points, hnsw.seed);
+        hnsw.step = hnsw.points.length;
+        rebuildHnsw();
+    }
+
+    // New parameters rebuild from the same points; a finished replay stays finished, and the
+    // query is searched again on the new index
+    function rebuildHnsw() {
+        const atEnd = !hnsw.index || hnsw.step >= hnsw.index.traces.length;
+        hnsw.index = buildHnsw(hnsw.points, hnsw.params);
+        hnsw.step = atEnd ? hnsw.points.length : Math.min(hnsw.step, hnsw.points.length);
+        if (hnsw.mode === 'search') {
+            hnsw.running = false;
+            stopHnsw();
+        }
+        runHnswSearch();
+        computeHnswSweep();
+        drawHnswSweep();
+        if (hnsw.view) drawHnswGraph();
+        renderHnsw();
+    }
+
+    // A clicked point joins the end of the insertion order and is replayed as the latest insert
+    function addHnswPoint(x, y) {
+        if (hnsw.points.length >= HNSW_MAX_POINTS) return;
+        if (!hnsw.random) hnsw.random = d3.randomLcg(hnsw.seed);
+        hnsw.points = [...hnsw.points, createHnswPoint(hnsw.points.length, x, y)];
+        hnsw.mode = 'build';
+        hnsw.running = false;
+        stopHnsw();
+        hnsw.step = hnsw.points.length;
+        rebuildHnsw();
+    }
+
+    // Moving the query or changing efSearch shows the finished search straight away
+    function showHnswSearch() {
+        hnsw.mode = 'search';
+        hnsw.running = false;
+        stopHnsw();
+        hnsw.step = hnsw.points.length;
+        runHnswSearch();
+        renderHnsw();
+    }
+
+    function moveHnswQuery(x, y) {
+        hnsw.query = { x: Math.max(0, Math.min(1, x)), y: Math.max(0, Math.min(1, y)) };
+        showHnswSearch();
+    }
+
+    function startHnsw() {
+        if (!hnsw.running || !hnsw.view) return;
+        // Without motion the build or search jumps straight to its end
+        if (prefersReducedMotion()) {
+            if (hnsw.mode === 'search') hnsw.frame = hnsw.search.frames.length - 1;
+            else hnsw.step = hnsw.points.length;
+            hnsw.running = false;
+            renderHnsw();
+            return;
+        }
+        if (hnsw.mode === 'search') scheduleAnimation('hnswVisualization', HNSW_SEARCH_TICK_MS, tickHnswSearch);
+        else scheduleAnimation('hnswVisualization', HNSW_TICK_MS, tickHnsw);
+    }
+
+    function stopHnsw() {
+        cancelAnimation('hnswVisualization');
+    }
+
+    function tickHnsw() {
+        hnsw.step = Math.min(hnsw.step + 1, hnsw.points.length);
+        if (hnsw.step >= hnsw.points.length) {
+            hnsw.running = false;
+            stopHnsw();
+        }
+        renderHnsw();
+    }
+
+    function tickHnswSearch() {
+        const last = hnsw.search.frames.length - 1;
+        hnsw.frame = Math.min(hnsw.frame + 1, last);
+        if (hnsw.frame >= last) {
+            hnsw.running = false;
+            stopHnsw();
+        }
+        renderHnsw();
+    }
 
     function initHNSWVisualization() {
+        if (!hnsw.index) {
+            hnsw.points = generateHnswPoints(hnsw.params.points, hnsw.seed);
+            hnsw.index = buildHnsw(hnsw.points, hnsw.params);
+            hnsw.step = hnsw.points.length;
+            runHnswSearch();
+        }
+        drawHnswGraph();
+        startHnsw();
+    }
+
+    // Upper layers stack down the left, highest first; the base layer fills the right
+    function hnswPanels(top, width, height) {
+        const gap = 10;
+        if (top === 0) return [{ layer: 0, x: 0, y: 0, w: width, h: height }];
+        const side = Math.round(width * 0.34);
+        const h = (height - gap * (top - 1)) / top;
+        return [
+            ...d3.range(top, 0, -1).map((layer, i) => ({ layer, x: 0, y: i * (h + gap), w: side - gap, h })),
+            { layer: 0, x: side, y: 0, w: width - side, h: height }
+        ];
+    }
+
+    function hnswColor(layer) {
+        return HNSW_LAYER_COLORS[Math.min(layer, HNSW_LAYER_COLORS.length - 1)];
+    }
+
+    // One square plane per layer, so distances look the same on every layer
+    function drawHnswGraph() {
         const container = document.getElementById('hnswVisualization');
-        if (!container || typeof d3 === 'undefined') return;
+        const index = hnsw.index;
+        if (!container || typeof d3 === 'undefined' || !index) return;
 
         const width = container.clientWidth || 700;
-        const height = 400;
+        const height = Math.max(HNSW_HEIGHT, index.top * HNSW_LAYER_HEIGHT);
+        const header = 22;
+        const pad = 10;
 
-        // Clear any existing content
         container.innerHTML = '';
-
-        const svg = d3.select('#hnswVisualization')
+        const svg = d3.select(container)
             .append('svg')
             .attr('width', '100%')
             .attr('height', height)
             .attr('viewBox', `0 0 ${width} ${height}`);
 
-        // HNSW layer data
-        const layers = [
-            { level: 2, label: 'Layer 2 (Top)', y: 50, nodes: 3, color: '#ef4444' },
-            { level: 1, label: 'Layer 1', y: 160, nodes: 8, color: '#f59e0b' },
-            { level: 0, label: 'Layer 0 (Base)', y: 280, nodes: 20, color: '#6366f1' }
-        ];
+        const panels = hnswPanels(index.top, width, height).map(panel => {
+            const size = Math.max(10, Math.min(panel.w - pad * 2, panel.h - header - pad));
+            const left = panel.x + (panel.w - size) / 2;
+            const top = panel.y + header + (panel.h - header - pad - size) / 2;
+            const color = hnswColor(panel.layer);
+            const g = svg.append('g').attr('class', 'hnsw-layer');
+
+            const background = g.append('rect')
+                .attr('x', panel.x)
+                .attr('y', panel.y)
+                .attr('width', panel.w)
+                .attr('height', panel.h)
+                .attr('rx', 8)
+                .attr('fill', color)
+                .attr('fill-opacity', 0.08)
+                .attr('stroke', color)
+                .attr('stroke-opacity', 0.3);
 
-        // Generate nodes for each layer
-        const allNodes = [];
-        const layerConnections = [];
-
-        layers.forEach(layer => {
-            const nodeSpacing = (width - 100) / (layer.nodes + 1);
-            for (let i = 0; i < layer.nodes; i++) {
-                const node = {
-                    id: `L${layer.level}-N${i}`,
-                    x: 50 + nodeSpacing * (i + 1),
-                    y: layer.y,
-                    level: layer.level,
-                    color: layer.color
-                };
-                allNodes.push(node);
-            }
+            g.append('text')
+                .attr('class', 'hnsw-layer-label')
+                .attr('x', panel.x + 10)
+                .attr('y', panel.y + 16)
+                .attr('fill', color)
+                .attr('font-size', '12px')
+                .attr('font-weight', '500');
+
+            return {
+                ...panel,
+                color,
+                background,
+                x: d3.scaleLinear([0, 1], [left, left + size]),
+                y: d3.scaleLinear([0, 1], [top, top + size]),
+                label: g.select('.hnsw-layer-label'),
+                links: g.append('g').attr('class', 'hnsw-links'),
+                marks: g.append('g').attr('class', 'hnsw-marks'),
+                nodes: g.append('g').attr('class', 'hnsw-nodes'),
+                query: g.append('circle')
+                    .attr('class', 'hnsw-query')
+                    .attr('r', 7)
+                    .attr('fill', HNSW_COLORS.query)
+                    .attr('stroke', '#fff')
+                    .attr('stroke-width', 2)
+                    .attr('cursor', 'move')
+            };
         });
+        const hover = svg.append('g').attr('class', 'hnsw-hover').attr('pointer-events', 'none');
 
-        // Create connections within layers
-        layers.forEach(layer => {
-            const layerNodes = allNodes.filter(n => n.level === layer.level);
-            for (let i = 0; i < layerNodes.length - 1; i++) {
-                // Connect to nearby neighbors (skip some for visual clarity)
-                if (i % 2 === 0 || layer.level > 0) {
-                    layerConnections.push({
-                        source: layerNodes[i],
-                        target: layerNodes[i + 1],
-                        level: layer.level
-                    });
-                }
-                // Long-range connections
-                if (layer.level > 0 && i + 2 < layerNodes.length) {
-                    layerConnections.push({
-                        source: layerNodes[i],
-                        target: layerNodes[i + 2],
-                        level: layer.level,
-                        longRange: true
-                    });
-                }
-            }
+        // The query can be dragged on any layer, or moved with the arrow keys on the base layer
+        panels.forEach(panel => {
+            panel.query.call(d3.drag()
+                .on('start', hideTooltip)
+                .on('drag', event => moveHnswQuery(panel.x.invert(event.x), panel.y.invert(event.y))));
         });
 
-        // Create vertical connections between layers
-        const verticalConnections = [];
-        const layer2Nodes = allNodes.filter(n => n.level === 2);
-        const layer1Nodes = allNodes.filter(n => n.level === 1);
-        const layer0Nodes = allNodes.filter(n => n.level === 0);
+        // Clicking the base layer inserts a point there
+        const base = panels[panels.length - 1];
+        base.background
+            .attr('cursor', 'crosshair')
+            .on('click', event => {
+                const [px, py] = d3.pointer(event);
+                const clamp = value => Math.max(0, Math.min(1, value));
+                addHnswPoint(clamp(base.x.invert(px)), clamp(base.y.invert(py)));
+            });
 
-        layer2Nodes.forEach((node, i) => {
-            // Connect to nearby nodes in layer 1
-            const targetIndex = Math.floor(i * (layer1Nodes.length / layer2Nodes.length));
-            if (layer1Nodes[targetIndex]) {
-                verticalConnections.push({
-                    source: node,
-                    target: layer1Nodes[targetIndex]
-                });
-            }
+        const queryLabel = base.query.node().parentNode.appendChild(document.createElementNS(d3.namespaces.svg, 'text'));
+        base.queryLabel = d3.select(queryLabel)
+            .attr('text-anchor', 'middle')
+            .attr('fill', HNSW_COLORS.query)
+            .attr('font-size', '11px')
+            .attr('font-weight', '600')
+            .attr('pointer-events', 'none')
+            .text('Query');
+        base.query
+            .attr('tabindex', 0)
+            .attr('role', 'img')
+            .attr('aria-label', 'Query point: drag it, or use the arrow keys to move it and search again')
+            .on('keydown', event => {
+                const moves = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+                const move = moves[event.key];
+                if (!move) return;
+                event.preventDefault();
+                moveHnswQuery(hnsw.query.x + move[0] * 0.02, hnsw.query.y + move[1] * 0.02);
+            });
+        base.results = base.marks.append('g').attr('class', 'hnsw-result-links');
+
+        hnsw.view = { svg, panels, hover };
+        updateHnswGraph();
+
+        const finalLinks = index.links.filter(link => link.layer === 0 && link.removed === Infinity)
+            .map(link => ({ source: link.from, target: link.to }));
+        makeGraphAccessible(container, svg, {
+            label: `HNSW index of ${hnsw.points.length} points on ${index.top + 1} layers, base layer shown`,
+            nodes: base.nodes.selectAll('circle'),
+            links: finalLinks,
+            id: d => d.id,
+            name: d => `Point ${d.id}`,
+            describe: d => `top layer ${index.traces[d.id].level}`,
+            tooltip: hnswTooltip,
+            directed: false
         });
+    }
 
-        layer1Nodes.forEach((node, i) => {
-            // Connect to nearby nodes in layer 0
-            const targetIndex = Math.floor(i * (layer0Nodes.length / layer1Nodes.length));
-            if (layer0Nodes[targetIndex]) {
-                verticalConnections.push({
-                    source: node,
-                    target: layer0Nodes[targetIndex]
-                });
-            }
+    function hnswTooltip(d) {
+        const { neighbours, traces } = hnsw.index;
+        const lists = neighbours[d.id].map((list, layer) => `Layer ${layer}: ${list.map(n => `#${n}`).join(', ') || 'none'}`);
+        return `<strong>Point #${d.id}</strong><br>Top layer ${traces[d.id].level}<br>${lists.reverse().join('<br>')}`;
+    }
+
+    // What to highlight on each layer for the latest insert: where it searched, what it kept and
+    // linked, and above its own top layer only the greedy step it passed through
+    function hnswInsertHighlights(index, step) {
+        const trace = step > 0 ? index.traces[step - 1] : null;
+        const layers = new Map();
+        if (!trace) return { layers };
+        trace.descent.forEach(d => layers.set(d.layer, { visited: d.visited, path: [d.from, d.to], ghost: true }));
+        trace.layers.forEach(l => layers.set(l.layer, { visited: l.visited, candidates: l.candidates, pruned: l.pruned }));
+        return { focus: trace.id, layers };
+    }
+
+    // The query's search up to hnsw.frame: the greedy path on each upper layer, then the base-layer
+    // candidate list, and once it finishes the k results against the exact neighbours
+    function hnswSearchHighlights(search, frame) {
+        const layers = new Map();
+        search.frames.slice(0, frame + 1).forEach(f => {
+            const layer = layers.get(f.layer) || { path: [] };
+            layer.visited = f.visited;
+            layer.candidates = f.candidates;
+            layer.current = f.current;
+            if (f.layer > 0) layer.path.push(f.current);
+            layers.set(f.layer, layer);
         });
+        const done = search.frames[frame].done;
+        return { layers, results: done ? search.results : [], exact: done ? search.exact : [] };
+    }
 
-        // Draw layer backgrounds
-        layers.forEach(layer => {
-            svg.append('rect')
-                .attr('x', 30)
-                .attr('y', layer.y - 30)
-                .attr('width', width - 60)
-                .attr('height', 60)
-                .attr('rx', 8)
-                .attr('fill', layer.color)
-                .attr('fill-opacity', 0.1)
-                .attr('stroke', layer.color)
-                .attr('stroke-opacity', 0.3);
+    // Shows the index after hnsw.step insertions, highlighting the latest insert or the query search
+    function updateHnswGraph() {
+        const view = hnsw.view;
+        const index = hnsw.index;
+        if (!view || !index) return;
+
+        const step = hnsw.step;
+        const complete = step >= hnsw.points.length;
+        const searching = hnsw.mode === 'search' && complete && hnsw.search;
+        const highlights = searching ? hnswSearchHighlights(hnsw.search, hnsw.frame) : hnswInsertHighlights(index, step);
+        const trace = step > 0 ? index.traces[step - 1] : null;
+        const inserted = id => id < step;
+        const live = index.links.filter(link => link.added <= step && link.removed > step);
+        const results = new Set(highlights.results || []);
+        const missed = new Set((highlights.exact || []).filter(id => !results.has(id)));
+        const focus = highlights.focus === undefined ? null : hnsw.points[highlights.focus];
+
+        view.panels.forEach(panel => {
+            const layer = panel.layer;
+            const highlight = highlights.layers.get(layer) || {};
+            const visited = new Set(highlight.visited || []);
+            const candidates = new Set(highlight.candidates || []);
+            const count = hnsw.points.filter(p => inserted(p.id) && index.traces[p.id].level >= layer).length;
+
+            let label = `Layer ${layer}${layer === 0 ? ' (base)' : ''} · ${count} point${count === 1 ? '' : 's'}`;
+            if (trace && layer === trace.top) label += ` · entry #${trace.entry}`;
+            panel.label.text(label);
+
+            // Undirected for display: a pair is drawn while either point still lists the other
+            const pairs = new Map();
+            live.filter(link => link.layer === layer).forEach(link => {
+                const key = `${Math.min(link.from, link.to)}-${Math.max(link.from, link.to)}`;
+                const pair = pairs.get(key) || { key, a: link.from, b: link.to, state: 'old' };
+                if (!searching && link.added === step) pair.state = 'linked';
+                pairs.set(key, pair);
+            });
+            // A pruned link stays drawn this step even if the other point still lists it
+            (highlight.pruned || []).forEach(({ from, to }) => {
+                const key = `${Math.min(from, to)}-${Math.max(from, to)}`;
+                const pair = pairs.get(key) || { key, a: from, b: to };
+                if (pair.state !== 'linked') pair.state = 'pruned';
+                pairs.set(key, pair);
+            });
 
-            svg.append('text')
-                .text(layer.label)
-                .attr('x', 45)
-                .attr('y', layer.y - 12)
-                .attr('fill', layer.color)
-                .attr('font-size', '12px')
-                .attr('font-weight', '500');
+            panel.links.selectAll('line')
+                .data([...pairs.values()], d => d.key)
+                .join('line')
+                .attr('x1', d => panel.x(hnsw.points[d.a].x))
+                .attr('y1', d => panel.y(hnsw.points[d.a].y))
+                .attr('x2', d => panel.x(hnsw.points[d.b].x))
+                .attr('y2', d => panel.y(hnsw.points[d.b].y))
+                .attr('stroke', d => HNSW_COLORS[d.state] || '#64748b')
+                .attr('stroke-width', d => (d.state === 'old' ? 1 : 2))
+                .attr('stroke-opacity', d => (d.state === 'old' ? 0.5 : 0.9))
+                .attr('stroke-dasharray', d => (d.state === 'pruned' ? '4,3' : null));
+
+            // The greedy path, and above an inserted point's top layer a ghost where it passes through
+            const marks = [];
+            const path = (highlight.path || []).filter((id, i, list) => id !== list[i - 1]);
+            if (path.length > 1) marks.push({ key: 'path', type: 'path', points: path.map(id => hnsw.points[id]) });
+            if (highlight.ghost) marks.push({ key: 'ghost', type: 'ghost', x: focus.x, y: focus.y });
+            panel.marks.selectAll('.hnsw-mark')
+                .data(marks, d => d.key)
+                .join(enter => enter.append(d => document.createElementNS(d3.namespaces.svg, d.type === 'ghost' ? 'circle' : 'path'))
+                    .attr('class', 'hnsw-mark'))
+                .each(function(d) {
+                    const mark = d3.select(this);
+                    if (d.type === 'ghost') {
+                        mark.attr('cx', panel.x(d.x)).attr('cy', panel.y(d.y)).attr('r', 7)
+                            .attr('fill', 'none')
+                            .attr('stroke', '#fff')
+                            .attr('stroke-dasharray', '3,2');
+                    } else {
+                        mark.attr('d', d3.line().x(p => panel.x(p.x)).y(p => panel.y(p.y))(d.points))
+                            .attr('fill', 'none')
+                            .attr('stroke', '#fff')
+                            .attr('stroke-width', 2);
+                    }
+                });
+
+            const radius = layer === 0 ? 4 : 5;
+            const isFocus = d => focus && d.id === focus.id;
+            const ring = d => {
+                if ((layer === 0 && results.has(d.id)) || isFocus(d)) return { color: HNSW_COLORS.result, width: 2.5 };
+                if (layer === 0 && missed.has(d.id)) return { color: HNSW_COLORS.missed, width: 2.5, dash: '2,2' };
+                if (d.id === highlight.current) return { color: '#fff', width: 2.5 };
+                if (candidates.has(d.id)) return { color: HNSW_COLORS.candidate, width: 2 };
+                if (visited.has(d.id)) return { color: HNSW_COLORS.visited, width: 2 };
+                return { color: '#0f172a', width: 1 };
+            };
+            panel.nodes.selectAll('circle')
+                .data(hnsw.points.filter(p => index.traces[p.id].level >= layer), d => d.id)
+                .join('circle')
+                .attr('cx', d => panel.x(d.x))
+                .attr('cy', d => panel.y(d.y))
+                .attr('visibility', d => (inserted(d.id) ? null : 'hidden'))
+                .attr('r', d => (isFocus(d) || (layer === 0 && results.has(d.id)) ? radius + 2 : radius))
+                .attr('fill', d => (isFocus(d) ? '#fff' : panel.color))
+                .attr('stroke', d => ring(d).color)
+                .attr('stroke-width', d => ring(d).width)
+                .attr('stroke-dasharray', d => ring(d).dash || null)
+                .attr('cursor', 'pointer')
+                .on('mouseover', (event, d) => {
+                    showTooltip(event, hnswTooltip(d));
+                    view.hover.selectAll('circle')
+                        .data(view.panels.filter(p => index.traces[d.id].level >= p.layer))
+                        .join('circle')
+                        .attr('cx', p => p.x(d.x))
+                        .attr('cy', p => p.y(d.y))
+                        .attr('r', 9)
+                        .attr('fill', 'none')
+                        .attr('stroke', '#fff')
+                        .attr('stroke-width', 1.5);
+                })
+                .on('mouseout', () => {
+                    hideTooltip();
+                    view.hover.selectAll('*').remove();
+                });
+
+            // The query sits on every layer once the index is built
+            panel.query
+                .attr('display', complete ? null : 'none')
+                .attr('cx', panel.x(hnsw.query.x))
+                .attr('cy', panel.y(hnsw.query.y))
+                .raise();
         });
 
-        // Draw vertical connections first (behind everything)
-        svg.append('g')
-            .attr('class', 'vertical-connections')
-            .selectAll('line')
-            .data(verticalConnections)
+        const base = view.panels[view.panels.length - 1];
+        base.queryLabel
+            .attr('display', complete ? null : 'none')
+            .attr('x', base.x(hnsw.query.x))
+            .attr('y', base.y(hnsw.query.y) - 12)
+            .raise();
+        base.results.selectAll('line')
+            .data([...results], id => id)
             .join('line')
-            .attr('x1', d => d.source.x)
-            .attr('y1', d => d.source.y)
-            .attr('x2', d => d.target.x)
-            .attr('y2', d => d.target.y)
-            .attr('stroke', '#475569')
-            .attr('stroke-width', 1)
-            .attr('stroke-dasharray', '4,4')
-            .attr('stroke-opacity', 0.5);
+            .attr('x1', base.x(hnsw.query.x))
+            .attr('y1', base.y(hnsw.query.y))
+            .attr('x2', id => base.x(hnsw.points[id].x))
+            .attr('y2', id => base.y(hnsw.points[id].y))
+            .attr('stroke', HNSW_COLORS.result)
+            .attr('stroke-width', 1.5)
+            .attr('stroke-dasharray', '2,2');
+    }
 
-        // Draw layer connections
-        svg.append('g')
-            .attr('class', 'layer-connections')
-            .selectAll('line')
-            .data(layerConnections)
-            .join('line')
-            .attr('x1', d => d.source.x)
-            .attr('y1', d => d.source.y)
-            .attr('x2', d => d.target.x)
-            .attr('y2', d => d.target.y)
-            .attr('stroke', d => d.longRange ? '#22d3ee' : '#64748b')
-            .attr('stroke-width', d => d.longRange ? 2 : 1.5)
-            .attr('stroke-opacity', d => d.longRange ? 0.8 : 0.6);
+    function describeHnswInsert(trace) {
+        if (!trace) return 'The index is empty. Press Build to insert the points one at a time.';
+        const ids = list => list.map(id => `#${id}`).join(', ');
+        const count = (n, noun) => `${n} ${noun}${n === 1 ? '' : 's'}`;
+        const parts = [`Point #${trace.id} drew top layer ${trace.level}.`];
+        if (trace.first) {
+            parts.push('It is the first point, so it becomes the entry point.');
+            return parts.join(' ');
+        }
+        trace.descent.forEach(d => {
+            parts.push(d.from === d.to
+                ? `Layer ${d.layer}: greedy search stays at #${d.from}.`
+                : `Layer ${d.layer}: greedy search moves from #${d.from} to #${d.to}.`);
+        });
+        trace.layers.forEach(l => {
+            const pruned = l.pruned.length ? `, pruning ${count(l.pruned.length, 'link')} from full lists` : '';
+            parts.push(`Layer ${l.layer}: visited ${l.visited.length}, kept ${count(l.candidates.length, 'candidate')}, ` +
+                `linked to ${ids(l.chosen) || 'nothing'}${pruned}.`);
+        });
+        if (trace.promoted) parts.push('No point reached this layer before, so it becomes the new entry point.');
+        parts.push(`${count(trace.distances, 'distance computation')}.`);
+        return parts.join(' ');
+    }
 
-        // Draw nodes
-        svg.append('g')
-            .attr('class', 'nodes')
-            .selectAll('circle')
-            .data(allNodes)
-            .join('circle')
-            .attr('cx', d => d.x)
-            .attr('cy', d => d.y)
-            .attr('r', d => d.level === 2 ? 10 : d.level === 1 ? 8 : 6)
-            .attr('fill', d => d.color)
-            .attr('stroke', '#fff')
-            .attr('stroke-width', 2)
-            .attr('cursor', 'pointer')
-            .on('mouseover', function(event, d) {
-                d3.select(this)
-                    .transition()
-                    .duration(200)
-                    .attr('r', (d.level === 2 ? 10 : d.level === 1 ? 8 : 6) + 4);
+    function renderHnsw() {
+        const index = hnsw.index;
+        if (!index) return;
+        updateHnswGraph();
+
+        const panel = document.getElementById('hnswPanel');
+        if (!panel) return;
+
+        const step = hnsw.step;
+        const total = hnsw.points.length;
+        const traces = index.traces.slice(0, step);
+        const trace = traces[traces.length - 1];
+        const counts = d3.range(index.top + 1).map(layer => traces.filter(t => t.level >= layer).length);
+        const degrees = d3.range(step).map(id => index.links
+            .filter(link => link.layer === 0 && link.from === id && link.added <= step && link.removed > step).length);
+        const distances = d3.sum(traces, t => t.distances);
+
+        const stats = {
+            inserted: `${step} of ${total}`,
+            layers: counts.filter(Boolean).map((count, layer) => `L${layer} ${count}`).join(' · ') || '–',
+            mL: `${d3.format('.2f')(index.mL)} (1/ln M)`,
+            entry: trace ? `#${trace.entry} on layer ${trace.top}` : '–',
+            degree: step ? `${d3.format('.1f')(d3.mean(degrees))} avg, ${d3.max(degrees)} max (cap ${index.maxLinks(0)})` : '–',
+            distances: step ? `${d3.format(',')(distances)} (brute force ${d3.format(',')(step * (step - 1) / 2)})` : '–'
+        };
+        Object.entries(stats).forEach(([key, text]) => {
+            const el = panel.querySelector(`[data-stat="${key}"]`);
+            if (el) el.textContent = text;
+        });
+        panel.querySelector('.hnsw-insert-note').textContent = describeHnswInsert(trace);
 
-                // Show tooltip
-                showTooltip(event, `Node ${d.id}<br/>Level: ${d.level}`);
-            })
-            .on('mouseout', function(event, d) {
-                d3.select(this)
-                    .transition()
-                    .duration(200)
-                    .attr('r', d.level === 2 ? 10 : d.level === 1 ? 8 : 6);
+        const building = hnsw.mode === 'build';
+        const toggle = panel.querySelector('[data-action="toggle"]');
+        toggle.textContent = hnsw.running && building ? 'Pause' : (step >= total ? 'Rebuild' : 'Build');
 
-                hideTooltip();
-            });
+        renderHnswSearch(panel);
+    }
 
-        // Add query point animation
-        const queryPoint = svg.append('g')
-            .attr('class', 'query-point');
+    function renderHnswSearch(panel) {
+        const search = hnsw.search;
+        if (!search) return;
+
+        const last = search.frames.length - 1;
+        const frame = search.frames[hnsw.frame];
+        const searching = hnsw.mode === 'search';
+        const format = d3.format('.3f');
+        const distanceOf = id => Math.hypot(hnsw.points[id].x - hnsw.query.x, hnsw.points[id].y - hnsw.query.y);
+
+        const stats = {
+            searchLayer: !searching ? '–' : (frame.done ? 'done' : `layer ${frame.layer}, expanding #${frame.current}`),
+            recall: frame.done || !searching
+                ? `${Math.round(search.recall * search.k)} of ${search.k} (${d3.format('.0%')(search.recall)})`
+                : '–',
+            searchDistances: `${searching && !frame.done ? frame.distances : search.distances} ` +
+                `(brute force ${hnsw.points.length})`,
+            searchVisited: `${searching ? frame.visited.length : search.frames[last].visited.length} on the base layer`
+        };
+        if (searching && frame.layer > 0) stats.searchVisited = `${frame.visited.length} on layer ${frame.layer}`;
+        Object.entries(stats).forEach(([key, text]) => {
+            const el = panel.querySelector(`[data-stat="${key}"]`);
+            if (el) el.textContent = text;
+        });
 
-        queryPoint.append('circle')
-            .attr('cx', width - 80)
-            .attr('cy', 50)
-            .attr('r', 12)
-            .attr('fill', '#22d3ee')
-            .attr('stroke', '#fff')
-            .attr('stroke-width', 3);
+        // The base-layer candidate list so far beside the exact neighbours
+        const shown = searching ? frame : search.frames[last];
+        const candidates = shown.layer === 0 ? shown.candidates.slice(0, search.k) : [];
+        const truth = new Set(search.exact);
+        const found = new Set(candidates);
+        const rows = d3.range(search.k).map(i => ({ rank: i + 1, found: candidates[i], exact: search.exact[i] }));
+        // Matches are only marked once the search reaches the base layer
+        const cell = (id, matched) => (id === undefined ? { text: '–' } : {
+            text: `#${id} (${format(distanceOf(id))})`,
+            className: shown.layer > 0 ? null : (matched ? 'is-match' : 'is-miss')
+        });
+        d3.select(panel)
+            .select('.hnsw-results tbody')
+            .selectAll('tr')
+            .data(rows)
+            .join('tr')
+            .selectAll('td')
+            .data(row => [{ text: row.rank }, cell(row.found, truth.has(row.found)), cell(row.exact, found.has(row.exact))])
+            .join('td')
+            .attr('class', d => d.className || null)
+            .text(d => d.text);
+
+        const toggle = panel.querySelector('[data-action="search"]');
+        toggle.textContent = hnsw.running && searching ? 'Pause' : (searching && hnsw.frame < last ? 'Search' : 'Search again');
+
+        updateHnswSweep(panel);
+    }
 
-        queryPoint.append('text')
-            .text('Query')
-            .attr('x', width - 80)
-            .attr('y', 75)
-            .attr('text-anchor', 'middle')
-            .attr('fill', '#22d3ee')
-            .attr('font-size', '11px')
-            .attr('font-weight', '600');
+    // Mean recall@k and distance computations against efSearch, with the current setting marked
+    function drawHnswSweep() {
+        const panel = document.getElementById('hnswPanel');
+        const container = panel && panel.querySelector('.hnsw-sweep');
+        if (!container || !hnsw.sweep) return;
 
-        // Add legend for connections
-        const legend = svg.append('g')
-            .attr('transform', `translate(${width - 180}, ${height - 60})`);
+        container.innerHTML = '';
+        const width = container.clientWidth || 360;
+        const height = 180;
+        const margin = { top: 24, right: 48, bottom: 32, left: 44 };
+        const sweep = hnsw.sweep;
+        const k = Math.min(hnsw.params.k, hnsw.points.length);
 
-        legend.append('line')
-            .attr('x1', 0).attr('y1', 0)
-            .attr('x2', 30).attr('y2', 0)
-            .attr('stroke', '#64748b')
-            .attr('stroke-width', 2);
+        const svg = d3.select(container)
+            .append('svg')
+            .attr('width', width)
+            .attr('height', height)
+            .attr('role', 'img')
+            .attr('aria-label', `Mean recall at ${k} and distance computations against efSearch over ${HNSW_SWEEP_QUERIES} random queries`);
+
+        const x = d3.scaleLinear().domain([1, HNSW_SWEEP_MAX_EF]).range([margin.left, width - margin.right]);
+        const recall = d3.scaleLinear()
+            .domain([Math.min(0.5, d3.min(sweep, d => d.recall)), 1])
+            .range([height - margin.bottom, margin.top]);
+        const cost = d3.scaleLinear()
+            .domain([0, d3.max(sweep, d => d.distances)])
+            .nice()
+            .range([height - margin.bottom, margin.top]);
 
-        legend.append('text')
-            .text('Local connection')
-            .attr('x', 40).attr('y', 4)
+        svg.append('g')
+            .attr('class', 'sim-axis')
+            .attr('transform', `translate(0, ${height - margin.bottom})`)
+            .call(d3.axisBottom(x).ticks(6));
+        svg.append('g')
+            .attr('class', 'sim-axis')
+            .attr('transform', `translate(${margin.left}, 0)`)
+            .call(d3.axisLeft(recall).ticks(5).tickFormat(d3.format('.0%')));
+        svg.append('g')
+            .attr('class', 'sim-axis')
+            .attr('transform', `translate(${width - margin.right}, 0)`)
+            .call(d3.axisRight(cost).ticks(5));
+        svg.append('text')
+            .attr('x', width - margin.right)
+            .attr('y', height - 4)
+            .attr('text-anchor', 'end')
             .attr('fill', '#94a3b8')
-            .attr('font-size', '10px');
+            .attr('font-size', '10px')
+            .text('efSearch');
+        svg.append('text')
+            .attr('x', 4)
+            .attr('y', 12)
+            .attr('fill', HNSW_COLORS.result)
+            .attr('font-size', '10px')
+            .text(`recall@${k}`);
+        svg.append('text')
+            .attr('x', width - 4)
+            .attr('y', 12)
+            .attr('text-anchor', 'end')
+            .attr('fill', '#f59e0b')
+            .attr('font-size', '10px')
+            .text('distance computations');
 
-        legend.append('line')
-            .attr('x1', 0).attr('y1', 20)
-            .attr('x2', 30).attr('y2', 20)
-            .attr('stroke', '#22d3ee')
-            .attr('stroke-width', 2);
+        svg.append('path')
+            .attr('fill', 'none')
+            .attr('stroke', HNSW_COLORS.result)
+            .attr('stroke-width', 2)
+            .attr('d', d3.line().x(d => x(d.efSearch)).y(d => recall(d.recall))(sweep));
+        svg.append('path')
+            .attr('fill', 'none')
+            .attr('stroke', '#f59e0b')
+            .attr('stroke-width', 2)
+            .attr('d', d3.line().x(d => x(d.efSearch)).y(d => cost(d.distances))(sweep));
 
-        legend.append('text')
-            .text('Long-range connection')
-            .attr('x', 40).attr('y', 24)
-            .attr('fill', '#94a3b8')
-            .attr('font-size', '10px');
+        const marker = svg.append('line')
+            .attr('y1', margin.top)
+            .attr('y2', height - margin.bottom)
+            .attr('stroke', '#f0f0f5')
+            .attr('stroke-dasharray', '3,3');
 
-        legend.append('line')
-            .attr('x1', 0).attr('y1', 40)
-            .attr('x2', 30).attr('y2', 40)
-            .attr('stroke', '#475569')
-            .attr('stroke-dasharray', '4,4')
-            .attr('stroke-width', 1);
+        hnsw.sweepChart = { x, marker };
+    }
 
-        legend.append('text')
-            .text('Cross-layer link')
-            .attr('x', 40).attr('y', 44)
-            .attr('fill', '#94a3b8')
-            .attr('font-size', '10px');
+    function updateHnswSweep(panel) {
+        const chart = hnsw.sweepChart;
+        const ef = hnsw.params.efSearch;
+        if (chart) chart.marker.attr('x1', chart.x(ef)).attr('x2', chart.x(ef));
+
+        const point = hnsw.sweep && hnsw.sweep[ef - 1];
+        const note = panel.querySelector('.hnsw-sweep-note');
+        if (!point || !note) return;
+        note.textContent = `At efSearch ${ef}, ${HNSW_SWEEP_QUERIES} random queries average ` +
+            `${d3.format('.0%')(point.recall)} recall@${Math.min(hnsw.params.k, hnsw.points.length)} for ` +
+            `${d3.format('.0f')(point.distances)} distance computations; brute force always costs ${hnsw.points.length}.`;
     }
 
     // ===========================================
@@ -2001,6 +9684,13 @@
         tooltip.style.opacity = '1';
     }
 
+    // Tooltips are HTML; labels from the topology editor or a Matrix Link import are not
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"]/g, ch => (
+            { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]
+        ));
+    }
+
     function hideTooltip() {
         const tooltip = document.getElementById('d3-tooltip');
         if (tooltip) {
@@ -2008,6 +9698,183 @@
         }
     }
 
+    // ===========================================
+    // GRAPH ACCESSIBILITY
+    // ===========================================
+
+    // Give a rendered graph a screen-reader description and keyboard access to its nodes.
+    // One node per graph sits in the tab order; from there Right follows a link downstream,
+    // Left goes back upstream, Up/Down step between siblings and Home/End jump to the ends.
+    // `links` may name their ends by id or by node datum (after d3.forceLink has run).
+    function makeGraphAccessible(container, svg, { label, nodes, links, id, name, describe, tooltip, directed = true }) {
+        const elements = new Map();
+        const data = new Map();
+        nodes.each(function(d) {
+            elements.set(id(d), this);
+            data.set(id(d), d);
+        });
+        const order = [...elements.keys()];
+
+        // Adjacency in both directions; undirected graphs treat every link as two-way
+        const outgoing = new Map(order.map(key => [key, []]));
+        const incoming = new Map(order.map(key => [key, []]));
+        const listed = new Map(order.map(key => [key, []]));
+        const endId = end => typeof end === 'object' ? id(end) : end;
+        const connect = (map, from, to) => {
+            if (!map.get(from).includes(to)) map.get(from).push(to);
+        };
+        let linkCount = 0;
+
+        links.forEach(link => {
+            const source = endId(link.source);
+            const target = endId(link.target);
+            if (!elements.has(source) || !elements.has(target)) return;
+
+            linkCount++;
+            listed.get(source).push({ target, label: link.label || (link.seq ? `step ${link.seq}` : '') });
+            connect(outgoing, source, target);
+            connect(incoming, target, source);
+            if (!directed) {
+                connect(outgoing, target, source);
+                connect(incoming, source, target);
+            }
+        });
+
+        const nameOf = key => name(data.get(key));
+        const detailOf = key => (describe && describe(data.get(key))) || '';
+
+        // Text alternative: every node with the links leaving it
+        const descriptionId = `${container.id}-description`;
+        const description = d3.select(container)
+            .append('div')
+            .attr('class', 'visually-hidden graph-description')
+            .attr('id', descriptionId);
+
+        description.append('p')
+            .text(`${label}: ${order.length} nodes and ${linkCount} links. ` +
+                'Tab to the graph, then use the arrow keys to follow links.');
+
+        description.append('ul')
+            .selectAll('li')
+            .data(order)
+            .join('li')
+            .text(key => {
+                const detail = detailOf(key);
+                const targets = listed.get(key)
+                    .map(edge => edge.label ? `${nameOf(edge.target)} (${edge.label})` : nameOf(edge.target));
+                const verb = directed ? 'Links to' : 'Connected to';
+                return `${nameOf(key)}${detail ? `: ${detail}` : ''}.` +
+                    (targets.length ? ` ${verb} ${targets.join(', ')}.` : '');
+            });
+
+        svg.attr('role', 'group')
+            .attr('aria-label', label)
+            .attr('aria-describedby', descriptionId);
+
+        function nodeLabel(key) {
+            const parts = [nameOf(key)];
+            const detail = detailOf(key);
+            if (detail) parts.push(detail);
+            if (directed) {
+                if (outgoing.get(key).length) parts.push(`Links to ${outgoing.get(key).map(nameOf).join(', ')}`);
+                if (incoming.get(key).length) parts.push(`Linked from ${incoming.get(key).map(nameOf).join(', ')}`);
+            } else if (outgoing.get(key).length) {
+                parts.push(`Connected to ${outgoing.get(key).map(nameOf).join(', ')}`);
+            }
+            return parts.join('. ');
+        }
+
+        function tooltipHtml(d) {
+            if (tooltip) return tooltip(d);
+            const detail = describe ? describe(d) : '';
+            return `<strong>${escapeHtml(name(d))}</strong>${detail ? `<br>${escapeHtml(detail)}` : ''}`;
+        }
+
+        // Steps taken with the arrow keys, so Left can retrace them and Up/Down know the siblings
+        let trail = [];
+        let navigating = false;
+        let pointerFocus = false;
+
+        function follow(key, dir) {
+            const neighbours = (dir === 'out' ? outgoing : incoming).get(key);
+            const last = trail[trail.length - 1];
+            if (last && last.dir !== dir && neighbours.includes(last.from)) {
+                trail.pop();
+                return last.from;
+            }
+            const next = neighbours.find(k => !last || k !== last.from);
+            if (next === undefined) return null;
+            trail.push({ from: key, dir });
+            return next;
+        }
+
+        function sibling(key, step) {
+            const last = trail[trail.length - 1];
+            const list = last ? (last.dir === 'out' ? outgoing : incoming).get(last.from) : order;
+            const index = list.indexOf(key);
+            if (index === -1 || list.length < 2) return null;
+            return list[(index + step + list.length) % list.length];
+        }
+
+        function moveTo(key) {
+            navigating = true;
+            elements.get(key).focus();
+            navigating = false;
+        }
+
+        nodes.classed('graph-node', true)
+            .attr('tabindex', (d, i) => i === 0 ? 0 : -1)
+            .each(function(d) {
+                if (!this.hasAttribute('role')) this.setAttribute('role', 'img');
+                if (!this.hasAttribute('aria-label')) this.setAttribute('aria-label', nodeLabel(id(d)));
+            })
+            .on('pointerdown.a11y', function() {
+                pointerFocus = document.activeElement !== this;
+            })
+            .on('focus.a11y', function(event, d) {
+                // Roving tabindex: Tab returns to the last focused node
+                nodes.attr('tabindex', -1);
+                this.setAttribute('tabindex', 0);
+                if (!navigating) trail = [];
+
+                // A click already shows the hover state; keyboard focus replays it with the tooltip
+                if (pointerFocus) {
+                    pointerFocus = false;
+                    return;
+                }
+                replayHover(this, 'mouseover');
+                const box = this.getBoundingClientRect();
+                showTooltip({ clientX: box.right, clientY: box.top }, tooltipHtml(d));
+            })
+            .on('blur.a11y', function() {
+                replayHover(this, 'mouseout');
+                hideTooltip();
+            })
+            .on('keydown.a11y', function(event, d) {
+                const key = id(d);
+                let next;
+                switch (event.key) {
+                    case 'ArrowRight': next = follow(key, 'out'); break;
+                    case 'ArrowLeft': next = follow(key, 'in'); break;
+                    case 'ArrowDown': next = sibling(key, 1); break;
+                    case 'ArrowUp': next = sibling(key, -1); break;
+                    case 'Home': trail = []; next = order[0]; break;
+                    case 'End': trail = []; next = order[order.length - 1]; break;
+                    case 'Escape': hideTooltip(); return;
+                    default: return;
+                }
+                event.preventDefault();
+                if (next && next !== key) moveTo(next);
+            });
+    }
+
+    // Fire a node's mouse hover handlers, wherever in the node they are attached
+    function replayHover(element, type) {
+        const target = element.querySelector('rect, circle') || element;
+        const box = element.getBoundingClientRect();
+        target.dispatchEvent(new MouseEvent(type, { bubbles: true, clientX: box.right, clientY: box.top }));
+    }
+
     // ===========================================
     // D3 DRAG BEHAVIOR (v7 compatible)
     // ===========================================
@@ -2036,6 +9903,383 @@
             .on('end', dragended);
     }
 
+    // ===========================================
+    // D3 ZOOM & MINIMAP
+    // ===========================================
+
+    const ZOOM_EXTENT = [0.4, 4];
+    const ZOOM_STEP = 1.4;
+    const FOCUS_SCALE = 2;
+
+    // Wrap a graph in a pan/zoom viewport with a toolbar and minimap.
+    // Draw into the returned `content` group; `locate(id)` gives a node's position in it.
+    function addZoomControls(container, svg, { id, width, height, items, locate }) {
+        const viewport = svg.append('g').attr('class', 'zoom-viewport');
+        const content = viewport.append('g')
+            .attr('class', 'zoom-content')
+            .attr('id', `${id}-content`);
+
+        const zoom = d3.zoom()
+            .extent([[0, 0], [width, height]])
+            .scaleExtent(ZOOM_EXTENT)
+            // Plain wheel keeps scrolling the page; Ctrl/Cmd + wheel (or pinch) zooms
+            .filter(event => event.type === 'wheel'
+                ? event.ctrlKey || event.metaKey
+                : !event.ctrlKey && !event.button)
+            .on('zoom', event => {
+                viewport.attr('transform', event.transform);
+                updateMinimap(event.transform);
+            });
+
+        svg.call(zoom).on('dblclick.zoom', null);
+
+        // Toolbar
+        const toolbar = d3.select(container)
+            .append('div')
+            .attr('class', 'zoom-toolbar');
+
+        function addButton(html, label, onClick) {
+            toolbar.append('button')
+                .attr('class', 'zoom-btn')
+                .attr('type', 'button')
+                .attr('aria-label', label)
+                .attr('title', label)
+                .html(html)
+                .on('click', onClick);
+        }
+
+        addButton('+', 'Zoom in', () => svg.transition().duration(300).call(zoom.scaleBy, ZOOM_STEP));
+        addButton('&minus;', 'Zoom out', () => svg.transition().duration(300).call(zoom.scaleBy, 1 / ZOOM_STEP));
+        addButton('Fit', 'Fit to view', fit);
+
+        const select = toolbar.append('select')
+            .attr('class', 'zoom-focus')
+            .attr('aria-label', 'Focus node');
+        select.append('option').attr('value', '').text('Focus node…');
+        items.forEach(item => select.append('option').attr('value', item.id).text(item.label));
+        select.on('change', function() {
+            if (this.value) focus(this.value);
+            this.value = '';
+        });
+
+        // Minimap: a live copy of the content with the visible area outlined
+        const minimap = d3.select(container)
+            .append('svg')
+            .attr('class', 'zoom-minimap')
+            .attr('viewBox', `0 0 ${width} ${height}`)
+            .attr('aria-hidden', 'true');
+
+        minimap.append('use').attr('href', `#${id}-content`);
+
+        const frame = minimap.append('rect').attr('class', 'zoom-minimap-frame');
+
+        function updateMinimap(transform) {
+            frame.attr('x', -transform.x / transform.k)
+                .attr('y', -transform.y / transform.k)
+                .attr('width', width / transform.k)
+                .attr('height', height / transform.k);
+        }
+
+        updateMinimap(d3.zoomIdentity);
+
+        // Click or drag on the minimap to move the main view there
+        minimap.call(d3.drag()
+            .container(function() { return this; })
+            .on('start drag', event => svg.call(zoom.translateTo, event.x, event.y)));
+
+        function fit() {
+            const box = content.node().getBBox();
+            if (!box.width || !box.height) return;
+
+            const scale = Math.max(ZOOM_EXTENT[0], Math.min(ZOOM_EXTENT[1],
+                0.9 * Math.min(width / box.width, height / box.height)));
+            const transform = d3.zoomIdentity
+                .translate(width / 2, height / 2)
+                .scale(scale)
+                .translate(-(box.x + box.width / 2), -(box.y + box.height / 2));
+
+            svg.transition().duration(750).call(zoom.transform, transform);
+        }
+
+        function focus(nodeId) {
+            const point = locate(nodeId);
+            if (!point) return;
+
+            const transform = d3.zoomIdentity
+                .translate(width / 2, height / 2)
+                .scale(FOCUS_SCALE)
+                .translate(-point.x, -point.y);
+
+            svg.transition().duration(750).call(zoom.transform, transform);
+        }
+
+        return { content, fit, focus };
+    }
+
+    // ===========================================
+    // GRAPH EXPORT (SVG, PNG, MERMAID)
+    // ===========================================
+
+    // Export file names; `flow` names the topology view behind graphs that are flowcharts
+    const EXPORT_GRAPHS = {
+        architectureGraph: { name: 'architecture', flow: 'architecture' },
+        variantDiffGraph: { name: 'variant-diff' },
+        crawlerGraph: { name: 'crawler', flow: 'crawler' },
+        frontierGraph: { name: 'frontier' },
+        politenessGraph: { name: 'politeness' },
+        autoscaleGraph: { name: 'autoscaling' },
+        batchingGraph: { name: 'batching', flow: 'batching' },
+        ragGraph: { name: 'rag-pipeline', flow: 'rag' },
+        mindmapGraph: { name: 'mindmap' },
+        matrixLinkGraph: { name: 'matrix-link' },
+        fusionChart: { name: 'score-fusion' },
+        hnswVisualization: { name: 'hnsw' }
+    };
+
+    // Computed styles copied onto every exported element, so the file needs no stylesheet
+    const EXPORT_STYLE_PROPS = [
+        'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-dasharray', 'stroke-opacity',
+        'opacity', 'font-family', 'font-size', 'font-weight', 'text-anchor', 'dominant-baseline', 'visibility'
+    ];
+
+    const PNG_SCALES = [1, 2, 3, 4];
+
+    function initExportMenus() {
+        Object.entries(EXPORT_GRAPHS).forEach(([id, config]) => {
+            const container = document.getElementById(id);
+            if (!container) return;
+
+            // Graphs clear their container when they render, so the menu sits in a wrapper
+            const frame = document.createElement('div');
+            frame.className = 'graph-export-frame';
+            container.parentNode.insertBefore(frame, container);
+            frame.appendChild(container);
+
+            const menu = document.createElement('div');
+            menu.className = 'graph-export';
+            menu.innerHTML = `
+                <button class="graph-export-toggle" aria-haspopup="true" aria-expanded="false">Export</button>
+                <div class="graph-export-menu" hidden>
+                    <button class="graph-export-item" data-format="svg">SVG</button>
+                    <div class="graph-export-png">
+                        <button class="graph-export-item" data-format="png">PNG</button>
+                        <select class="graph-export-scale" aria-label="PNG scale">
+                            ${PNG_SCALES.map(scale => `<option value="${scale}"${scale === 2 ? ' selected' : ''}>${scale}&times;</option>`).join('')}
+                        </select>
+                    </div>
+                    ${config.flow ? `
+                    <button class="graph-export-item" data-format="mermaid-copy">Copy Mermaid</button>
+                    <button class="graph-export-item" data-format="mermaid">Mermaid file</button>` : ''}
+                </div>
+                <span class="graph-export-status" aria-live="polite"></span>
+            `;
+            frame.appendChild(menu);
+
+            const toggle = menu.querySelector('.graph-export-toggle');
+            const list = menu.querySelector('.graph-export-menu');
+            const status = menu.querySelector('.graph-export-status');
+
+            function setOpen(open) {
+                list.hidden = !open;
+                toggle.setAttribute('aria-expanded', String(open));
+            }
+
+            function report(message) {
+                status.textContent = message;
+                setTimeout(() => {
+                    if (status.textContent === message) status.textContent = '';
+                }, 2500);
+            }
+
+            toggle.addEventListener('click', () => setOpen(list.hidden));
+
+            document.addEventListener('click', (e) => {
+                if (!menu.contains(e.target)) setOpen(false);
+            });
+
+            menu.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && !list.hidden) {
+                    e.stopPropagation();
+                    setOpen(false);
+                    toggle.focus();
+                }
+            });
+
+            menu.querySelectorAll('.graph-export-item').forEach(item => {
+                item.addEventListener('click', () => {
+                    const format = item.getAttribute('data-format');
+                    const scale = Number(menu.querySelector('.graph-export-scale').value);
+                    setOpen(false);
+                    exportGraph(container, config, format, scale, report);
+                });
+            });
+        });
+    }
+
+    function exportGraph(container, config, format, scale, report) {
+        const filename = `docuverse-${config.name}`;
+
+        if (format === 'mermaid' || format === 'mermaid-copy') {
+            if (!topology) {
+                report('Topology not loaded');
+                return;
+            }
+            const text = topologyToMermaid(config.flow);
+            if (format === 'mermaid-copy' && navigator.clipboard) {
+                navigator.clipboard.writeText(text).then(
+                    () => report('Mermaid copied'),
+                    () => downloadBlob(new Blob([text], { type: 'text/plain' }), `${filename}.mmd`)
+                );
+            } else {
+                downloadBlob(new Blob([text], { type: 'text/plain' }), `${filename}.mmd`);
+            }
+            return;
+        }
+
+        // Large imported link graphs are drawn on a canvas, which only exports as PNG
+        const canvas = container.querySelector('canvas.graph-canvas');
+        if (canvas) {
+            if (format !== 'png') {
+                report('Canvas graphs export as PNG only');
+                return;
+            }
+            canvas.toBlob(blob => downloadBlob(blob, `${filename}.png`), 'image/png');
+            return;
+        }
+
+        const exported = serializeGraphSvg(container);
+        if (!exported) {
+            report('Nothing rendered yet');
+            return;
+        }
+
+        const svgBlob = new Blob([exported.markup], { type: 'image/svg+xml' });
+        if (format === 'svg') {
+            downloadBlob(svgBlob, `${filename}.svg`);
+            return;
+        }
+
+        // PNG: draw the standalone SVG onto a canvas at the chosen scale
+        const url = URL.createObjectURL(svgBlob);
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(exported.width * scale);
+            canvas.height = Math.round(exported.height * scale);
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+            URL.revokeObjectURL(url);
+            canvas.toBlob(blob => downloadBlob(blob, `${filename}@${scale}x.png`), 'image/png');
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            report('PNG export failed');
+        };
+        image.src = url;
+    }
+
+    // Standalone copy of a graph's SVG: computed styles inlined, CSS variables resolved, zoom reset
+    function serializeGraphSvg(container) {
+        const source = container.querySelector('svg');
+        if (!source) return null;
+
+        const viewBox = source.getAttribute('viewBox');
+        const [x, y, width, height] = viewBox
+            ? viewBox.split(/[\s,]+/).map(Number)
+            : [0, 0, source.clientWidth || Number(source.getAttribute('width')),
+                source.clientHeight || Number(source.getAttribute('height'))];
+
+        const clone = source.cloneNode(true);
+        const originals = [source, ...source.querySelectorAll('*')];
+        const copies = [clone, ...clone.querySelectorAll('*')];
+
+        originals.forEach((el, i) => {
+            const copy = copies[i];
+            const computed = getComputedStyle(el);
+            const style = EXPORT_STYLE_PROPS
+                .map(prop => [prop, computed.getPropertyValue(prop)])
+                .filter(([, value]) => value)
+                .map(([prop, value]) => `${prop}:${value}`)
+                .join(';');
+            if (style) copy.setAttribute('style', style);
+
+            // Attributes like fill="var(--text-muted)" mean nothing outside the page
+            [...copy.attributes].forEach(attr => {
+                if (attr.value.includes('var(')) copy.removeAttribute(attr.name);
+            });
+        });
+
+        // Export the whole diagram, not the current pan/zoom
+        clone.querySelectorAll('.zoom-viewport').forEach(g => g.removeAttribute('transform'));
+
+        clone.setAttribute('viewBox', `${x} ${y} ${width} ${height}`);
+        clone.setAttribute('width', width);
+        clone.setAttribute('height', height);
+
+        // Keep the card background so light text stays readable in documents
+        const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        background.setAttribute('x', x);
+        background.setAttribute('y', y);
+        background.setAttribute('width', width);
+        background.setAttribute('height', height);
+        const backgroundColor = getComputedStyle(container).backgroundColor;
+        background.setAttribute('fill', !backgroundColor || backgroundColor === 'rgba(0, 0, 0, 0)'
+            ? '#16161f'
+            : backgroundColor);
+        clone.insertBefore(background, clone.firstChild);
+
+        const markup = '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(clone);
+        return { markup, width, height };
+    }
+
+    // Mermaid flowchart for a topology view; the architecture view is grouped by layer
+    function topologyToMermaid(viewName) {
+        const nodes = resolveViewNodes(viewName);
+        const links = viewLinks(viewName);
+        const safeId = id => id.replace(/[^A-Za-z0-9_]/g, '_');
+        const text = value => String(value).replace(/"/g, '#quot;');
+        const nodeLine = n => `${safeId(n.id)}["${text(n.label)}${n.sublabel ? `<br/>${text(n.sublabel)}` : ''}"]`;
+
+        const lines = [`flowchart ${viewName === 'architecture' ? 'TB' : 'LR'}`];
+
+        if (viewName === 'architecture') {
+            topology.layers.forEach(layer => {
+                const members = nodes.filter(n => n.layer === layer.id);
+                if (members.length === 0) return;
+                lines.push(`    subgraph layer_${safeId(layer.id)}["${text(layer.label)} Layer"]`);
+                members.forEach(n => lines.push(`        ${nodeLine(n)}`));
+                lines.push('    end');
+            });
+        } else {
+            nodes.forEach(n => lines.push(`    ${nodeLine(n)}`));
+        }
+
+        links.forEach(l => {
+            const label = l.label !== undefined ? l.label : l.seq;
+            const arrow = l.dashed || l.curved ? '-.->' : '-->';
+            const edgeLabel = label !== undefined ? `|"${text(label)}"|` : '';
+            lines.push(`    ${safeId(l.source)} ${arrow}${edgeLabel} ${safeId(l.target)}`);
+        });
+
+        if (viewName === 'architecture') {
+            topology.layers.forEach(layer => {
+                lines.push(`    style layer_${safeId(layer.id)} fill:${layer.color}22,stroke:${layer.color}`);
+            });
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    function downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
     // ===========================================
     // SCROLL ANIMATIONS
     // ===========================================
@@ -2095,11 +10339,16 @@
 
     const graphInitFunctions = {
         'architectureGraph': initArchitectureGraph,
+        'variantDiffGraph': initVariantDiffGraph,
         'crawlerGraph': initCrawlerGraph,
+        'frontierGraph': initFrontierGraph,
+        'politenessGraph': initPolitenessGraph,
+        'autoscaleGraph': initAutoscaleGraph,
         'batchingGraph': initBatchingGraph,
         'ragGraph': initRAGGraph,
         'mindmapGraph': initMindmapGraph,
         'matrixLinkGraph': initMatrixLinkGraph,
+        'fusionChart': initFusionChart,
         'hnswVisualization': initHNSWVisualization
     };
 